@@ -0,0 +1,422 @@
+'use strict'
+
+const crypto = require('crypto')
+const { URL } = require('url')
+const { assert } = require('chai')
+const Backend = require('./backend')
+
+const CONTENT_TYPE = 'application/json'
+const METHOD = {
+  get: 'GET',
+  post: 'POST',
+  put: 'PUT',
+  delete: 'DELETE'
+}
+// Routes of /backends/{key}/{action}
+const ACTIONS = ['drain', 'state']
+
+/**
+ * SHA-256 digest of the value, digests have equal length
+ * for timing safe comparison
+ * @function digest
+ * @param {String} value
+ * @returns {Buffer}
+ */
+function digest (value) {
+  return crypto.createHash('sha256').update(value).digest()
+}
+
+/**
+ * Serializes the error to JSON
+ * @function serializeError
+ * @param {Error} [err]
+ * @returns {Object|null} error - { name, message, statusCode }
+ */
+function serializeError (err) {
+  if (!err) {
+    return null
+  }
+
+  return {
+    name: err.name,
+    message: err.message,
+    statusCode: err.statusCode
+  }
+}
+
+/**
+ * Reads the JSON body of the request,
+ * a body parsed by restify bodyParser is used as it is
+ * @function readBody
+ * @param {http.IncomingMessage} req
+ * @param {Number} maxBodySize - in bytes
+ * @param {Function} callback - (err, body)
+ */
+function readBody (req, maxBodySize, callback) {
+  const chunks = []
+  let size = 0
+  let done = false
+
+  function finish (err, body) {
+    if (!done) {
+      done = true
+      callback(err, body)
+    }
+  }
+
+  function parse (text) {
+    try {
+      finish(undefined, JSON.parse(text))
+    } catch (err) {
+      err.statusCode = 400
+      finish(err)
+    }
+  }
+
+  if (req.body !== undefined) {
+    if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+      parse(req.body.toString())
+    } else {
+      finish(undefined, req.body)
+    }
+    return
+  }
+
+  req.on('data', function onData (chunk) {
+    size += chunk.length
+
+    if (size > maxBodySize) {
+      const err = new Error(`body exceeds ${maxBodySize} bytes`)
+      err.statusCode = 413
+      finish(err)
+      return
+    }
+
+    chunks.push(chunk)
+  })
+  req.on('error', finish)
+  req.on('end', function onEnd () {
+    parse(Buffer.concat(chunks).toString('utf8'))
+  })
+}
+
+/**
+ * Admin HTTP endpoint of a Resolver, for http and restify servers
+ * Routes relative to the prefix:
+ * - GET / - state, count, last error, backends and queued operations
+ * - POST /backends - adds the backend of the JSON body
+ * - DELETE /backends/{key} - removes the backend
+ * - POST /backends/{key}/drain - drains the backend
+ * - DELETE /backends/{key}/drain - advertises the drained backend again
+ * - PUT /backends/{key}/state - sets the admin state of the backend
+ *   from the JSON body: { state, ttl }
+ * - POST /confirm - applies the update held by the guard of the resolver
+ * Mutations require "Authorization: Bearer {token}" header.
+ * @class Admin
+ */
+class Admin {
+  /**
+   * Creates an instance of Admin.
+   * @param {Object} opts
+   * @param {Resolver} opts.resolver
+   * @param {String} [opts.token] - bearer token of mutations,
+   *  mutations are forbidden without it
+   * @param {String} [opts.prefix='/admin'] - path prefix of the routes
+   * @param {Number} [opts.maxBodySize=65536] - in bytes
+   * @memberof Admin
+   */
+  constructor ({
+    resolver,
+    token,
+    prefix = '/admin',
+    maxBodySize = 65536
+  } = {}) {
+    assert.isObject(resolver, 'options.resolver')
+    if (token !== undefined) {
+      assert.isString(token, 'options.token')
+      assert.isNotEmpty(token, 'options.token')
+    }
+    assert.isString(prefix, 'options.prefix')
+    assert.isNumber(maxBodySize, 'options.maxBodySize')
+
+    this.resolver = resolver
+    this.prefix = prefix.replace(/\/+$/, '')
+    this.maxBodySize = maxBodySize
+    this._token = token === undefined ? undefined : digest(token)
+  }
+
+  /**
+   * Request handler, like http.createServer(admin.handler())
+   * or server.get(/^\/admin/, admin.handler()) with restify,
+   * requests outside of the prefix are passed to next or responded with 404
+   * @method handler
+   * @public
+   * @returns {Function} handler - (req, res, next)
+   * @memberof Admin
+   */
+  handler () {
+    const _this = this
+
+    return function adminHandler (req, res, next) {
+      let pathname
+      let path
+
+      function send (statusCode, body) {
+        res.writeHead(statusCode, {
+          'Content-Type': CONTENT_TYPE
+        })
+        res.end(JSON.stringify(body))
+
+        if (typeof next === 'function') {
+          next()
+        }
+      }
+
+      try {
+        ({ pathname } = new URL(req.url, 'http://localhost'))
+      } catch (err) {
+        send(400, { message: err.message })
+        return
+      }
+
+      if (pathname !== _this.prefix &&
+        !pathname.startsWith(`${_this.prefix}/`)) {
+        if (typeof next === 'function') {
+          next()
+          return
+        }
+
+        send(404, { message: 'not found' })
+        return
+      }
+
+      // Malformed escapes throw URIError
+      try {
+        path = pathname.slice(_this.prefix.length)
+          .split('/')
+          .filter((segment) => segment.length)
+          .map(decodeURIComponent)
+      } catch (err) {
+        send(400, { message: err.message })
+        return
+      }
+
+      _this._route(req, path, send)
+    }
+  }
+
+  /**
+   * State of the resolver
+   * @method inspect
+   * @public
+   * @returns {Object} - { state, count, lastError, backends, advertised,
+   *  queue }
+   * @memberof Admin
+   */
+  inspect () {
+    const { resolver } = this
+
+    return {
+      state: resolver.getState(),
+      count: resolver.count(),
+      lastError: serializeError(resolver.getLastError()),
+      backends: resolver.list().map(this._serialize, this),
+      advertised: resolver.list({ advertised: true }).map((backend) => ({
+        key: backend.key,
+        service: backend.service
+      })),
+      queue: resolver._queue.map((item) => ({
+        operation: item.operation,
+        key: item.key,
+        service: item.backend.service
+      }))
+    }
+  }
+
+  /**
+   * Routes the request
+   * @method _route
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {Array.<String>} path - decoded segments after the prefix
+   * @param {Function} send - (statusCode, body)
+   * @memberof Admin
+   */
+  _route (req, path, send) {
+    const _this = this
+    const { method } = req
+    // Operator override of the update held by the guard
+    const confirm = path.length === 1 && path[0] === 'confirm'
+
+    if (!path.length) {
+      if (method !== METHOD.get) {
+        send(405, { message: `${method} is not allowed` })
+        return
+      }
+
+      send(200, this.inspect())
+      return
+    }
+
+    if (!confirm && (path[0] !== 'backends' || path.length > 3 ||
+      (path.length === 3 && !ACTIONS.includes(path[2])))) {
+      send(404, { message: 'not found' })
+      return
+    }
+
+    const allowed = confirm ? [METHOD.post] : {
+      1: [METHOD.post],
+      2: [METHOD.delete],
+      3: path[2] === 'state' ? [METHOD.put] : [METHOD.post, METHOD.delete]
+    }[path.length]
+
+    if (!allowed.includes(method)) {
+      send(405, { message: `${method} is not allowed` })
+      return
+    }
+
+    const authErr = this._authenticate(req)
+
+    if (authErr) {
+      send(authErr.statusCode, { message: authErr.message })
+      return
+    }
+
+    if (confirm) {
+      send(200, { confirmed: this.resolver.confirmUpdate() })
+      return
+    }
+
+    if (path.length === 1) {
+      readBody(req, this.maxBodySize, function onBody (err, body) {
+        if (err) {
+          send(err.statusCode || 400, { message: err.message })
+          return
+        }
+
+        _this._mutate(send, 201, function addBackend () {
+          Backend.validate(body, 'body')
+          return _this.resolver.addBackend(body)
+        })
+      })
+      return
+    }
+
+    const backend = this._find(path[1])
+
+    if (!backend) {
+      send(404, { message: `backend ${path[1]} is not found` })
+      return
+    }
+
+    if (path.length === 2) {
+      this._mutate(send, 200, () => this.resolver.removeBackend(backend))
+    } else if (path[2] === 'state') {
+      readBody(req, this.maxBodySize, function onBody (err, body) {
+        if (err) {
+          send(err.statusCode || 400, { message: err.message })
+          return
+        }
+
+        _this._mutate(send, 200, function setBackendState () {
+          assert.isObject(body, 'body')
+          return _this.resolver.setBackendState(backend, body.state, {
+            ttl: body.ttl
+          })
+        })
+      })
+    } else if (method === METHOD.post) {
+      this._mutate(send, 200, () => this.resolver.drainBackend(backend))
+    } else {
+      this._mutate(send, 200, () => this.resolver.undrainBackend(backend))
+    }
+  }
+
+  /**
+   * Calls the mutation and responds with the backend
+   * or with 400 for invalid backends
+   * @method _mutate
+   * @private
+   * @param {Function} send - (statusCode, body)
+   * @param {Number} statusCode - status of success
+   * @param {Function} mutation - () => Backend
+   * @memberof Admin
+   */
+  _mutate (send, statusCode, mutation) {
+    let backend
+
+    try {
+      backend = mutation()
+    } catch (err) {
+      send(400, { message: err.message })
+      return
+    }
+
+    send(statusCode, this._serialize(backend))
+  }
+
+  /**
+   * Checks the bearer token of the request
+   * @method _authenticate
+   * @private
+   * @param {http.IncomingMessage} req
+   * @returns {Error|undefined} err - with statusCode
+   * @memberof Admin
+   */
+  _authenticate (req) {
+    const authorization = req.headers.authorization || ''
+    const match = authorization.match(/^Bearer (.+)$/)
+    let err
+
+    if (!this._token) {
+      err = new Error('mutations are disabled without token')
+      err.statusCode = 403
+    } else if (!match ||
+      !crypto.timingSafeEqual(digest(match[1]), this._token)) {
+      err = new Error('invalid token')
+      err.statusCode = 401
+    }
+
+    return err
+  }
+
+  /**
+   * Finds a backend by key in the backends and the queued additions
+   * @method _find
+   * @private
+   * @param {String} key
+   * @returns {Backend|undefined} backend
+   * @memberof Admin
+   */
+  _find (key) {
+    const queued = this.resolver._queue
+      .filter((item) => item.operation === 'add')
+      .map((item) => item.backend)
+
+    return this.resolver.list().concat(queued)
+      .find((backend) => backend.key === key)
+  }
+
+  /**
+   * Serializes a backend
+   * @method _serialize
+   * @private
+   * @param {Backend} backend
+   * @returns {Object} backend - { key, service, state, expiresAt }
+   * @memberof Admin
+   */
+  _serialize (backend) {
+    const { state, expiresAt } = this.resolver.getBackendState(backend)
+
+    return {
+      key: backend.key,
+      service: backend.service,
+      state,
+      expiresAt
+    }
+  }
+}
+
+Admin.METHOD = METHOD
+
+module.exports = Admin
@@ -0,0 +1,336 @@
+'use strict'
+
+const http = require('http')
+const { assert } = require('chai')
+const restify = require('restify')
+const restifyClients = require('restify-clients')
+const Admin = require('./admin')
+const Resolver = require('./resolver')
+const request = require('./request')
+
+describe('Admin', () => {
+  let resolver
+  let server
+  let url
+
+  function listen (opts, done) {
+    const admin = new Admin(Object.assign({ resolver }, opts))
+
+    server = http.createServer(admin.handler())
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}`
+      done()
+    })
+  }
+
+  function call (method, path, { token, body } = {}) {
+    const headers = token ? { authorization: `Bearer ${token}` } : {}
+
+    return new Promise((resolve) => {
+      request({
+        url: `${url}${path}`,
+        method,
+        headers,
+        body
+      }, (err, data, res) => {
+        resolve({ statusCode: res ? res.statusCode : err.statusCode, data })
+      })
+    })
+  }
+
+  beforeEach((done) => {
+    resolver = new Resolver({
+      backends: [
+        { address: '10.0.0.1', port: 8080 },
+        { address: '10.0.0.2', port: 8080 }
+      ]
+    })
+    resolver.on('stateChanged', function onState (state) {
+      if (state === 'running') {
+        resolver.removeListener('stateChanged', onState)
+        done()
+      }
+    })
+    resolver.start()
+  })
+
+  afterEach((done) => {
+    resolver.stop()
+
+    if (server) {
+      server.close(done)
+      server = undefined
+      return
+    }
+    done()
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new Admin()
+    }, /options.resolver/)
+
+    assert.throws(() => {
+      new Admin({
+        resolver,
+        token: ''
+      })
+    }, /options.token/)
+  })
+
+  it('should inspect the resolver', (done) => {
+    const backend = resolver.list()[0]
+
+    listen({}, () => {
+      call('GET', '/admin').then(({ statusCode, data }) => {
+        assert.equal(statusCode, 200)
+        assert.deepEqual(data, {
+          state: 'running',
+          count: 2,
+          lastError: null,
+          backends: [
+            {
+              key: backend.key,
+              service: {
+                name: '10.0.0.1:8080',
+                address: '10.0.0.1',
+                port: 8080
+              },
+              state: 'active'
+            },
+            {
+              key: resolver.list()[1].key,
+              service: {
+                name: '10.0.0.2:8080',
+                address: '10.0.0.2',
+                port: 8080
+              },
+              state: 'active'
+            }
+          ],
+          advertised: [
+            {
+              key: backend.key,
+              service: backend.service
+            },
+            {
+              key: resolver.list()[1].key,
+              service: resolver.list()[1].service
+            }
+          ],
+          queue: []
+        })
+        done()
+      }).catch(done)
+    })
+  })
+
+  it('should forbid mutations without token', (done) => {
+    listen({}, () => {
+      call('POST', '/admin/backends', {
+        token: 'secret',
+        body: { address: '10.0.0.3' }
+      }).then(({ statusCode }) => {
+        assert.equal(statusCode, 403)
+        assert.equal(resolver.count(), 2)
+        done()
+      }).catch(done)
+    })
+  })
+
+  it('should authenticate mutations', (done) => {
+    listen({ token: 'secret' }, () => {
+      Promise.all([
+        call('POST', '/admin/backends', {
+          body: { address: '10.0.0.3' }
+        }),
+        call('POST', '/admin/backends', {
+          token: 'wrong',
+          body: { address: '10.0.0.3' }
+        })
+      ]).then((responses) => {
+        assert.deepEqual(responses.map((res) => res.statusCode), [401, 401])
+        assert.equal(resolver.count(), 2)
+        done()
+      }).catch(done)
+    })
+  })
+
+  it('should add, drain and remove backends', (done) => {
+    const token = 'secret'
+    const events = []
+    let key
+
+    resolver.on('added', (backendKey, service) => {
+      events.push(`added ${service.name}`)
+    })
+    resolver.on('removed', (backendKey, service) => {
+      events.push(`removed ${service.name}`)
+    })
+
+    listen({ token }, () => {
+      call('POST', '/admin/backends', {
+        token,
+        body: { address: '10.0.0.3', port: 8080 }
+      })
+        .then(({ statusCode, data }) => {
+          assert.equal(statusCode, 201)
+          assert.equal(data.service.name, '10.0.0.3:8080')
+          key = encodeURIComponent(data.key)
+
+          return call('POST', `/admin/backends/${key}/drain`, { token })
+        })
+        .then(({ statusCode, data }) => {
+          assert.equal(statusCode, 200)
+          assert.equal(data.state, 'draining')
+          assert.equal(resolver.count(), 2)
+          assert.equal(resolver.list().length, 3)
+
+          return call('DELETE', `/admin/backends/${key}/drain`, { token })
+        })
+        .then(({ data }) => {
+          assert.equal(data.state, 'active')
+
+          return call('DELETE', `/admin/backends/${key}`, { token })
+        })
+        .then(({ statusCode }) => {
+          assert.equal(statusCode, 200)
+          assert.equal(resolver.list().length, 2)
+          assert.deepEqual(events, [
+            'added 10.0.0.3:8080',
+            'removed 10.0.0.3:8080',
+            'added 10.0.0.3:8080',
+            'removed 10.0.0.3:8080'
+          ])
+
+          return call('DELETE', `/admin/backends/${key}`, { token })
+        })
+        .then(({ statusCode }) => {
+          assert.equal(statusCode, 404)
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  it('should set the state of backends', (done) => {
+    const token = 'secret'
+    const key = encodeURIComponent(resolver.list()[0].key)
+    const path = `/admin/backends/${key}/state`
+
+    listen({ token }, () => {
+      call('PUT', path, { token, body: { state: 'maintenance', ttl: 60000 } })
+        .then(({ statusCode, data }) => {
+          assert.equal(statusCode, 200)
+          assert.equal(data.state, 'maintenance')
+          assert.isNumber(data.expiresAt)
+          assert.equal(resolver.count(), 1)
+
+          return call('PUT', path, { token, body: { state: 'sleeping' } })
+        })
+        .then(({ statusCode }) => {
+          assert.equal(statusCode, 400)
+
+          return call('PUT', path, { token, body: { state: 'active' } })
+        })
+        .then(({ data }) => {
+          assert.equal(data.state, 'active')
+          assert.equal(resolver.count(), 2)
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  it('should confirm the update held by the guard', (done) => {
+    const token = 'secret'
+
+    resolver.stop()
+    resolver = new Resolver({
+      guard: {},
+      backends: ['10.0.0.1', '10.0.0.2']
+    })
+    resolver.start()
+
+    listen({ token }, () => {
+      resolver.setBackends([])
+
+      call('POST', '/admin/confirm', { token })
+        .then(({ statusCode, data }) => {
+          assert.equal(statusCode, 200)
+          assert.deepEqual(data, { confirmed: true })
+          assert.equal(resolver.list().length, 0)
+
+          return call('POST', '/admin/confirm', { token })
+        })
+        .then(({ data }) => {
+          assert.deepEqual(data, { confirmed: false })
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  it('should respond with errors', (done) => {
+    const token = 'secret'
+
+    listen({ token }, () => {
+      Promise.all([
+        call('POST', '/admin/backends', { token, body: { port: 80 } }),
+        call('POST', '/admin', { token }),
+        call('GET', '/admin/backends', { token }),
+        call('GET', '/admin/unknown'),
+        call('GET', '/other'),
+        call('GET', '/admin/backends/%E0%A4%A')
+      ]).then((responses) => {
+        assert.deepEqual(responses.map((res) => res.statusCode), [
+          400,
+          405,
+          405,
+          404,
+          404,
+          400
+        ])
+        done()
+      }).catch(done)
+    })
+  })
+
+  it('should mount on restify server', (done) => {
+    const admin = new Admin({
+      resolver,
+      token: 'secret',
+      prefix: '/resolver'
+    })
+    const handler = admin.handler()
+    const restifyServer = restify.createServer()
+    let client
+
+    restifyServer.use(restify.plugins.bodyParser())
+    restifyServer.get(/^\/resolver/, handler)
+    restifyServer.post(/^\/resolver/, handler)
+    restifyServer.del(/^\/resolver/, handler)
+    restifyServer.listen(0, '127.0.0.1', () => {
+      client = restifyClients.createJsonClient({
+        url: `http://127.0.0.1:${restifyServer.address().port}`,
+        headers: { authorization: 'Bearer secret' }
+      })
+      client.post('/resolver/backends', {
+        address: '10.0.0.3'
+      }, (err, req, res, data) => {
+        assert.isNotOk(err)
+        assert.equal(res.statusCode, 201)
+        assert.equal(data.service.port, 80)
+
+        client.get('/resolver', (getErr, getReq, getRes, inspection) => {
+          client.close()
+          restifyServer.close()
+
+          assert.isNotOk(getErr)
+          assert.equal(inspection.count, 3)
+          done()
+        })
+      })
+    })
+  })
+})
@@ -5,6 +5,124 @@ const net = require('net')
 const { assert } = require('chai')
 const ipaddr = require('ipaddr.js')
 
+// Optional attributes of the service object
+const ATTRIBUTES = ['weight', 'priority', 'metadata', 'zone', 'group']
+const HOSTNAME_LABEL = /^[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?$/i
+
+/**
+ * Checks whether the address is a valid hostname
+ * @function isHostname
+ * @param {String} address
+ * @returns {Boolean}
+ */
+function isHostname (address) {
+  const hostname = address.replace(/\.$/, '')
+
+  return hostname.length > 0 && hostname.length <= 253 &&
+    hostname.split('.').every((label) => HOSTNAME_LABEL.test(label))
+}
+
+/**
+ * Formats an IPv6 address in the canonical form of RFC 5952: lowercase hex
+ * without leading zeros and the longest run of two or more zero groups,
+ * the first one on a tie, compressed to "::". The zone ID is kept.
+ * @function formatIPv6
+ * @param {ipaddr.IPv6} ip
+ * @returns {String} address
+ */
+function formatIPv6 (ip) {
+  const groups = ip.parts.map((part) => part.toString(16))
+  let start = -1
+  let length = 1
+
+  for (let i = 0; i < groups.length; i += 1) {
+    let end = i
+
+    while (end < groups.length && groups[end] === '0') {
+      end += 1
+    }
+
+    if (end - i > length) {
+      start = i
+      length = end - i
+    }
+
+    i = Math.max(i, end)
+  }
+
+  const head = groups.slice(0, start).join(':')
+  const tail = groups.slice(start + length).join(':')
+  const address = start === -1 ? groups.join(':') : `${head}::${tail}`
+
+  return ip.zoneId === undefined ? address : `${address}%${ip.zoneId}`
+}
+
+/**
+ * Normalizes an IP address: brackets are removed, IPv4-mapped IPv6
+ * addresses are converted to IPv4 and other IPv6 addresses are formatted
+ * canonically, so the same address has one key however it is written
+ * @function normalizeAddress
+ * @param {String} address
+ * @returns {String} address
+ */
+function normalizeAddress (address) {
+  const unbracketed = address.replace(/^\[(.*)\]$/, '$1')
+
+  if (net.isIP(unbracketed) !== 6) {
+    return address
+  }
+
+  const ip = ipaddr.parse(unbracketed)
+
+  return ip.isIPv4MappedAddress()
+    ? ip.toIPv4Address().toString()
+    : formatIPv6(ip)
+}
+
+/**
+ * Formats address and port, IPv6 addresses are bracketed
+ * @function formatHostPort
+ * @param {String} address
+ * @param {Number} port
+ * @returns {String} like [::1]:8080 or 10.0.0.1:8080
+ */
+function formatHostPort (address, port) {
+  return net.isIP(address) === 6 ? `[${address}]:${port}` : `${address}:${port}`
+}
+
+/**
+ * Validates optional attributes
+ * @function validateAttributes
+ * @param {Object} backend
+ * @param {Number} [backend.weight]
+ * @param {Number} [backend.priority]
+ * @param {Object} [backend.metadata]
+ * @param {String} [backend.zone]
+ * @param {String} [backend.group]
+ * @param {String} name - name of the backend in error messages
+ */
+function validateAttributes (backend, name) {
+  if (backend.weight !== undefined) {
+    assert.isNumber(backend.weight, `${name}.weight`)
+    assert.isAtLeast(backend.weight, 0, `${name}.weight`)
+  }
+  if (backend.priority !== undefined) {
+    assert.isNumber(backend.priority, `${name}.priority`)
+  }
+  if (backend.metadata !== undefined) {
+    assert.isObject(backend.metadata, `${name}.metadata`)
+  }
+  if (backend.name !== undefined) {
+    assert.isString(backend.name, `${name}.name`)
+  }
+  if (backend.zone !== undefined) {
+    assert.isString(backend.zone, `${name}.zone`)
+  }
+  if (backend.group !== undefined) {
+    assert.isString(backend.group, `${name}.group`)
+  }
+}
+
 /**
  * @class Backend
  */
@@ -21,13 +139,18 @@ class Backend {
     }
 
     const hash = crypto.createHash('sha1')
-    const ip = ipaddr.parse(backend.service.address)
     let addr
 
-    if (ip.toNormalizedString) {
-      addr = ip.toNormalizedString()
+    if (backend.hostname) {
+      addr = backend.hostname
     } else {
-      addr = ip.toString()
+      const ip = ipaddr.parse(backend.service.address)
+
+      if (ip.toNormalizedString) {
+        addr = ip.toNormalizedString()
+      } else {
+        addr = ip.toString()
+      }
     }
 
     hash.update(backend.service.name)
@@ -39,25 +162,125 @@ class Backend {
     return hash.digest('base64')
   }
 
+  /**
+   * Parses a backend string: "10.0.0.1:80", "[::1]:8080", "api.internal:80",
+   * or an address without port like "10.0.0.1" or "::1"
+   * @static
+   * @param {String} value
+   * @returns {Object} backend - { address, port }, port is undefined
+   *  without port
+   * @memberof Backend
+   */
+  static parse (value) {
+    assert.isString(value, 'backend')
+
+    const bracketed = value.match(/^\[([^\]]+)\](?::(\d+))?$/)
+    const hostPort = value.match(/^([^:]+):(\d+)$/)
+
+    if (bracketed) {
+      return {
+        address: bracketed[1],
+        port: bracketed[2] === undefined ? undefined : Number(bracketed[2])
+      }
+    }
+
+    // IPv6 address without brackets has no port
+    if (hostPort && net.isIP(value) !== 6) {
+      return {
+        address: hostPort[1],
+        port: Number(hostPort[2])
+      }
+    }
+
+    return {
+      address: value,
+      port: undefined
+    }
+  }
+
+  /**
+   * Validates backend options
+   * @static
+   * @param {Object|String} backend - Backend options or string,
+   *  see Backend.parse
+   * @param {String} backend.address
+   * @param {Number} [backend.port]
+   * @param {Number} [backend.weight]
+   * @param {Number} [backend.priority]
+   * @param {Object} [backend.metadata]
+   * @param {String} [backend.zone]
+   * @param {String} [backend.group]
+   * @param {String} name - name of the backend in error messages
+   * @memberof Backend
+   */
+  static validate (backend, name) {
+    if (typeof backend === 'string') {
+      backend = Backend.parse(backend)
+    }
+
+    assert.isObject(backend, name)
+    assert.isString(backend.address, `${name}.address`)
+
+    if (backend.port !== undefined && backend.port !== null) {
+      assert.isNumber(backend.port, `${name}.port`)
+    }
+
+    validateAttributes(backend, name)
+  }
+
   /**
    * Creates an instance of Backend.
-   * @param {Object} [{ address, port }={}] opts - Options
+   * Weight, priority, metadata, zone and group are part of the service object,
+   * but not part of the key.
+   * A hostname address creates a hostname backend which is resolved
+   * by the Resolver to one backend per IP address.
+   * IPv6 addresses keep their zone ID and IPv4-mapped IPv6 addresses
+   * are converted to IPv4, so they have the same key.
+   * @param {Object} [opts={}] - Options
+   * @param {String} opts.address - IP address or hostname,
+   *  IPv6 addresses can be bracketed
+   * @param {Number} opts.port
+   * @param {String} [opts.name] - service name, defaults to address:port,
+   *  [address]:port for IPv6 and to the hostname for hostname backends
+   * @param {Number} [opts.weight] - relative weight, at least 0
+   * @param {Number} [opts.priority] - tier, lower is preferred
+   * @param {Object} [opts.metadata] - free-form metadata
+   * @param {String} [opts.zone] - availability zone
+   * @param {String} [opts.group] - group label, like "stable" or "canary"
    * @memberof Backend
    */
-  constructor ({ address, port } = {}) {
+  constructor (opts = {}) {
+    const { port } = opts
+    let { address, name } = opts
+
     assert.isString(address, 'address')
+    address = normalizeAddress(address)
     assert.isOk(
-      net.isIP(address),
-      'address must be an IP address'
+      net.isIP(address) || isHostname(address),
+      'address must be an IP address or hostname'
     )
     assert.isNumber(port, 'backend.port')
+    validateAttributes(opts, 'backend')
+
+    this.hostname = undefined
+
+    if (!net.isIP(address)) {
+      this.hostname = address.replace(/\.$/, '').toLowerCase()
+      name = name || this.hostname
+    }
 
     this.service = {
-      name: `${address}:${port}`,
+      name: name || formatHostPort(address, port),
       address,
       port
     }
 
+    ATTRIBUTES.forEach((attribute) => {
+      if (opts[attribute] !== undefined) {
+        this.service[attribute] = opts[attribute]
+      }
+    })
+
     this.key = Backend.getKey(this)
   }
 }
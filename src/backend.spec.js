@@ -14,7 +14,7 @@ describe('Backend', () => {
 
     assert.throws(() => {
       new Backend({
-        address: 'invalid'
+        address: 'in valid'
       })
     }, /address must be an IP address/)
 
@@ -53,4 +53,166 @@ describe('Backend', () => {
 
     assert.deepEqual(backend1, backend2)
   })
+  it('should validate attributes', () => {
+    assert.throws(() => {
+      new Backend({
+        address: '127.0.0.1',
+        port: 80,
+        weight: -1
+      })
+    }, /backend.weight/)
+
+    assert.throws(() => {
+      new Backend({
+        address: '127.0.0.1',
+        port: 80,
+        priority: 'high'
+      })
+    }, /backend.priority/)
+
+    assert.throws(() => {
+      Backend.validate({
+        address: '127.0.0.1',
+        metadata: 'foo'
+      }, 'backends[0]')
+    }, /backends\[0\].metadata/)
+  })
+
+  it('should hold attributes in service', () => {
+    const backend = new Backend({
+      address: '127.0.0.1',
+      port: 80,
+      weight: 10,
+      priority: 1,
+      metadata: { version: '1.2.0' }
+    })
+
+    assert.deepEqual(backend.service, {
+      name: '127.0.0.1:80',
+      address: '127.0.0.1',
+      port: 80,
+      weight: 10,
+      priority: 1,
+      metadata: { version: '1.2.0' }
+    })
+  })
+
+  it('should not include attributes in key', () => {
+    const backend1 = new Backend({ address: '127.0.0.1', port: 80 })
+    const backend2 = new Backend({
+      address: '127.0.0.1',
+      port: 80,
+      weight: 10,
+      priority: 1
+    })
+
+    assert.equal(backend1.key, backend2.key)
+  })
+
+  it('should accept hostname', () => {
+    const backend1 = new Backend({ address: 'API.example.com.', port: 80 })
+    const backend2 = new Backend({ address: 'api.example.com', port: 80 })
+
+    assert.equal(backend1.hostname, 'api.example.com')
+    assert.equal(backend1.key, backend2.key)
+    assert.equal(backend1.service.name, 'api.example.com')
+    assert.isUndefined(new Backend({ address: '127.0.0.1', port: 80 }).hostname)
+  })
+
+  it('should use name option as service name', () => {
+    const backend = new Backend({
+      address: '127.0.0.1',
+      port: 80,
+      name: 'api.example.com'
+    })
+
+    assert.equal(backend.service.name, 'api.example.com')
+  })
+
+  it('should support IPv6 addresses', () => {
+    const backend = new Backend({ address: '[2001:db8::1]', port: 8080 })
+    const scoped = new Backend({ address: 'fe80::1%eth0', port: 8080 })
+
+    assert.deepEqual(backend.service, {
+      name: '[2001:db8::1]:8080',
+      address: '2001:db8::1',
+      port: 8080
+    })
+    assert.equal(backend.key, new Backend({
+      address: '2001:db8::1',
+      port: 8080
+    }).key)
+
+    // Zone ID is kept and part of the key
+    assert.equal(scoped.service.name, '[fe80::1%eth0]:8080')
+    assert.notEqual(scoped.key, new Backend({
+      address: 'fe80::1%eth1',
+      port: 8080
+    }).key)
+  })
+
+  it('should format IPv6 addresses canonically', () => {
+    const { key } = new Backend({ address: '2001:db8::1', port: 8080 })
+
+    assert.equal(new Backend({
+      address: '2001:0db8:0:0::1',
+      port: 8080
+    }).key, key)
+    assert.equal(new Backend({
+      address: '[2001:DB8::1]',
+      port: 8080
+    }).key, key)
+    assert.equal(new Backend({
+      address: 'FE80::0001%eth0',
+      port: 8080
+    }).service.address, 'fe80::1%eth0')
+
+    // Longest run of zeros is compressed, a single zero is not
+    assert.equal(new Backend({
+      address: '2001:db8:0:0:1:0:0:0',
+      port: 8080
+    }).service.address, '2001:db8:0:0:1::')
+    assert.equal(new Backend({
+      address: '2001:db8:0:1:1:1:1:1',
+      port: 8080
+    }).service.address, '2001:db8:0:1:1:1:1:1')
+  })
+
+  it('should use IPv4 for IPv4-mapped IPv6 addresses', () => {
+    const backend = new Backend({ address: '::ffff:10.0.0.1', port: 80 })
+
+    assert.equal(backend.service.address, '10.0.0.1')
+    assert.equal(backend.service.name, '10.0.0.1:80')
+    assert.equal(
+      backend.key,
+      new Backend({ address: '10.0.0.1', port: 80 }).key
+    )
+  })
+
+  it('should parse strings', () => {
+    assert.deepEqual(Backend.parse('10.0.0.1:80'), {
+      address: '10.0.0.1',
+      port: 80
+    })
+    assert.deepEqual(Backend.parse('api.example.com:8080'), {
+      address: 'api.example.com',
+      port: 8080
+    })
+    assert.deepEqual(Backend.parse('[::1]:8080'), {
+      address: '::1',
+      port: 8080
+    })
+    assert.deepEqual(Backend.parse('[fe80::1%eth0]'), {
+      address: 'fe80::1%eth0',
+      port: undefined
+    })
+    assert.deepEqual(Backend.parse('2001:db8::80'), {
+      address: '2001:db8::80',
+      port: undefined
+    })
+    assert.deepEqual(Backend.parse('10.0.0.1'), {
+      address: '10.0.0.1',
+      port: undefined
+    })
+  })
 })
@@ -0,0 +1,68 @@
+'use strict'
+
+const { assert } = require('chai')
+
+/**
+ * Exponential backoff with jitter
+ * @class Backoff
+ */
+class Backoff {
+  /**
+   * Creates an instance of Backoff.
+   * @param {Object} [opts]
+   * @param {Number} [opts.min=1000] - first delay in milliseconds
+   * @param {Number} [opts.max=60000] - maximum delay in milliseconds
+   * @param {Number} [opts.factor=2] - multiplier of consecutive delays
+   * @param {Number} [opts.jitter=0.5] - randomized part of the delay, 0..1
+   * @memberof Backoff
+   */
+  constructor ({
+    min = 1000,
+    max = 60000,
+    factor = 2,
+    jitter = 0.5
+  } = {}) {
+    assert.isNumber(min, 'options.min')
+    assert.isNumber(max, 'options.max')
+    assert.isAtLeast(max, min, 'options.max')
+    assert.isAtLeast(factor, 1, 'options.factor')
+    assert.isNumber(jitter, 'options.jitter')
+    assert.isOk(jitter >= 0 && jitter <= 1, 'options.jitter must be 0..1')
+
+    this.min = min
+    this.max = max
+    this.factor = factor
+    this.jitter = jitter
+    this.attempts = 0
+  }
+
+  /**
+   * Delay of the next attempt
+   * @method next
+   * @public
+   * @returns {Number} delay - in milliseconds
+   * @memberof Backoff
+   */
+  next () {
+    const delay = Math.min(
+      this.max,
+      this.min * (this.factor ** this.attempts)
+    )
+
+    this.attempts += 1
+
+    return Math.round(delay * (1 - (this.jitter * Math.random())))
+  }
+
+  /**
+   * Resets attempts after a success
+   * @method reset
+   * @public
+   * @memberof Backoff
+   */
+  reset () {
+    this.attempts = 0
+  }
+}
+
+module.exports = Backoff
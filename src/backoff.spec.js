@@ -0,0 +1,59 @@
+'use strict'
+
+const { assert } = require('chai')
+const Backoff = require('./backoff')
+
+describe('Backoff', () => {
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new Backoff({
+        min: 100,
+        max: 10
+      })
+    }, /options.max/)
+
+    assert.throws(() => {
+      new Backoff({
+        jitter: 2
+      })
+    }, /options.jitter must be 0..1/)
+  })
+
+  it('should grow exponentially until max', () => {
+    const backoff = new Backoff({
+      min: 10,
+      max: 50,
+      jitter: 0
+    })
+
+    assert.deepEqual(
+      [backoff.next(), backoff.next(), backoff.next(), backoff.next()],
+      [10, 20, 40, 50]
+    )
+  })
+
+  it('should apply jitter', function () {
+    const backoff = new Backoff({
+      min: 100,
+      jitter: 0.5
+    })
+
+    this.sandbox.stub(Math, 'random').returns(0.5)
+
+    assert.equal(backoff.next(), 75)
+    assert.equal(backoff.next(), 150)
+  })
+
+  it('should reset', () => {
+    const backoff = new Backoff({
+      min: 10,
+      jitter: 0
+    })
+
+    backoff.next()
+    backoff.next()
+    backoff.reset()
+
+    assert.equal(backoff.next(), 10)
+  })
+})
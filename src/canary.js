@@ -0,0 +1,112 @@
+'use strict'
+
+const { selectSubset } = require('./subset')
+
+// Group of backends without group
+const DEFAULT_GROUP = 'stable'
+
+/**
+ * Group of the backend
+ * @function getGroup
+ * @param {Backend} backend
+ * @returns {String} group
+ */
+function getGroup (backend) {
+  const { group } = backend.service
+
+  return group === undefined ? DEFAULT_GROUP : group
+}
+
+/**
+ * Counts of canary and other backends closest to the share of the
+ * advertised backends, with at least one canary backend when the share
+ * is above 0. Other backends are only left out to fit the size or when
+ * there are too few canary backends to reach the share.
+ * @function getCounts
+ * @param {Number} canaries - count of canary backends
+ * @param {Number} others - count of other backends
+ * @param {Number} share - between 0 and 1
+ * @param {Number} size - maximum count of backends
+ * @returns {Array.<Number>} counts - [canaries, others]
+ */
+function getCounts (canaries, others, share, size) {
+  if (!canaries || share === 0) {
+    return [0, Math.min(others, size)]
+  }
+
+  // Canaries are advertised rather than nothing
+  if (!others || share === 1) {
+    return [Math.min(canaries, size), 0]
+  }
+
+  let otherCount = Math.min(others, size)
+  let target = Math.max(1, Math.round((share * otherCount) / (1 - share)))
+
+  if (target + otherCount > size) {
+    target = Math.max(1, Math.round(share * size))
+    otherCount = size - target
+  }
+
+  const canaryCount = Math.min(canaries, target)
+
+  // Too few canaries to reach the share
+  if (canaryCount < target) {
+    otherCount = Math.min(
+      otherCount,
+      Math.max(1, Math.round((canaryCount * (1 - share)) / share))
+    )
+  }
+
+  return [canaryCount, otherCount]
+}
+
+/**
+ * Selects the backends so the canary group makes up the share of them.
+ * Backends of the groups are selected for the client like subsets,
+ * so the selection is stable and spread over the clients.
+ * @function selectCanary
+ * @param {Array.<Backend>} backends
+ * @param {Object} opts
+ * @param {String} opts.group - canary group
+ * @param {Number} opts.share - target share of the canary group
+ *  between 0 and 1
+ * @param {String} opts.clientId
+ * @param {Number} [opts.clientIndex] - see selectSubset()
+ * @param {Number} [opts.clientCount] - see selectSubset()
+ * @param {Number} [opts.size=Infinity] - maximum count of backends
+ * @returns {Array.<Backend>} backends in their order
+ */
+function selectCanary (backends, {
+  group,
+  share,
+  clientId,
+  clientIndex,
+  clientCount,
+  size = Infinity
+}) {
+  const canaries = backends.filter((backend) => getGroup(backend) === group)
+  const others = backends.filter((backend) => getGroup(backend) !== group)
+  const [canaryCount, otherCount] = getCounts(
+    canaries.length,
+    others.length,
+    share,
+    size
+  )
+  const client = { clientId, clientIndex, clientCount }
+  const selected = new Set(selectSubset(
+    others,
+    Object.assign({ size: otherCount }, client)
+  ).concat(selectSubset(
+    canaries,
+    Object.assign({ size: canaryCount }, client)
+  )))
+
+  return backends.filter((backend) => selected.has(backend))
+}
+
+module.exports = {
+  DEFAULT_GROUP,
+  getGroup,
+  getCounts,
+  selectCanary
+}
@@ -0,0 +1,65 @@
+'use strict'
+
+const { assert } = require('chai')
+const Backend = require('./backend')
+const { getGroup, getCounts, selectCanary } = require('./canary')
+
+describe('canary', () => {
+  describe('#getGroup', () => {
+    it('should default to "stable"', () => {
+      assert.equal(
+        getGroup(new Backend({ address: '10.0.0.1', port: 80 })),
+        'stable'
+      )
+      assert.equal(getGroup(new Backend({
+        address: '10.0.0.1',
+        port: 80,
+        group: 'canary'
+      })), 'canary')
+    })
+  })
+
+  describe('#getCounts', () => {
+    it('should get the counts closest to the share', () => {
+      assert.deepEqual(getCounts(10, 90, 0.1, Infinity), [10, 90])
+      assert.deepEqual(getCounts(1, 100, 0.1, Infinity), [1, 9])
+      assert.deepEqual(getCounts(10, 10, 0.5, 4), [2, 2])
+      assert.deepEqual(getCounts(10, 90, 0.01, Infinity), [1, 90])
+      assert.deepEqual(getCounts(100, 100, 0.1, Infinity), [11, 100])
+      assert.deepEqual(getCounts(5, 10, 0.1, Infinity), [1, 10])
+      assert.deepEqual(getCounts(5, 10, 0.5, Infinity), [5, 5])
+      assert.deepEqual(getCounts(100, 100, 0.1, 10), [1, 9])
+    })
+
+    it('should handle empty groups and edge shares', () => {
+      assert.deepEqual(getCounts(0, 10, 0.5, Infinity), [0, 10])
+      assert.deepEqual(getCounts(10, 10, 0, Infinity), [0, 10])
+      assert.deepEqual(getCounts(5, 0, 0.1, Infinity), [5, 0])
+      assert.deepEqual(getCounts(5, 10, 1, 3), [3, 0])
+      assert.deepEqual(getCounts(5, 0, 0, Infinity), [0, 0])
+    })
+  })
+
+  describe('#selectCanary', () => {
+    const backends = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((i) => new Backend({
+      address: `10.0.0.${i}`,
+      port: 80,
+      group: i > 8 ? 'canary' : undefined
+    }))
+
+    it('should select the share of the canary group', () => {
+      const selected = selectCanary(backends, {
+        group: 'canary',
+        share: 0.2,
+        clientId: 'a'
+      })
+
+      assert.deepEqual(selected, backends)
+      assert.deepEqual(selectCanary(backends, {
+        group: 'canary',
+        share: 0.5,
+        clientId: 'a'
+      }).map(getGroup).sort(), ['canary', 'canary', 'stable', 'stable'])
+    })
+  })
+})
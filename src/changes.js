@@ -0,0 +1,173 @@
+'use strict'
+
+const TYPE = {
+  added: 'added',
+  removed: 'removed'
+}
+
+/**
+ * Async iterator of the changes of a Resolver
+ * Yields { type, key, service } records of "added" and "removed" events,
+ * starting with the advertised backends when replay is enabled.
+ * Changes are buffered until they are consumed. It ends when the resolver
+ * stops and rejects with the last error when the resolver fails,
+ * after the buffered changes.
+ * @class ChangeIterator
+ */
+class ChangeIterator {
+  /**
+   * Creates an instance of ChangeIterator.
+   * @param {Resolver} resolver
+   * @param {Object} [opts]
+   * @param {Boolean} [opts.replay=true] - starts with the advertised
+   *  backends as "added" records
+   * @memberof ChangeIterator
+   */
+  constructor (resolver, { replay = true } = {}) {
+    const _this = this
+
+    this._resolver = resolver
+    this._buffer = []
+    this._waiting = []
+    this._done = false
+    this._error = undefined
+
+    if (replay) {
+      resolver.list({ advertised: true }).forEach(function replayBackend ({
+        key,
+        service
+      }) {
+        _this._push({ type: TYPE.added, key, service })
+      })
+    }
+
+    this._onAdded = function onAdded (key, service) {
+      _this._push({ type: TYPE.added, key, service })
+    }
+    this._onRemoved = function onRemoved (key, service) {
+      _this._push({ type: TYPE.removed, key, service })
+    }
+    this._onStateChanged = function onStateChanged (state) {
+      if (state === 'failed' && resolver.isInState('failed')) {
+        _this._finish(resolver.getLastError() || new Error('resolver failed'))
+      } else if (state === 'stopping') {
+        _this._finish()
+      }
+    }
+
+    resolver.on(TYPE.added, this._onAdded)
+    resolver.on(TYPE.removed, this._onRemoved)
+    resolver.on('stateChanged', this._onStateChanged)
+  }
+
+  /**
+   * Next change
+   * @method next
+   * @public
+   * @returns {Promise} - resolves with { value, done }
+   * @memberof ChangeIterator
+   */
+  next () {
+    const _this = this
+
+    if (this._buffer.length) {
+      return Promise.resolve({ value: this._buffer.shift(), done: false })
+    }
+
+    if (this._error) {
+      const err = this._error
+
+      this._error = undefined
+      return Promise.reject(err)
+    }
+
+    if (this._done) {
+      return Promise.resolve({ value: undefined, done: true })
+    }
+
+    return new Promise(function waitChange (resolve, reject) {
+      _this._waiting.push({ resolve, reject })
+    })
+  }
+
+  /**
+   * Ends the iteration, called by "break" of "for await"
+   * @method return
+   * @public
+   * @returns {Promise} - resolves with { value, done }
+   * @memberof ChangeIterator
+   */
+  return () {
+    this._buffer = []
+    this._finish()
+
+    return Promise.resolve({ value: undefined, done: true })
+  }
+
+  /**
+   * @method Symbol.asyncIterator
+   * @public
+   * @returns {ChangeIterator} itself
+   * @memberof ChangeIterator
+   */
+  [Symbol.asyncIterator] () {
+    return this
+  }
+
+  /**
+   * Passes the change to a waiting consumer or buffers it
+   * @method _push
+   * @private
+   * @param {Object} change - { type, key, service }
+   * @memberof ChangeIterator
+   */
+  _push (change) {
+    if (this._done) {
+      return
+    }
+
+    if (this._waiting.length) {
+      this._waiting.shift().resolve({ value: change, done: false })
+      return
+    }
+
+    this._buffer.push(change)
+  }
+
+  /**
+   * Stops listening, the error is delivered after the buffered changes
+   * @method _finish
+   * @private
+   * @param {Error} [err]
+   * @memberof ChangeIterator
+   */
+  _finish (err) {
+    const resolver = this._resolver
+
+    if (this._done) {
+      return
+    }
+
+    this._done = true
+    resolver.removeListener(TYPE.added, this._onAdded)
+    resolver.removeListener(TYPE.removed, this._onRemoved)
+    resolver.removeListener('stateChanged', this._onStateChanged)
+
+    // Consumers wait only when the buffer is empty
+    const waiting = this._waiting
+
+    this._waiting = []
+
+    if (err && waiting.length) {
+      waiting.shift().reject(err)
+    } else {
+      this._error = err
+    }
+
+    waiting.forEach(({ resolve }) => resolve({ value: undefined, done: true }))
+  }
+}
+
+ChangeIterator.TYPE = TYPE
+
+module.exports = ChangeIterator
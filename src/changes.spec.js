@@ -0,0 +1,135 @@
+'use strict'
+
+const { assert } = require('chai')
+const { ListSource } = require('../test/list-source')
+const ChangeIterator = require('./changes')
+const Resolver = require('./resolver')
+
+function describeChange ({ type, service }) {
+  return `${type} ${service.name}`
+}
+
+describe('ChangeIterator', () => {
+  it('should yield the changes of the resolver', () => {
+    const resolver = new Resolver({
+      backends: [{ address: '10.0.0.1' }]
+    })
+    const changes = resolver.changes()
+
+    assert.instanceOf(changes, ChangeIterator)
+    assert.equal(changes[Symbol.asyncIterator](), changes)
+
+    resolver.start()
+
+    return changes.next()
+      .then(({ value, done }) => {
+        assert.isFalse(done)
+        assert.equal(value.key, resolver.list()[0].key)
+        assert.equal(describeChange(value), 'added 10.0.0.1:80')
+
+        const next = changes.next()
+
+        resolver.removeBackend({ address: '10.0.0.1' })
+
+        return next
+      })
+      .then(({ value }) => {
+        assert.equal(describeChange(value), 'removed 10.0.0.1:80')
+
+        const next = changes.next()
+
+        resolver.stop()
+
+        return next
+      })
+      .then(({ value, done }) => {
+        assert.isUndefined(value)
+        assert.isTrue(done)
+      })
+  })
+
+  it('should replay the advertised backends', () => {
+    const resolver = new Resolver({
+      backends: [{ address: '10.0.0.1' }, { address: '10.0.0.2' }]
+    })
+
+    resolver.start()
+
+    return resolver.ready({ minBackends: 2 })
+      .then(() => {
+        const changes = resolver.changes()
+        const withoutReplay = resolver.changes({ replay: false })
+
+        resolver.addBackend({ address: '10.0.0.3' })
+
+        return Promise.all([
+          changes.next(),
+          changes.next(),
+          changes.next(),
+          withoutReplay.next()
+        ])
+      })
+      .then((results) => {
+        resolver.stop()
+
+        assert.deepEqual(results.map(({ value }) => describeChange(value)), [
+          'added 10.0.0.1:80',
+          'added 10.0.0.2:80',
+          'added 10.0.0.3:80',
+          'added 10.0.0.3:80'
+        ])
+      })
+  })
+
+  it('should reject when the resolver fails', () => {
+    const err = new Error('My Error')
+    const resolver = new Resolver({
+      source: new ListSource([
+        { backends: [{ address: '10.0.0.1' }] },
+        { err }
+      ], {
+        interval: 5,
+        backoff: { min: 1000 }
+      })
+    })
+    const changes = resolver.changes()
+
+    resolver.start()
+
+    return changes.next()
+      .then(({ value }) => {
+        assert.equal(describeChange(value), 'added 10.0.0.1:80')
+
+        return changes.next()
+      })
+      .then(() => {
+        assert.fail('should reject')
+      }, (rejection) => {
+        resolver.stop()
+        assert.equal(rejection, err)
+
+        return changes.next()
+      })
+      .then(({ done }) => {
+        assert.isTrue(done)
+      })
+  })
+
+  it('should end on return()', () => {
+    const resolver = new Resolver()
+    const changes = resolver.changes()
+
+    assert.equal(resolver.listenerCount('added'), 1)
+
+    return changes.return()
+      .then(({ done }) => {
+        assert.isTrue(done)
+        assert.equal(resolver.listenerCount('added'), 0)
+
+        return changes.next()
+      })
+      .then(({ done }) => {
+        assert.isTrue(done)
+      })
+  })
+})
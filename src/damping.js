@@ -0,0 +1,233 @@
+'use strict'
+
+const EventEmitter = require('events')
+const { assert } = require('chai')
+
+// Decisions emitted by "decision" events
+const DECISION = {
+  held: 'held',
+  canceled: 'canceled',
+  released: 'released',
+  suppressed: 'suppressed',
+  unsuppressed: 'unsuppressed'
+}
+
+/**
+ * Flap damping of advertised backends
+ * Removals of backends which left the backend set, like when a registry
+ * briefly drops an instance, are held for "removalGrace" and canceled
+ * when the backend returns meanwhile, so no "removed" and "added" pair
+ * is emitted. Backends which leave more than "maxFlaps" times in
+ * "flapWindow" are suppressed for "suppressTime".
+ * Removals by admin states, health checks and outlier detection
+ * are not damped.
+ * Emits "decision" (decision, key, backend) events.
+ * @class FlapDamper
+ * @extends {EventEmitter}
+ */
+class FlapDamper extends EventEmitter {
+  /**
+   * Creates an instance of FlapDamper.
+   * @param {Object} [opts]
+   * @param {Number} [opts.removalGrace=0] - holds removals
+   *  in milliseconds
+   * @param {Number} [opts.coalesceWindow=0] - debounces the changes
+   *  in milliseconds, only the net changes of the window are emitted
+   * @param {Number} [opts.maxFlaps] - flaps in the flap window to suppress,
+   *  disabled by default
+   * @param {Number} [opts.flapWindow=60000] - in milliseconds
+   * @param {Number} [opts.suppressTime=60000] - in milliseconds
+   * @memberof FlapDamper
+   */
+  constructor ({
+    removalGrace = 0,
+    coalesceWindow = 0,
+    maxFlaps,
+    flapWindow = 60000,
+    suppressTime = 60000
+  } = {}) {
+    super()
+
+    assert.isAtLeast(removalGrace, 0, 'options.removalGrace')
+    assert.isAtLeast(coalesceWindow, 0, 'options.coalesceWindow')
+    if (maxFlaps !== undefined) {
+      assert.isAtLeast(maxFlaps, 1, 'options.maxFlaps')
+    }
+    assert.isAbove(flapWindow, 0, 'options.flapWindow')
+    assert.isAbove(suppressTime, 0, 'options.suppressTime')
+
+    this.removalGrace = removalGrace
+    this.coalesceWindow = coalesceWindow
+    this.maxFlaps = maxFlaps
+    this.flapWindow = flapWindow
+    this.suppressTime = suppressTime
+    this._held = new Map()
+    this._flaps = new Map()
+    this._suppressed = new Map()
+  }
+
+  /**
+   * Damps the selected backends
+   * @method apply
+   * @public
+   * @param {Map.<String, Backend>} selected - backends to advertise
+   * @param {Map.<String, Backend>} advertised - advertised backends
+   * @param {Set.<String>} present - keys of the backend set,
+   *  including the filtered ones
+   * @returns {Map.<String, Backend>} backends to advertise, with the held
+   *  and without the suppressed backends
+   * @memberof FlapDamper
+   */
+  apply (selected, advertised, present) {
+    const _this = this
+    const result = new Map()
+
+    this._held.forEach(function checkHeld (held, key) {
+      if (!present.has(key)) {
+        return
+      }
+
+      clearTimeout(held.timer)
+      _this._held.delete(key)
+
+      if (selected.has(key)) {
+        _this.emit('decision', DECISION.canceled, key, held.backend)
+      }
+    })
+
+    selected.forEach(function selectBackend (backend, key) {
+      if (!_this._suppressed.has(key)) {
+        result.set(key, backend)
+      }
+    })
+
+    advertised.forEach(function checkRemoval (backend, key) {
+      if (selected.has(key) || present.has(key)) {
+        return
+      }
+
+      if (_this._hold(key, backend)) {
+        result.set(key, backend)
+      }
+    })
+
+    return result
+  }
+
+  /**
+   * Whether the backend is suppressed for flapping
+   * @method isSuppressed
+   * @public
+   * @param {String} key - Backend.key
+   * @returns {Boolean}
+   * @memberof FlapDamper
+   */
+  isSuppressed (key) {
+    return this._suppressed.has(key)
+  }
+
+  /**
+   * Releases every held removal and suppression without events
+   * @method stop
+   * @public
+   * @memberof FlapDamper
+   */
+  stop () {
+    this._held.forEach((held) => clearTimeout(held.timer))
+    this._suppressed.forEach((timer) => clearTimeout(timer))
+    this._held.clear()
+    this._flaps.clear()
+    this._suppressed.clear()
+  }
+
+  /**
+   * Holds the removal of a backend which left the backend set
+   * @method _hold
+   * @private
+   * @param {String} key
+   * @param {Backend} backend
+   * @returns {Boolean} held - false when it should be removed
+   * @memberof FlapDamper
+   */
+  _hold (key, backend) {
+    const _this = this
+    const held = this._held.get(key)
+
+    if (held) {
+      // Expired removals are released
+      if (held.released) {
+        this._held.delete(key)
+        return false
+      }
+      return true
+    }
+
+    if (this._flap(key, backend) || !this.removalGrace) {
+      return false
+    }
+
+    const item = {
+      backend,
+      released: false,
+      timer: setTimeout(function release () {
+        item.released = true
+        _this.emit('decision', DECISION.released, key, backend)
+      }, this.removalGrace)
+    }
+
+    this._held.set(key, item)
+    this.emit('decision', DECISION.held, key, backend)
+
+    return true
+  }
+
+  /**
+   * Counts a flap and suppresses the backend above maxFlaps
+   * @method _flap
+   * @private
+   * @param {String} key
+   * @param {Backend} backend
+   * @returns {Boolean} suppressed
+   * @memberof FlapDamper
+   */
+  _flap (key, backend) {
+    const _this = this
+    const now = Date.now()
+
+    if (this.maxFlaps === undefined) {
+      return false
+    }
+
+    // Forgets the flaps out of the window
+    this._flaps.forEach(function pruneFlaps (flaps, flapKey) {
+      while (flaps.length && now - flaps[0] >= _this.flapWindow) {
+        flaps.shift()
+      }
+      if (!flaps.length) {
+        _this._flaps.delete(flapKey)
+      }
+    })
+
+    const flaps = this._flaps.get(key) || []
+
+    flaps.push(now)
+    this._flaps.set(key, flaps)
+
+    if (flaps.length <= this.maxFlaps) {
+      return false
+    }
+
+    this._flaps.delete(key)
+    this._suppressed.set(key, setTimeout(function unsuppress () {
+      _this._suppressed.delete(key)
+      _this.emit('decision', DECISION.unsuppressed, key, backend)
+    }, this.suppressTime))
+    this.emit('decision', DECISION.suppressed, key, backend)
+
+    return true
+  }
+}
+
+FlapDamper.DECISION = DECISION
+
+module.exports = FlapDamper
@@ -0,0 +1,126 @@
+'use strict'
+
+const { assert } = require('chai')
+const Backend = require('./backend')
+const FlapDamper = require('./damping')
+
+describe('FlapDamper', () => {
+  const backends = [1, 2].map((i) => new Backend({
+    address: `10.0.0.${i}`,
+    port: 80
+  }))
+  const [first, second] = backends
+  const toMap = (items) => new Map(items.map((backend) =>
+    [backend.key, backend]))
+  const keys = (map) => Array.from(map.keys())
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new FlapDamper({
+        removalGrace: -1
+      })
+    }, /options.removalGrace/)
+
+    assert.throws(() => {
+      new FlapDamper({
+        maxFlaps: 0
+      })
+    }, /options.maxFlaps/)
+  })
+
+  it('should hold removals', function () {
+    const clock = this.sandbox.useFakeTimers()
+    const damper = new FlapDamper({ removalGrace: 100 })
+    const decisions = []
+    const advertised = toMap(backends)
+
+    damper.on('decision', (decision, key) => {
+      decisions.push([decision, key])
+    })
+
+    let selected = damper.apply(toMap([first]), advertised, new Set())
+    assert.deepEqual(keys(selected), [first.key, second.key])
+
+    clock.tick(100)
+    selected = damper.apply(toMap([first]), advertised, new Set())
+    assert.deepEqual(keys(selected), [first.key])
+
+    assert.deepEqual(decisions, [
+      ['held', second.key],
+      ['released', second.key]
+    ])
+  })
+
+  it('should cancel held removals', () => {
+    const damper = new FlapDamper({ removalGrace: 100 })
+    const decisions = []
+    const advertised = toMap(backends)
+
+    damper.on('decision', (decision, key) => {
+      decisions.push([decision, key])
+    })
+
+    damper.apply(toMap([first]), advertised, new Set())
+    const selected = damper.apply(
+      toMap(backends),
+      advertised,
+      new Set([second.key])
+    )
+
+    assert.deepEqual(keys(selected), [first.key, second.key])
+    assert.deepEqual(decisions, [
+      ['held', second.key],
+      ['canceled', second.key]
+    ])
+    damper.stop()
+  })
+
+  it('should not hold removals of filtered backends', () => {
+    const damper = new FlapDamper({ removalGrace: 100 })
+    const selected = damper.apply(
+      toMap([first]),
+      toMap(backends),
+      new Set([second.key])
+    )
+
+    assert.deepEqual(keys(selected), [first.key])
+  })
+
+  it('should suppress flapping backends', function () {
+    const clock = this.sandbox.useFakeTimers()
+    const damper = new FlapDamper({ maxFlaps: 1, suppressTime: 100 })
+    const decisions = []
+
+    damper.on('decision', (decision, key) => {
+      decisions.push([decision, key])
+    })
+
+    for (let i = 0; i < 2; i += 1) {
+      damper.apply(toMap([first]), toMap(backends), new Set())
+    }
+    assert.isTrue(damper.isSuppressed(second.key))
+    assert.deepEqual(keys(damper.apply(
+      toMap(backends),
+      toMap([first]),
+      new Set([second.key])
+    )), [first.key])
+
+    clock.tick(100)
+    assert.isFalse(damper.isSuppressed(second.key))
+    assert.deepEqual(decisions, [
+      ['suppressed', second.key],
+      ['unsuppressed', second.key]
+    ])
+  })
+
+  it('should forget flaps out of the window', function () {
+    const clock = this.sandbox.useFakeTimers()
+    const damper = new FlapDamper({ maxFlaps: 1, flapWindow: 100 })
+
+    damper.apply(toMap([first]), toMap(backends), new Set())
+    clock.tick(100)
+    damper.apply(toMap([first]), toMap(backends), new Set())
+
+    assert.isFalse(damper.isSuppressed(second.key))
+  })
+})
@@ -0,0 +1,326 @@
+'use strict'
+
+const EventEmitter = require('events')
+const { assert } = require('chai')
+const Backoff = require('./backoff')
+const request = require('./request')
+
+const STATUS = {
+  up: 'UP',
+  down: 'DOWN',
+  outOfService: 'OUT_OF_SERVICE'
+}
+const DATA_CENTER_INFO = {
+  '@class': 'com.netflix.appinfo.InstanceInfo$DefaultDataCenterInfo',
+  name: 'MyOwn'
+}
+
+/**
+ * Eureka registration of the own instance
+ * Registers the instance, renews its lease at heartbeat interval
+ * and re-registers it when Eureka does not know it anymore (404 on renew).
+ * On stop the instance goes to "DOWN" or "OUT_OF_SERVICE"
+ * and it is deregistered optionally.
+ * Emits "registered", "heartbeat" and "error" events.
+ * See: https://github.com/Netflix/eureka/wiki/Eureka-REST-operations
+ * @class EurekaRegistrar
+ * @extends {EventEmitter}
+ */
+class EurekaRegistrar extends EventEmitter {
+  /**
+   * Creates an instance of EurekaRegistrar.
+   * @param {Object} opts
+   * @param {String} opts.url - Eureka server URL, like http://eureka:8761
+   * @param {String} opts.app - application name
+   * @param {Object} opts.instance
+   * @param {String} opts.instance.ipAddr
+   * @param {Number} opts.instance.port
+   * @param {Number} [opts.instance.securePort] - enabled when defined
+   * @param {String} [opts.instance.hostName] - defaults to ipAddr
+   * @param {String} [opts.instance.instanceId] - defaults to ipAddr:port
+   * @param {String} [opts.instance.vipAddress] - defaults to app
+   * @param {Object} [opts.instance.metadata]
+   * @param {Number} [opts.heartbeatInterval=30000] - in milliseconds
+   * @param {Number} [opts.leaseDuration=90000] - lease expiration
+   *  without heartbeat in milliseconds
+   * @param {Number} [opts.timeout=5000] - request timeout in milliseconds
+   * @param {String} [opts.shutdownStatus='DOWN'] - status on stop,
+   *  "DOWN" or "OUT_OF_SERVICE"
+   * @param {Boolean} [opts.deregister=false] - deregister on stop
+   * @param {Object} [opts.backoff] - retry options of registration,
+   *  see Backoff
+   * @memberof EurekaRegistrar
+   */
+  constructor ({
+    url,
+    app,
+    instance,
+    heartbeatInterval = 30000,
+    leaseDuration = 90000,
+    timeout = 5000,
+    shutdownStatus = STATUS.down,
+    deregister = false,
+    backoff = {}
+  } = {}) {
+    super()
+
+    assert.isString(url, 'options.url')
+    assert.isTrue(
+      request.isHttpUrl(url),
+      'options.url must be an http or https URL'
+    )
+    assert.isString(app, 'options.app')
+    assert.isObject(instance, 'options.instance')
+    assert.isString(instance.ipAddr, 'options.instance.ipAddr')
+    assert.isNumber(instance.port, 'options.instance.port')
+    assert.isNumber(heartbeatInterval, 'options.heartbeatInterval')
+    assert.isNumber(leaseDuration, 'options.leaseDuration')
+    assert.isNumber(timeout, 'options.timeout')
+    assert.include(
+      [STATUS.down, STATUS.outOfService],
+      shutdownStatus,
+      'options.shutdownStatus'
+    )
+    assert.isBoolean(deregister, 'options.deregister')
+
+    this.url = url.replace(/\/+$/, '')
+    this.app = app
+    this.instance = EurekaRegistrar.createInstance(app, instance, {
+      heartbeatInterval,
+      leaseDuration
+    })
+    this.heartbeatInterval = heartbeatInterval
+    this.timeout = timeout
+    this.shutdownStatus = shutdownStatus
+    this.deregister = deregister
+
+    this._backoff = new Backoff(backoff)
+    this._started = false
+    this._registered = false
+    this._timer = undefined
+    // Ignores responses of previous runs
+    this._generation = 0
+  }
+
+  /**
+   * Registers the instance and starts the heartbeat
+   * @method start
+   * @public
+   * @memberof EurekaRegistrar
+   */
+  start () {
+    assert.isNotOk(this._started, 'EurekaRegistrar is already started')
+
+    this._started = true
+    this._generation += 1
+    this._register()
+  }
+
+  /**
+   * Stops the heartbeat and updates the status of the instance,
+   * deregisters it optionally
+   * @method stop
+   * @public
+   * @param {Function} [callback] - (err)
+   * @memberof EurekaRegistrar
+   */
+  stop (callback = () => {}) {
+    const _this = this
+    const registered = this._registered
+
+    if (!this._started) {
+      setImmediate(callback)
+      return
+    }
+
+    this._started = false
+    this._registered = false
+    this._generation += 1
+    clearTimeout(this._timer)
+    this._timer = undefined
+
+    if (!registered) {
+      setImmediate(callback)
+      return
+    }
+
+    request({
+      url: `${this._instanceUrl()}/status?value=${this.shutdownStatus}`,
+      method: 'PUT',
+      timeout: this.timeout
+    }, function onStatus (err) {
+      if (err || !_this.deregister) {
+        callback(err)
+        return
+      }
+
+      request({
+        url: _this._instanceUrl(),
+        method: 'DELETE',
+        timeout: _this.timeout
+      }, function onDeregister (err) {
+        callback(err)
+      })
+    })
+  }
+
+  /**
+   * Whether the instance is registered
+   * @method isRegistered
+   * @public
+   * @returns {Boolean}
+   * @memberof EurekaRegistrar
+   */
+  isRegistered () {
+    return this._registered
+  }
+
+  /**
+   * Registers the instance, retries with backoff on error
+   * @method _register
+   * @private
+   * @memberof EurekaRegistrar
+   */
+  _register () {
+    const _this = this
+    const generation = this._generation
+
+    this._registered = false
+
+    request({
+      url: `${this.url}/eureka/apps/${encodeURIComponent(this.app)}`,
+      method: 'POST',
+      body: { instance: this.instance },
+      timeout: this.timeout
+    }, function onRegister (err) {
+      if (generation !== _this._generation) {
+        return
+      }
+
+      if (err) {
+        _this._schedule(_this._register, _this._backoff.next())
+        _this.emit('error', err)
+        return
+      }
+
+      _this._backoff.reset()
+      _this._registered = true
+      _this._schedule(_this._heartbeat, _this.heartbeatInterval)
+      _this.emit('registered', _this.instance)
+    })
+  }
+
+  /**
+   * Renews the lease, re-registers when the instance is unknown
+   * @method _heartbeat
+   * @private
+   * @memberof EurekaRegistrar
+   */
+  _heartbeat () {
+    const _this = this
+    const generation = this._generation
+
+    request({
+      url: this._instanceUrl(),
+      method: 'PUT',
+      timeout: this.timeout
+    }, function onRenew (err) {
+      if (generation !== _this._generation) {
+        return
+      }
+
+      // Lease expired or Eureka restarted
+      if (err && err.statusCode === 404) {
+        _this._register()
+        return
+      }
+
+      _this._schedule(_this._heartbeat, _this.heartbeatInterval)
+
+      if (err) {
+        _this.emit('error', err)
+        return
+      }
+
+      _this.emit('heartbeat')
+    })
+  }
+
+  /**
+   * Schedules a method call
+   * @method _schedule
+   * @private
+   * @param {Function} method
+   * @param {Number} delay - in milliseconds
+   * @memberof EurekaRegistrar
+   */
+  _schedule (method, delay) {
+    const _this = this
+
+    clearTimeout(this._timer)
+    this._timer = setTimeout(function run () {
+      method.call(_this)
+    }, delay)
+  }
+
+  /**
+   * URL of the instance
+   * @method _instanceUrl
+   * @private
+   * @returns {String}
+   * @memberof EurekaRegistrar
+   */
+  _instanceUrl () {
+    const app = encodeURIComponent(this.app)
+    const instanceId = encodeURIComponent(this.instance.instanceId)
+
+    return `${this.url}/eureka/apps/${app}/${instanceId}`
+  }
+
+  /**
+   * Creates an instance in the Eureka JSON format
+   * @static
+   * @param {String} app
+   * @param {Object} instance - see options.instance
+   * @param {Object} lease
+   * @param {Number} lease.heartbeatInterval - in milliseconds
+   * @param {Number} lease.leaseDuration - in milliseconds
+   * @returns {Object} instance
+   * @memberof EurekaRegistrar
+   */
+  static createInstance (app, instance, { heartbeatInterval, leaseDuration }) {
+    const { ipAddr, port, securePort } = instance
+    const result = {
+      instanceId: instance.instanceId || `${ipAddr}:${port}`,
+      hostName: instance.hostName || ipAddr,
+      app: app.toUpperCase(),
+      ipAddr,
+      vipAddress: instance.vipAddress || app,
+      status: STATUS.up,
+      port: {
+        $: port,
+        '@enabled': 'true'
+      },
+      securePort: {
+        $: securePort || 443,
+        '@enabled': String(securePort !== undefined)
+      },
+      dataCenterInfo: DATA_CENTER_INFO,
+      leaseInfo: {
+        renewalIntervalInSecs: Math.ceil(heartbeatInterval / 1000),
+        durationInSecs: Math.ceil(leaseDuration / 1000)
+      }
+    }
+
+    if (instance.metadata !== undefined) {
+      assert.isObject(instance.metadata, 'options.instance.metadata')
+      result.metadata = instance.metadata
+    }
+
+    return result
+  }
+}
+
+EurekaRegistrar.STATUS = STATUS
+
+module.exports = EurekaRegistrar
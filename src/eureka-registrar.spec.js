@@ -0,0 +1,200 @@
+'use strict'
+
+const { assert } = require('chai')
+const { createEurekaServer } = require('../test/eureka-server')
+const EurekaRegistrar = require('./eureka-registrar')
+
+describe('EurekaRegistrar', () => {
+  let server
+  let url
+  let registrar
+
+  beforeEach((done) => {
+    server = createEurekaServer()
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}`
+      done()
+    })
+  })
+
+  afterEach((done) => {
+    if (registrar) {
+      registrar.stop()
+      registrar = undefined
+    }
+    server.close(done)
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new EurekaRegistrar({
+        url: 'localhost:8761',
+        app: 'orders',
+        instance: { ipAddr: '10.0.0.1', port: 8080 }
+      })
+    }, /options.url must be an http or https URL/)
+
+    assert.throws(() => {
+      new EurekaRegistrar({
+        url: 'http://127.0.0.1:8761',
+        app: 'orders'
+      })
+    }, /options.instance/)
+
+    assert.throws(() => {
+      new EurekaRegistrar({
+        url: 'http://127.0.0.1:8761',
+        app: 'orders',
+        instance: { ipAddr: '10.0.0.1', port: 8080 },
+        shutdownStatus: 'STARTING'
+      })
+    }, /options.shutdownStatus/)
+  })
+
+  it('should create instance in Eureka format', () => {
+    assert.deepEqual(EurekaRegistrar.createInstance('orders', {
+      ipAddr: '10.0.0.1',
+      port: 8080,
+      metadata: { version: '1.2.0' }
+    }, {
+      heartbeatInterval: 30000,
+      leaseDuration: 90000
+    }), {
+      instanceId: '10.0.0.1:8080',
+      hostName: '10.0.0.1',
+      app: 'ORDERS',
+      ipAddr: '10.0.0.1',
+      vipAddress: 'orders',
+      status: 'UP',
+      port: { $: 8080, '@enabled': 'true' },
+      securePort: { $: 443, '@enabled': 'false' },
+      dataCenterInfo: {
+        '@class': 'com.netflix.appinfo.InstanceInfo$DefaultDataCenterInfo',
+        name: 'MyOwn'
+      },
+      leaseInfo: {
+        renewalIntervalInSecs: 30,
+        durationInSecs: 90
+      },
+      metadata: { version: '1.2.0' }
+    })
+  })
+
+  it('should register and renew', (done) => {
+    registrar = new EurekaRegistrar({
+      url,
+      app: 'orders',
+      instance: { ipAddr: '10.0.0.1', port: 8080 },
+      heartbeatInterval: 5
+    })
+
+    registrar.once('heartbeat', () => {
+      assert.isTrue(registrar.isRegistered())
+      assert.deepEqual(server.requests, [
+        'POST /eureka/apps/orders',
+        'PUT /eureka/apps/orders/10.0.0.1%3A8080'
+      ])
+      assert.equal(server.apps.orders[0].status, 'UP')
+      done()
+    })
+    registrar.start()
+  })
+
+  it('should re-register on 404 renew', (done) => {
+    let registrations = 0
+
+    registrar = new EurekaRegistrar({
+      url,
+      app: 'orders',
+      instance: { ipAddr: '10.0.0.1', port: 8080 },
+      heartbeatInterval: 5
+    })
+
+    registrar.on('registered', () => {
+      registrations += 1
+
+      if (registrations === 1) {
+        // Eureka restarted
+        server.apps = {}
+        return
+      }
+
+      assert.deepEqual(server.requests, [
+        'POST /eureka/apps/orders',
+        'PUT /eureka/apps/orders/10.0.0.1%3A8080',
+        'POST /eureka/apps/orders'
+      ])
+      assert.lengthOf(server.apps.orders, 1)
+      done()
+    })
+    registrar.start()
+  })
+
+  it('should retry registration with backoff', (done) => {
+    const errors = []
+
+    server.statusCode = 500
+    registrar = new EurekaRegistrar({
+      url,
+      app: 'orders',
+      instance: { ipAddr: '10.0.0.1', port: 8080 },
+      backoff: {
+        min: 5,
+        jitter: 0
+      }
+    })
+
+    registrar.on('error', (err) => {
+      errors.push(err.statusCode)
+      server.statusCode = undefined
+    })
+    registrar.on('registered', () => {
+      assert.deepEqual(errors, [500])
+      assert.lengthOf(server.apps.orders, 1)
+      done()
+    })
+    registrar.start()
+  })
+
+  it('should update status and deregister on stop', (done) => {
+    const stoppingRegistrar = new EurekaRegistrar({
+      url,
+      app: 'orders',
+      instance: { ipAddr: '10.0.0.1', port: 8080 },
+      shutdownStatus: 'OUT_OF_SERVICE',
+      deregister: true
+    })
+
+    stoppingRegistrar.on('registered', () => {
+      stoppingRegistrar.stop((err) => {
+        assert.isNotOk(err)
+        assert.isFalse(stoppingRegistrar.isRegistered())
+        assert.deepEqual(server.requests, [
+          'POST /eureka/apps/orders',
+          'PUT /eureka/apps/orders/10.0.0.1%3A8080/status' +
+            '?value=OUT_OF_SERVICE',
+          'DELETE /eureka/apps/orders/10.0.0.1%3A8080'
+        ])
+        assert.deepEqual(server.apps.orders, [])
+        done()
+      })
+    })
+    stoppingRegistrar.start()
+  })
+
+  it('should go "DOWN" on stop', (done) => {
+    registrar = new EurekaRegistrar({
+      url,
+      app: 'orders',
+      instance: { ipAddr: '10.0.0.1', port: 8080 }
+    })
+
+    registrar.on('registered', () => {
+      registrar.stop((err) => {
+        assert.equal(server.apps.orders[0].status, 'DOWN')
+        done(err)
+      })
+    })
+    registrar.start()
+  })
+})
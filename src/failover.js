@@ -0,0 +1,35 @@
+'use strict'
+
+/**
+ * Priority of the backend, backends without priority are in tier 0
+ * @function getPriority
+ * @param {Backend} backend
+ * @returns {Number} priority
+ */
+function getPriority (backend) {
+  const { priority } = backend.service
+
+  return priority === undefined ? 0 : priority
+}
+
+/**
+ * Selects the preferred tier of backends, lower priority is preferred.
+ * The next tier is promoted when the preferred one is empty.
+ * @function selectTier
+ * @param {Array.<Backend>} backends
+ * @returns {Array.<Backend>} backends of the preferred tier
+ */
+function selectTier (backends) {
+  if (!backends.length) {
+    return backends
+  }
+
+  const preferred = Math.min(...backends.map(getPriority))
+
+  return backends.filter((backend) => getPriority(backend) === preferred)
+}
+
+module.exports = {
+  getPriority,
+  selectTier
+}
@@ -0,0 +1,34 @@
+'use strict'
+
+const { assert } = require('chai')
+const Backend = require('./backend')
+const { getPriority, selectTier } = require('./failover')
+
+describe('failover', () => {
+  const primary1 = new Backend({ address: '10.0.0.1', port: 80, priority: 1 })
+  const primary2 = new Backend({ address: '10.0.0.2', port: 80, priority: 1 })
+  const dr = new Backend({ address: '10.1.0.1', port: 80, priority: 2 })
+  const plain = new Backend({ address: '10.2.0.1', port: 80 })
+
+  describe('#getPriority', () => {
+    it('should default to 0', () => {
+      assert.equal(getPriority(primary1), 1)
+      assert.equal(getPriority(plain), 0)
+    })
+  })
+
+  describe('#selectTier', () => {
+    it('should select the lowest priority', () => {
+      assert.deepEqual(selectTier([dr, primary1, primary2]), [
+        primary1,
+        primary2
+      ])
+      assert.deepEqual(selectTier([dr, primary1, plain]), [plain])
+    })
+
+    it('should promote the next tier', () => {
+      assert.deepEqual(selectTier([dr]), [dr])
+      assert.deepEqual(selectTier([]), [])
+    })
+  })
+})
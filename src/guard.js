@@ -0,0 +1,43 @@
+'use strict'
+
+/**
+ * Checks whether an update of the backends removes too many of them:
+ * more than maxRemovalPercent of the current backends or below minBackends.
+ * Updates which do not shrink the backends are never held.
+ * @function checkUpdate
+ * @param {Map.<String, Backend>} current - backends by key
+ * @param {Map.<String, Backend>} next - backends by key
+ * @param {Object} opts
+ * @param {Number} opts.maxRemovalPercent
+ * @param {Number} opts.minBackends
+ * @returns {String|undefined} reason - undefined when it is safe
+ */
+function checkUpdate (current, next, { maxRemovalPercent, minBackends }) {
+  let removed = 0
+
+  current.forEach(function countRemoved (backend, key) {
+    if (!next.has(key)) {
+      removed += 1
+    }
+  })
+
+  if (!removed) {
+    return undefined
+  }
+
+  const percent = (removed / current.size) * 100
+
+  if (percent > maxRemovalPercent) {
+    return `removes ${removed} of ${current.size} backends`
+  }
+
+  if (next.size < minBackends && next.size < current.size) {
+    return `leaves ${next.size} backends below ${minBackends}`
+  }
+
+  return undefined
+}
+
+module.exports = {
+  checkUpdate
+}
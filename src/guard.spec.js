@@ -0,0 +1,38 @@
+'use strict'
+
+const { assert } = require('chai')
+const Backend = require('./backend')
+const { checkUpdate } = require('./guard')
+
+describe('guard', () => {
+  describe('#checkUpdate', () => {
+    const opts = { maxRemovalPercent: 50, minBackends: 2 }
+    const toMap = (count) => new Map([1, 2, 3, 4].slice(0, count)
+      .map((i) => new Backend({ address: `10.0.0.${i}`, port: 80 }))
+      .map((backend) => [backend.key, backend]))
+
+    it('should allow updates within the limits', () => {
+      assert.isUndefined(checkUpdate(toMap(4), toMap(2), opts))
+      assert.isUndefined(checkUpdate(toMap(0), toMap(1), opts))
+      assert.isUndefined(checkUpdate(toMap(1), toMap(1), opts))
+    })
+
+    it('should hold updates removing too many backends', () => {
+      assert.equal(
+        checkUpdate(toMap(4), toMap(1), opts),
+        'removes 3 of 4 backends'
+      )
+      assert.equal(
+        checkUpdate(toMap(4), new Map(), opts),
+        'removes 4 of 4 backends'
+      )
+    })
+
+    it('should hold updates below the minimum', () => {
+      assert.equal(
+        checkUpdate(toMap(2), toMap(1), opts),
+        'leaves 1 backends below 2'
+      )
+    })
+  })
+})
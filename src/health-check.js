@@ -0,0 +1,272 @@
+'use strict'
+
+const EventEmitter = require('events')
+const http = require('http')
+const net = require('net')
+const { assert } = require('chai')
+
+const TYPE = {
+  tcp: 'tcp',
+  http: 'http'
+}
+
+/**
+ * TCP connect check
+ * @function checkTcp
+ * @param {Object} service
+ * @param {Object} opts
+ * @param {Number} opts.timeout
+ * @param {Function} callback - (err)
+ */
+function checkTcp (service, { timeout }, callback) {
+  const socket = net.connect({
+    host: service.address,
+    port: service.port
+  })
+
+  socket.setTimeout(timeout, function onTimeout () {
+    socket.destroy(new Error(`connect timed out after ${timeout}ms`))
+  })
+  socket.once('error', callback)
+  socket.once('connect', function onConnect () {
+    socket.removeListener('error', callback)
+    socket.on('error', function onError () {})
+    socket.end()
+    callback()
+  })
+}
+
+/**
+ * HTTP GET check, 2xx and 3xx responses are healthy
+ * @function checkHttp
+ * @param {Object} service
+ * @param {Object} opts
+ * @param {Number} opts.timeout
+ * @param {String} opts.path
+ * @param {Function} callback - (err)
+ */
+function checkHttp (service, { timeout, path }, callback) {
+  const req = http.get({
+    host: service.address,
+    port: service.port,
+    path,
+    agent: false
+  }, function onResponse (res) {
+    res.resume()
+
+    if (res.statusCode >= 400) {
+      callback(new Error(`GET ${path} responded with ${res.statusCode}`))
+      return
+    }
+
+    callback()
+  })
+
+  req.setTimeout(timeout, function onTimeout () {
+    req.abort()
+    callback(new Error(`GET ${path} timed out after ${timeout}ms`))
+  })
+  req.on('error', callback)
+}
+
+/**
+ * Active health checker of backends
+ * Backends are healthy until they fail "fall" consecutive checks
+ * and become healthy again after "rise" consecutive successes.
+ * Emits "change" (key, healthy) events.
+ * @class HealthChecker
+ * @extends {EventEmitter}
+ */
+class HealthChecker extends EventEmitter {
+  /**
+   * Creates an instance of HealthChecker.
+   * @param {Object} [opts]
+   * @param {String|Function} [opts.type='tcp'] - "tcp", "http" or
+   *  a custom check function (service, callback) which can return a Promise
+   * @param {String} [opts.path='/'] - path of the HTTP check
+   * @param {Number} [opts.interval=5000] - in milliseconds
+   * @param {Number} [opts.timeout=2000] - in milliseconds
+   * @param {Number} [opts.rise=2] - consecutive successes to become healthy
+   * @param {Number} [opts.fall=3] - consecutive failures to become unhealthy
+   * @memberof HealthChecker
+   */
+  constructor ({
+    type = TYPE.tcp,
+    path = '/',
+    interval = 5000,
+    timeout = 2000,
+    rise = 2,
+    fall = 3
+  } = {}) {
+    super()
+
+    if (typeof type !== 'function') {
+      assert.include(Object.keys(TYPE), type, 'options.type')
+    }
+    assert.isString(path, 'options.path')
+    assert.isNumber(interval, 'options.interval')
+    assert.isNumber(timeout, 'options.timeout')
+    assert.isAtLeast(rise, 1, 'options.rise')
+    assert.isAtLeast(fall, 1, 'options.fall')
+
+    this.type = type
+    this.path = path
+    this.interval = interval
+    this.timeout = timeout
+    this.rise = rise
+    this.fall = fall
+    this._checks = new Map()
+  }
+
+  /**
+   * Checks the given backends and stops checking the others
+   * @method update
+   * @public
+   * @param {Array.<Backend>} backends
+   * @memberof HealthChecker
+   */
+  update (backends) {
+    const _this = this
+    const keys = new Set()
+
+    backends.forEach(function startCheck (backend) {
+      keys.add(backend.key)
+
+      if (!_this._checks.has(backend.key)) {
+        const check = {
+          backend,
+          healthy: true,
+          successes: 0,
+          failures: 0,
+          timer: undefined
+        }
+
+        _this._checks.set(backend.key, check)
+        // First check runs right after the update
+        check.timer = setTimeout(function runCheck () {
+          _this._run(check)
+        }, 0)
+      }
+    })
+
+    this._checks.forEach(function stopCheck (check, key) {
+      if (!keys.has(key)) {
+        clearTimeout(check.timer)
+        _this._checks.delete(key)
+      }
+    })
+  }
+
+  /**
+   * Backends without check are healthy
+   * @method isHealthy
+   * @public
+   * @param {String} key - Backend.key
+   * @returns {Boolean}
+   * @memberof HealthChecker
+   */
+  isHealthy (key) {
+    const check = this._checks.get(key)
+
+    return check ? check.healthy : true
+  }
+
+  /**
+   * Stops every check
+   * @method stop
+   * @public
+   * @memberof HealthChecker
+   */
+  stop () {
+    this.update([])
+  }
+
+  /**
+   * Runs a check and schedules the next one
+   * @method _run
+   * @private
+   * @param {Object} check
+   * @memberof HealthChecker
+   */
+  _run (check) {
+    const _this = this
+
+    this._check(check.backend.service, function onCheck (err) {
+      // Stopped in the meantime
+      if (_this._checks.get(check.backend.key) !== check) {
+        return
+      }
+
+      if (err) {
+        check.successes = 0
+        check.failures += 1
+      } else {
+        check.failures = 0
+        check.successes += 1
+      }
+
+      if (check.healthy && check.failures >= _this.fall) {
+        check.healthy = false
+        _this.emit('change', check.backend.key, false, err)
+      } else if (!check.healthy && check.successes >= _this.rise) {
+        check.healthy = true
+        _this.emit('change', check.backend.key, true)
+      }
+
+      check.timer = setTimeout(function runCheck () {
+        _this._run(check)
+      }, _this.interval)
+    })
+  }
+
+  /**
+   * Checks a service once
+   * @method _check
+   * @private
+   * @param {Object} service
+   * @param {Function} callback - (err)
+   * @memberof HealthChecker
+   */
+  _check (service, callback) {
+    const { timeout } = this
+    let done = false
+    let timer
+
+    function finish (err) {
+      if (done) {
+        return
+      }
+      done = true
+      clearTimeout(timer)
+      callback(err)
+    }
+
+    timer = setTimeout(function onTimeout () {
+      finish(new Error(`check timed out after ${timeout}ms`))
+    }, timeout)
+
+    if (this.type === TYPE.tcp) {
+      checkTcp(service, this, finish)
+      return
+    }
+
+    if (this.type === TYPE.http) {
+      checkHttp(service, this, finish)
+      return
+    }
+
+    try {
+      const result = this.type(service, finish)
+
+      if (result && typeof result.then === 'function') {
+        result.then(() => finish(), (err) => finish(err || new Error('failed')))
+      }
+    } catch (err) {
+      finish(err)
+    }
+  }
+}
+
+HealthChecker.TYPE = TYPE
+
+module.exports = HealthChecker
@@ -0,0 +1,179 @@
+'use strict'
+
+const http = require('http')
+const net = require('net')
+const { assert } = require('chai')
+const Backend = require('./backend')
+const HealthChecker = require('./health-check')
+
+describe('HealthChecker', () => {
+  let tcpServer
+  let httpServer
+  let tcpBackend
+  let httpBackend
+  let closedBackend
+  let checker
+
+  beforeEach((done) => {
+    tcpServer = net.createServer((socket) => socket.end())
+    httpServer = http.createServer((req, res) => {
+      res.writeHead(req.url === '/health' ? 200 : 503)
+      res.end()
+    })
+
+    // Port of a closed server refuses connections
+    const closed = net.createServer()
+
+    closed.listen(0, '127.0.0.1', () => {
+      closedBackend = new Backend({
+        address: '127.0.0.1',
+        port: closed.address().port
+      })
+      closed.close()
+
+      tcpServer.listen(0, '127.0.0.1', () => {
+        tcpBackend = new Backend({
+          address: '127.0.0.1',
+          port: tcpServer.address().port
+        })
+        httpServer.listen(0, '127.0.0.1', () => {
+          httpBackend = new Backend({
+            address: '127.0.0.1',
+            port: httpServer.address().port
+          })
+          done()
+        })
+      })
+    })
+  })
+
+  afterEach(() => {
+    if (checker) {
+      checker.stop()
+    }
+    tcpServer.close()
+    httpServer.close()
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new HealthChecker({
+        type: 'udp'
+      })
+    }, /options.type/)
+
+    assert.throws(() => {
+      new HealthChecker({
+        fall: 0
+      })
+    }, /options.fall/)
+  })
+
+  it('should withhold backend failing TCP check', (done) => {
+    checker = new HealthChecker({
+      interval: 5,
+      fall: 2
+    })
+
+    checker.on('change', (key, healthy, err) => {
+      assert.equal(key, closedBackend.key)
+      assert.isFalse(healthy)
+      assert.equal(err.code, 'ECONNREFUSED')
+      assert.isFalse(checker.isHealthy(closedBackend.key))
+      assert.isTrue(checker.isHealthy(tcpBackend.key))
+      done()
+    })
+    checker.update([tcpBackend, closedBackend])
+
+    assert.isTrue(checker.isHealthy(closedBackend.key))
+  })
+
+  it('should check HTTP path', (done) => {
+    const failing = new HealthChecker({
+      type: 'http',
+      path: '/other',
+      interval: 5,
+      fall: 1
+    })
+
+    checker = new HealthChecker({
+      type: 'http',
+      path: '/health',
+      interval: 5,
+      fall: 1
+    })
+    checker.on('change', () => {
+      done(new Error('should be healthy'))
+    })
+    checker.update([httpBackend])
+
+    failing.on('change', (key, healthy, err) => {
+      failing.stop()
+
+      assert.isFalse(healthy)
+      assert.equal(err.message, 'GET /other responded with 503')
+      done()
+    })
+    failing.update([httpBackend])
+  })
+
+  it('should rise after consecutive successes', (done) => {
+    const results = [false, true, true]
+    const changes = []
+
+    checker = new HealthChecker({
+      type: (service, callback) => callback(results.shift() === false
+        ? new Error('down')
+        : undefined),
+      interval: 5,
+      rise: 2,
+      fall: 1
+    })
+
+    checker.on('change', (key, healthy) => {
+      changes.push(healthy)
+
+      if (changes.length === 2) {
+        assert.deepEqual(changes, [false, true])
+        assert.isEmpty(results)
+        done()
+      }
+    })
+    checker.update([tcpBackend])
+  })
+
+  it('should support Promise checks', (done) => {
+    checker = new HealthChecker({
+      type: () => Promise.reject(new Error('down')),
+      interval: 5,
+      fall: 1
+    })
+
+    checker.on('change', (key, healthy, err) => {
+      assert.isFalse(healthy)
+      assert.equal(err.message, 'down')
+      done()
+    })
+    checker.update([tcpBackend])
+  })
+
+  it('should stop checking removed backends', (done) => {
+    let calls = 0
+
+    checker = new HealthChecker({
+      type: (service, callback) => {
+        calls += 1
+        callback()
+      },
+      interval: 5
+    })
+
+    checker.update([tcpBackend])
+    checker.update([])
+
+    setTimeout(() => {
+      assert.equal(calls, 0)
+      done()
+    }, 20)
+  })
+})
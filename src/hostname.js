@@ -0,0 +1,170 @@
+'use strict'
+
+const dns = require('dns')
+const EventEmitter = require('events')
+const { assert } = require('chai')
+const Backend = require('./backend')
+
+/**
+ * Resolves hostname backends to one backend per IP address
+ * and re-resolves them at an interval.
+ * The hostname is kept as the name of the resolved backends.
+ * Emits "change" when the addresses of a hostname change
+ * and "error" when a lookup fails, the last addresses are kept then.
+ * @class HostnameResolver
+ * @extends {EventEmitter}
+ */
+class HostnameResolver extends EventEmitter {
+  /**
+   * Creates an instance of HostnameResolver.
+   * @param {Object} [opts]
+   * @param {Number} [opts.interval=60000] - re-resolve interval
+   *  in milliseconds
+   * @param {Number} [opts.family=0] - IP family: 4, 6 or 0 (both)
+   * @param {Function} [opts.lookup=dns.lookup] - lookup function
+   * @memberof HostnameResolver
+   */
+  constructor ({
+    interval = 60000,
+    family = 0,
+    lookup = dns.lookup
+  } = {}) {
+    super()
+
+    assert.isNumber(interval, 'options.interval')
+    assert.include([0, 4, 6], family, 'options.family')
+    assert.isFunction(lookup, 'options.lookup')
+
+    this.interval = interval
+    this.family = family
+    this.lookup = lookup
+    this._hosts = new Map()
+    this._running = false
+  }
+
+  /**
+   * Resolves the given hostname backends and forgets the others
+   * @method update
+   * @public
+   * @param {Array.<Backend>} backends - hostname backends
+   * @memberof HostnameResolver
+   */
+  update (backends) {
+    const _this = this
+    const keys = new Set()
+
+    this._running = true
+
+    backends.forEach(function startHost (backend) {
+      let host = _this._hosts.get(backend.key)
+
+      keys.add(backend.key)
+
+      if (!host) {
+        host = {
+          backend,
+          resolved: [],
+          timer: undefined,
+          pending: false
+        }
+        _this._hosts.set(backend.key, host)
+      }
+
+      if (!host.timer && !host.pending) {
+        host.timer = setTimeout(function resolveHost () {
+          _this._resolve(host)
+        }, 0)
+      }
+    })
+
+    this._hosts.forEach(function forgetHost (host, key) {
+      if (!keys.has(key)) {
+        clearTimeout(host.timer)
+        _this._hosts.delete(key)
+      }
+    })
+  }
+
+  /**
+   * Resolved backends of a hostname backend
+   * @method resolved
+   * @public
+   * @param {String} key - Backend.key of the hostname backend
+   * @returns {Array.<Backend>} backends
+   * @memberof HostnameResolver
+   */
+  resolved (key) {
+    const host = this._hosts.get(key)
+
+    return host ? host.resolved : []
+  }
+
+  /**
+   * Stops resolving, resolved addresses are kept until the next update
+   * @method stop
+   * @public
+   * @memberof HostnameResolver
+   */
+  stop () {
+    this._running = false
+    this._hosts.forEach(function stopHost (host) {
+      clearTimeout(host.timer)
+      host.timer = undefined
+    })
+  }
+
+  /**
+   * Resolves a hostname and schedules the next lookup
+   * @method _resolve
+   * @private
+   * @param {Object} host
+   * @memberof HostnameResolver
+   */
+  _resolve (host) {
+    const _this = this
+    const { hostname, service } = host.backend
+
+    host.timer = undefined
+    host.pending = true
+
+    this.lookup(hostname, {
+      all: true,
+      family: this.family
+    }, function onLookup (err, addresses) {
+      host.pending = false
+
+      // Forgotten in the meantime
+      if (_this._hosts.get(host.backend.key) !== host) {
+        return
+      }
+
+      if (_this._running) {
+        host.timer = setTimeout(function resolveHost () {
+          _this._resolve(host)
+        }, _this.interval)
+      }
+
+      if (err) {
+        err.message = `${hostname}: ${err.message}`
+        _this.emit('error', err)
+        return
+      }
+
+      const resolved = addresses.map(function createBackend ({ address }) {
+        return new Backend(Object.assign({}, service, { address }))
+      })
+      const keys = (backends) => backends.map((backend) => backend.key)
+        .sort()
+        .join()
+      const changed = keys(resolved) !== keys(host.resolved)
+
+      host.resolved = resolved
+
+      if (changed) {
+        _this.emit('change', host.backend.key)
+      }
+    })
+  }
+}
+
+module.exports = HostnameResolver
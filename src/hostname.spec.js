@@ -0,0 +1,132 @@
+'use strict'
+
+const { assert } = require('chai')
+const Backend = require('./backend')
+const HostnameResolver = require('./hostname')
+
+describe('HostnameResolver', () => {
+  let addresses
+  let lookups
+  let hostnames
+
+  function lookup (hostname, opts, callback) {
+    lookups.push(`${hostname} ${opts.family}`)
+
+    const result = addresses[hostname]
+
+    setImmediate(() => {
+      if (result instanceof Error) {
+        callback(result)
+        return
+      }
+
+      callback(undefined, result.map((address) => ({
+        address,
+        family: address.includes(':') ? 6 : 4
+      })))
+    })
+  }
+
+  beforeEach(() => {
+    addresses = {
+      'api.example.com': ['10.0.0.1', '10.0.0.2']
+    }
+    lookups = []
+  })
+
+  afterEach(() => {
+    if (hostnames) {
+      hostnames.stop()
+    }
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new HostnameResolver({
+        family: 5
+      })
+    }, /options.family/)
+
+    assert.throws(() => {
+      new HostnameResolver({
+        lookup: null
+      })
+    }, /options.lookup/)
+  })
+
+  it('should resolve hostname with the hostname as name', (done) => {
+    const backend = new Backend({ address: 'api.example.com', port: 443 })
+
+    hostnames = new HostnameResolver({ lookup })
+    hostnames.on('change', (key) => {
+      assert.equal(key, backend.key)
+      assert.deepEqual(lookups, ['api.example.com 0'])
+      assert.deepEqual(
+        hostnames.resolved(backend.key).map((resolved) => resolved.service),
+        [
+          { name: 'api.example.com', address: '10.0.0.1', port: 443 },
+          { name: 'api.example.com', address: '10.0.0.2', port: 443 }
+        ]
+      )
+      done()
+    })
+    hostnames.update([backend])
+  })
+
+  it('should re-resolve at interval', (done) => {
+    const backend = new Backend({ address: 'api.example.com', port: 443 })
+    const changes = []
+
+    hostnames = new HostnameResolver({
+      lookup,
+      interval: 5
+    })
+    hostnames.on('change', () => {
+      changes.push(hostnames.resolved(backend.key)
+        .map((resolved) => resolved.service.address))
+
+      if (changes.length === 1) {
+        addresses['api.example.com'] = ['10.0.0.2']
+        return
+      }
+
+      assert.deepEqual(changes, [
+        ['10.0.0.1', '10.0.0.2'],
+        ['10.0.0.2']
+      ])
+      assert.isAtLeast(lookups.length, 2)
+      done()
+    })
+    hostnames.update([backend])
+  })
+
+  it('should keep addresses when lookup fails', (done) => {
+    const backend = new Backend({ address: 'api.example.com', port: 443 })
+
+    hostnames = new HostnameResolver({
+      lookup,
+      interval: 5
+    })
+    hostnames.once('change', () => {
+      addresses['api.example.com'] = new Error('getaddrinfo EAI_AGAIN')
+    })
+    hostnames.once('error', (err) => {
+      assert.equal(err.message, 'api.example.com: getaddrinfo EAI_AGAIN')
+      assert.lengthOf(hostnames.resolved(backend.key), 2)
+      done()
+    })
+    hostnames.update([backend])
+  })
+
+  it('should forget hostnames which are not updated', (done) => {
+    const backend = new Backend({ address: 'api.example.com', port: 443 })
+
+    hostnames = new HostnameResolver({ lookup })
+    hostnames.on('change', () => {
+      hostnames.update([])
+      assert.deepEqual(hostnames.resolved(backend.key), [])
+      done()
+    })
+    hostnames.update([backend])
+  })
+})
@@ -1,8 +1,17 @@
 'use strict'
 
 const Resolver = require('./resolver')
+const Admin = require('./admin')
 const Backend = require('./backend')
+const EurekaRegistrar = require('./eureka-registrar')
+const Metrics = require('./metrics')
+const ResolverRegistry = require('./registry')
+const sources = require('./sources')
 
 module.exports = Object.assign(Resolver, {
-  Backend
-})
+  Admin,
+  Backend,
+  EurekaRegistrar,
+  Metrics,
+  ResolverRegistry
+}, sources)
@@ -0,0 +1,247 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+const TYPE = {
+  counter: 'counter',
+  gauge: 'gauge'
+}
+// Metrics recorded by the Resolver
+const METRIC = {
+  added: 'backends_added_total',
+  removed: 'backends_removed_total',
+  transitions: 'state_transitions_total',
+  failedSeconds: 'failed_seconds_total',
+  errors: 'errors_total',
+  ejections: 'backends_ejected_total',
+  backends: 'backends',
+  queueDepth: 'queue_depth'
+}
+const DEFINITIONS = {
+  [METRIC.added]: {
+    type: TYPE.counter,
+    help: 'Backends added to cueball'
+  },
+  [METRIC.removed]: {
+    type: TYPE.counter,
+    help: 'Backends removed from cueball'
+  },
+  [METRIC.transitions]: {
+    type: TYPE.counter,
+    help: 'State transitions of the resolver'
+  },
+  [METRIC.failedSeconds]: {
+    type: TYPE.counter,
+    help: 'Time spent in failed state in seconds'
+  },
+  [METRIC.errors]: {
+    type: TYPE.counter,
+    help: 'Errors emitted by the resolver'
+  },
+  [METRIC.ejections]: {
+    type: TYPE.counter,
+    help: 'Backends ejected as outliers'
+  },
+  [METRIC.backends]: {
+    type: TYPE.gauge,
+    help: 'Backends advertised to cueball'
+  },
+  [METRIC.queueDepth]: {
+    type: TYPE.gauge,
+    help: 'Operations queued until the resolver is running'
+  }
+}
+
+/**
+ * Escape label value for the text exposition format
+ * @function escapeLabel
+ * @param {*} value
+ * @returns {String}
+ */
+function escapeLabel (value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+}
+
+/**
+ * Format labels like {from="running",to="failed"}
+ * @function formatLabels
+ * @param {Object} labels
+ * @returns {String}
+ */
+function formatLabels (labels) {
+  const names = Object.keys(labels).sort()
+
+  if (!names.length) {
+    return ''
+  }
+
+  const pairs = names.map((name) => `${name}="${escapeLabel(labels[name])}"`)
+
+  return `{${pairs.join(',')}}`
+}
+
+/**
+ * In-memory metrics collector with Prometheus text exposition.
+ * Any object with the same increment() and set() methods can be passed
+ * to the Resolver as metrics.
+ * @class Metrics
+ */
+class Metrics {
+  /**
+   * Creates an instance of Metrics.
+   * @param {Object} [opts]
+   * @param {String} [opts.prefix='cueball_resolver_'] - prefix of names
+   * @param {Object} [opts.labels={}] - labels of every metric
+   * @memberof Metrics
+   */
+  constructor ({
+    prefix = 'cueball_resolver_',
+    labels = {}
+  } = {}) {
+    assert.isString(prefix, 'options.prefix')
+    assert.isObject(labels, 'options.labels')
+
+    this.prefix = prefix
+    this.labels = labels
+    this._metrics = new Map()
+  }
+
+  /**
+   * Increments a counter
+   * @method increment
+   * @public
+   * @param {String} name
+   * @param {Object} [labels={}]
+   * @param {Number} [value=1]
+   * @memberof Metrics
+   */
+  increment (name, labels = {}, value = 1) {
+    const sample = this._sample(name, labels)
+
+    sample.value += value
+  }
+
+  /**
+   * Sets a gauge
+   * @method set
+   * @public
+   * @param {String} name
+   * @param {Object} [labels={}]
+   * @param {Number} value
+   * @memberof Metrics
+   */
+  set (name, labels = {}, value) {
+    const sample = this._sample(name, labels)
+
+    sample.value = value
+  }
+
+  /**
+   * Value of a metric
+   * @method get
+   * @public
+   * @param {String} name
+   * @param {Object} [labels={}]
+   * @returns {Number|undefined} value
+   * @memberof Metrics
+   */
+  get (name, labels = {}) {
+    const samples = this._metrics.get(name)
+    const sample = samples && samples.get(formatLabels(labels))
+
+    return sample ? sample.value : undefined
+  }
+
+  /**
+   * Metrics in Prometheus text exposition format
+   * @method toPrometheus
+   * @public
+   * @returns {String}
+   * @memberof Metrics
+   */
+  toPrometheus () {
+    const _this = this
+    const lines = []
+
+    this._metrics.forEach(function formatMetric (samples, name) {
+      const definition = DEFINITIONS[name]
+      const fullName = `${_this.prefix}${name}`
+
+      if (definition) {
+        lines.push(`# HELP ${fullName} ${definition.help}`)
+        lines.push(`# TYPE ${fullName} ${definition.type}`)
+      }
+
+      samples.forEach(function formatSample ({ labels, value }) {
+        const allLabels = Object.assign({}, _this.labels, labels)
+
+        lines.push(`${fullName}${formatLabels(allLabels)} ${value}`)
+      })
+    })
+
+    return lines.length ? `${lines.join('\n')}\n` : ''
+  }
+
+  /**
+   * Request handler of the Prometheus endpoint for http and restify servers,
+   * like server.get('/metrics', metrics.handler())
+   * @method handler
+   * @public
+   * @returns {Function} handler - (req, res, next)
+   * @memberof Metrics
+   */
+  handler () {
+    const _this = this
+
+    return function metricsHandler (req, res, next) {
+      res.writeHead(200, {
+        'Content-Type': CONTENT_TYPE
+      })
+      res.end(_this.toPrometheus())
+
+      if (typeof next === 'function') {
+        next()
+      }
+    }
+  }
+
+  /**
+   * Sample of a metric with the labels, created on first use
+   * @method _sample
+   * @private
+   * @param {String} name
+   * @param {Object} labels
+   * @returns {Object} sample - { labels, value }
+   * @memberof Metrics
+   */
+  _sample (name, labels) {
+    const key = formatLabels(labels)
+    let samples = this._metrics.get(name)
+
+    if (!samples) {
+      samples = new Map()
+      this._metrics.set(name, samples)
+    }
+
+    let sample = samples.get(key)
+
+    if (!sample) {
+      sample = {
+        labels,
+        value: 0
+      }
+      samples.set(key, sample)
+    }
+
+    return sample
+  }
+}
+
+Metrics.METRIC = METRIC
+Metrics.CONTENT_TYPE = CONTENT_TYPE
+
+module.exports = Metrics
@@ -0,0 +1,92 @@
+'use strict'
+
+const { assert } = require('chai')
+const restify = require('restify')
+const restifyClients = require('restify-clients')
+const Metrics = require('./metrics')
+
+describe('Metrics', () => {
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new Metrics({
+        prefix: null
+      })
+    }, /options.prefix/)
+
+    assert.throws(() => {
+      new Metrics({
+        labels: 'foo'
+      })
+    }, /options.labels/)
+  })
+
+  it('should increment counters and set gauges', () => {
+    const metrics = new Metrics()
+
+    metrics.increment(Metrics.METRIC.added)
+    metrics.increment(Metrics.METRIC.added, {}, 2)
+    metrics.increment(Metrics.METRIC.transitions, {
+      from: 'running',
+      to: 'failed'
+    })
+    metrics.set(Metrics.METRIC.backends, {}, 4)
+    metrics.set(Metrics.METRIC.backends, {}, 3)
+
+    assert.equal(metrics.get(Metrics.METRIC.added), 3)
+    assert.equal(metrics.get(Metrics.METRIC.transitions, {
+      to: 'failed',
+      from: 'running'
+    }), 1)
+    assert.equal(metrics.get(Metrics.METRIC.backends), 3)
+    assert.isUndefined(metrics.get(Metrics.METRIC.removed))
+  })
+
+  it('should format Prometheus text', () => {
+    const metrics = new Metrics({
+      labels: { resolver: 'api' }
+    })
+
+    metrics.increment(Metrics.METRIC.transitions, {
+      from: 'running',
+      to: 'failed'
+    })
+    metrics.set(Metrics.METRIC.backends, {}, 2)
+    metrics.set('custom', { path: 'a"b' }, 1)
+
+    assert.equal(metrics.toPrometheus(), [
+      '# HELP cueball_resolver_state_transitions_total State transitions ' +
+        'of the resolver',
+      '# TYPE cueball_resolver_state_transitions_total counter',
+      'cueball_resolver_state_transitions_total' +
+        '{from="running",resolver="api",to="failed"} 1',
+      '# HELP cueball_resolver_backends Backends advertised to cueball',
+      '# TYPE cueball_resolver_backends gauge',
+      'cueball_resolver_backends{resolver="api"} 2',
+      'cueball_resolver_custom{path="a\\"b",resolver="api"} 1',
+      ''
+    ].join('\n'))
+  })
+
+  it('should serve metrics on restify server', (done) => {
+    const metrics = new Metrics()
+    const server = restify.createServer()
+    let client
+
+    metrics.increment(Metrics.METRIC.added)
+    server.get('/metrics', metrics.handler())
+    server.listen(0, '127.0.0.1', () => {
+      client = restifyClients.createStringClient({
+        url: `http://127.0.0.1:${server.address().port}`
+      })
+      client.get('/metrics', (err, req, res, data) => {
+        client.close()
+        server.close()
+
+        assert.isNotOk(err)
+        assert.equal(res.headers['content-type'], Metrics.CONTENT_TYPE)
+        assert.include(data, 'cueball_resolver_backends_added_total 1\n')
+        done(err)
+      })
+    })
+  })
+})
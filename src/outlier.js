@@ -0,0 +1,238 @@
+'use strict'
+
+const EventEmitter = require('events')
+const { assert } = require('chai')
+
+/**
+ * Passive outlier detector of backends
+ * Ejects a backend after "consecutiveFailures" failed results or when
+ * its error rate in the interval reaches "errorRate". The ejection time
+ * doubles with every ejection up to "maxEjectionTime" and resets when
+ * the backend stays admitted for "maxEjectionTime".
+ * At most "maxEjectionPercent" of the backends are ejected at once.
+ * Emits "change" (key, ejected) events.
+ * @class OutlierDetector
+ * @extends {EventEmitter}
+ */
+class OutlierDetector extends EventEmitter {
+  /**
+   * Creates an instance of OutlierDetector.
+   * @param {Object} [opts]
+   * @param {Number} [opts.consecutiveFailures=5] - consecutive failures
+   *  to eject
+   * @param {Number} [opts.errorRate] - error rate to eject between 0 and 1,
+   *  disabled by default
+   * @param {Number} [opts.minResults=10] - minimum results in the interval
+   *  for the error rate
+   * @param {Number} [opts.interval=10000] - error rate interval
+   *  in milliseconds
+   * @param {Number} [opts.baseEjectionTime=30000] - in milliseconds
+   * @param {Number} [opts.maxEjectionTime=300000] - in milliseconds
+   * @param {Number} [opts.maxEjectionPercent=50] - maximum percentage
+   *  of ejected backends
+   * @memberof OutlierDetector
+   */
+  constructor ({
+    consecutiveFailures = 5,
+    errorRate,
+    minResults = 10,
+    interval = 10000,
+    baseEjectionTime = 30000,
+    maxEjectionTime = 300000,
+    maxEjectionPercent = 50
+  } = {}) {
+    super()
+
+    assert.isAtLeast(consecutiveFailures, 1, 'options.consecutiveFailures')
+    if (errorRate !== undefined) {
+      assert.isNumber(errorRate, 'options.errorRate')
+      assert.isAbove(errorRate, 0, 'options.errorRate')
+      assert.isAtMost(errorRate, 1, 'options.errorRate')
+    }
+    assert.isAtLeast(minResults, 1, 'options.minResults')
+    assert.isNumber(interval, 'options.interval')
+    assert.isNumber(baseEjectionTime, 'options.baseEjectionTime')
+    assert.isAtLeast(
+      maxEjectionTime,
+      baseEjectionTime,
+      'options.maxEjectionTime'
+    )
+    assert.isNumber(maxEjectionPercent, 'options.maxEjectionPercent')
+    assert.isAtMost(maxEjectionPercent, 100, 'options.maxEjectionPercent')
+
+    this.consecutiveFailures = consecutiveFailures
+    this.errorRate = errorRate
+    this.minResults = minResults
+    this.interval = interval
+    this.baseEjectionTime = baseEjectionTime
+    this.maxEjectionTime = maxEjectionTime
+    this.maxEjectionPercent = maxEjectionPercent
+    this._hosts = new Map()
+  }
+
+  /**
+   * Tracks the given backends and forgets the others
+   * @method update
+   * @public
+   * @param {Array.<Backend>} backends
+   * @memberof OutlierDetector
+   */
+  update (backends) {
+    const _this = this
+    const keys = new Set()
+
+    backends.forEach(function trackBackend (backend) {
+      keys.add(backend.key)
+
+      if (!_this._hosts.has(backend.key)) {
+        _this._hosts.set(backend.key, {
+          successes: 0,
+          failures: 0,
+          consecutive: 0,
+          windowStart: Date.now(),
+          ejected: false,
+          ejections: 0,
+          admittedAt: undefined,
+          timer: undefined
+        })
+      }
+    })
+
+    this._hosts.forEach(function forgetBackend (host, key) {
+      if (!keys.has(key)) {
+        clearTimeout(host.timer)
+        _this._hosts.delete(key)
+      }
+    })
+  }
+
+  /**
+   * Records the result of a request or connection to the backend,
+   * results of ejected and unknown backends are ignored
+   * @method report
+   * @public
+   * @param {String} key - Backend.key
+   * @param {Boolean} ok
+   * @returns {Boolean} recorded
+   * @memberof OutlierDetector
+   */
+  report (key, ok) {
+    const host = this._hosts.get(key)
+    const now = Date.now()
+
+    if (!host || host.ejected) {
+      return false
+    }
+
+    if (now - host.windowStart >= this.interval) {
+      host.successes = 0
+      host.failures = 0
+      host.windowStart = now
+    }
+
+    if (ok) {
+      host.successes += 1
+      host.consecutive = 0
+      return true
+    }
+
+    host.failures += 1
+    host.consecutive += 1
+
+    const results = host.successes + host.failures
+    const outlier = host.consecutive >= this.consecutiveFailures ||
+      (this.errorRate !== undefined && results >= this.minResults &&
+        host.failures / results >= this.errorRate)
+
+    if (outlier && this._canEject()) {
+      this._eject(key, host)
+    }
+
+    return true
+  }
+
+  /**
+   * Backends without tracking are not ejected
+   * @method isEjected
+   * @public
+   * @param {String} key - Backend.key
+   * @returns {Boolean}
+   * @memberof OutlierDetector
+   */
+  isEjected (key) {
+    const host = this._hosts.get(key)
+
+    return host ? host.ejected : false
+  }
+
+  /**
+   * Forgets every backend
+   * @method stop
+   * @public
+   * @memberof OutlierDetector
+   */
+  stop () {
+    this.update([])
+  }
+
+  /**
+   * Whether one more backend can be ejected within maxEjectionPercent
+   * @method _canEject
+   * @private
+   * @returns {Boolean}
+   * @memberof OutlierDetector
+   */
+  _canEject () {
+    let ejected = 0
+
+    this._hosts.forEach(function countEjected (host) {
+      if (host.ejected) {
+        ejected += 1
+      }
+    })
+
+    return ejected + 1 <=
+      Math.floor((this._hosts.size * this.maxEjectionPercent) / 100)
+  }
+
+  /**
+   * Ejects the backend and schedules its re-admission
+   * @method _eject
+   * @private
+   * @param {String} key
+   * @param {Object} host
+   * @memberof OutlierDetector
+   */
+  _eject (key, host) {
+    const _this = this
+    const now = Date.now()
+
+    // Ejection time resets after a long enough healthy period
+    if (host.admittedAt !== undefined &&
+      now - host.admittedAt >= this.maxEjectionTime) {
+      host.ejections = 0
+    }
+
+    host.ejected = true
+    host.ejections += 1
+
+    const duration = Math.min(
+      this.baseEjectionTime * (2 ** (host.ejections - 1)),
+      this.maxEjectionTime
+    )
+
+    host.timer = setTimeout(function admit () {
+      host.ejected = false
+      host.admittedAt = Date.now()
+      host.successes = 0
+      host.failures = 0
+      host.consecutive = 0
+      host.windowStart = host.admittedAt
+      _this.emit('change', key, false)
+    }, duration)
+
+    this.emit('change', key, true, duration)
+  }
+}
+
+module.exports = OutlierDetector
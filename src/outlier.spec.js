@@ -0,0 +1,140 @@
+'use strict'
+
+const { assert } = require('chai')
+const Backend = require('./backend')
+const OutlierDetector = require('./outlier')
+
+describe('OutlierDetector', () => {
+  const backends = [1, 2, 3, 4].map((i) => new Backend({
+    address: `10.0.0.${i}`,
+    port: 80
+  }))
+  const [first, second, third] = backends.map((backend) => backend.key)
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new OutlierDetector({
+        consecutiveFailures: 0
+      })
+    }, /options.consecutiveFailures/)
+
+    assert.throws(() => {
+      new OutlierDetector({
+        errorRate: 2
+      })
+    }, /options.errorRate/)
+
+    assert.throws(() => {
+      new OutlierDetector({
+        baseEjectionTime: 1000,
+        maxEjectionTime: 10
+      })
+    }, /options.maxEjectionTime/)
+  })
+
+  it('should eject after consecutive failures', function () {
+    const clock = this.sandbox.useFakeTimers()
+    const detector = new OutlierDetector({
+      consecutiveFailures: 2,
+      baseEjectionTime: 100
+    })
+    const changes = []
+
+    detector.on('change', (key, ejected, duration) => {
+      changes.push([key, ejected, duration])
+    })
+    detector.update(backends)
+
+    assert.isTrue(detector.report(first, false))
+    assert.isTrue(detector.report(first, true))
+    detector.report(first, false)
+    assert.isFalse(detector.isEjected(first))
+
+    detector.report(first, false)
+    assert.isTrue(detector.isEjected(first))
+    // Results of ejected backends are ignored
+    assert.isFalse(detector.report(first, false))
+
+    clock.tick(100)
+    assert.isFalse(detector.isEjected(first))
+    assert.deepEqual(changes, [
+      [first, true, 100],
+      [first, false, undefined]
+    ])
+    detector.stop()
+  })
+
+  it('should double the ejection time', function () {
+    const clock = this.sandbox.useFakeTimers()
+    const detector = new OutlierDetector({
+      consecutiveFailures: 1,
+      baseEjectionTime: 100,
+      maxEjectionTime: 300
+    })
+    const durations = []
+
+    detector.on('change', (key, ejected, duration) => {
+      if (ejected) {
+        durations.push(duration)
+      }
+    })
+    detector.update(backends)
+
+    for (let i = 0; i < 3; i += 1) {
+      detector.report(first, false)
+      clock.tick(durations[i])
+    }
+
+    // Resets after a healthy period of maxEjectionTime
+    clock.tick(300)
+    detector.report(first, false)
+
+    assert.deepEqual(durations, [100, 200, 300, 100])
+    detector.stop()
+  })
+
+  it('should eject by error rate', () => {
+    const detector = new OutlierDetector({
+      errorRate: 0.5,
+      minResults: 4
+    })
+
+    detector.update(backends)
+    detector.report(first, false)
+    detector.report(first, true)
+    detector.report(first, false)
+    assert.isFalse(detector.isEjected(first))
+
+    detector.report(first, true)
+    detector.report(first, false)
+    assert.isTrue(detector.isEjected(first))
+    detector.stop()
+  })
+
+  it('should eject at most maxEjectionPercent', () => {
+    const detector = new OutlierDetector({
+      consecutiveFailures: 1
+    })
+
+    detector.update(backends)
+    detector.report(first, false)
+    detector.report(second, false)
+    detector.report(third, false)
+
+    assert.deepEqual(backends.map((backend) =>
+      detector.isEjected(backend.key)), [true, true, false, false])
+
+    // Single backend is never ejected
+    detector.update(backends.slice(2, 3))
+    detector.report(third, false)
+    assert.isFalse(detector.isEjected(third))
+    detector.stop()
+  })
+
+  it('should ignore unknown backends', () => {
+    const detector = new OutlierDetector()
+
+    assert.isFalse(detector.report(first, false))
+    assert.isFalse(detector.isEjected(first))
+  })
+})
@@ -0,0 +1,517 @@
+'use strict'
+
+const EventEmitter = require('events')
+const { assert } = require('chai')
+const Resolver = require('./resolver')
+const EurekaAppsSource = require('./sources/eureka-apps')
+const {
+  DnsSource,
+  FileSource,
+  ConsulSource,
+  KubernetesSource
+} = require('./sources')
+
+// Sources shared by the resolvers with the same options,
+// Eureka apps share the poll of every app of the server
+const SHARED_SOURCES = {
+  eureka: EurekaAppsSource,
+  dns: DnsSource,
+  file: FileSource,
+  consul: ConsulSource,
+  kubernetes: KubernetesSource
+}
+// Source options which default to the service name
+const SERVICE_OPTIONS = {
+  eureka: 'app',
+  dns: 'name',
+  consul: 'service',
+  kubernetes: 'service'
+}
+
+/**
+ * Merges the options, object values are merged one level deep
+ * like the url of "eureka" defaults and the app of a service
+ * @function mergeOptions
+ * @param {...Object} options
+ * @returns {Object} merged
+ */
+function mergeOptions (...options) {
+  const merged = {}
+
+  options.forEach(function mergeOption (opts) {
+    Object.keys(opts).forEach(function mergeKey (key) {
+      const value = opts[key]
+      const previous = merged[key]
+
+      merged[key] = value && previous &&
+        Object.getPrototypeOf(value) === Object.prototype &&
+        Object.getPrototypeOf(previous) === Object.prototype
+        ? Object.assign({}, previous, value)
+        : value
+    })
+  })
+
+  return merged
+}
+
+/**
+ * JSON of the value with sorted object keys, equal options
+ * have the same JSON regardless of the order of their keys
+ * @function stableStringify
+ * @param {*} value
+ * @returns {String}
+ */
+function stableStringify (value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map((key) =>
+      `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+
+    return `{${entries.join(',')}}`
+  }
+
+  return JSON.stringify(value)
+}
+
+/**
+ * Source handle of a resolver, started and stopped by the resolver
+ * @class SourceHandle
+ * @extends {EventEmitter}
+ */
+class SourceHandle extends EventEmitter {
+  /**
+   * Creates an instance of SourceHandle.
+   * @param {SharedSource} shared
+   * @param {Function} select - (result) => backends of the resolver
+   * @memberof SourceHandle
+   */
+  constructor (shared, select) {
+    super()
+
+    this._shared = shared
+    this._select = select
+    this.running = false
+  }
+
+  /**
+   * @method start
+   * @public
+   * @memberof SourceHandle
+   */
+  start () {
+    assert.isNotOk(this.running, 'Source is already started')
+
+    this.running = true
+    this._shared.start(this)
+  }
+
+  /**
+   * @method stop
+   * @public
+   * @memberof SourceHandle
+   */
+  stop () {
+    if (this.running) {
+      this.running = false
+      this._shared.stop()
+    }
+  }
+
+  /**
+   * Emits the result of the shared source with the selected backends
+   * @method _receive
+   * @private
+   * @param {Object} result - { err, backends }
+   * @memberof SourceHandle
+   */
+  _receive ({ err, backends }) {
+    const selected = backends === undefined
+      ? undefined
+      : this._select(backends)
+
+    if (err) {
+      this.emit('error', err, selected)
+      return
+    }
+
+    this.emit('backends', selected)
+  }
+}
+
+/**
+ * Source shared by resolvers, it runs while any of its handles runs.
+ * Handles started later get the last result of the source.
+ * @class SharedSource
+ */
+class SharedSource {
+  /**
+   * Creates an instance of SharedSource.
+   * @param {Source} source
+   * @memberof SharedSource
+   */
+  constructor (source) {
+    const _this = this
+
+    this._source = source
+    this._handles = []
+    this._running = 0
+    this._last = undefined
+
+    source.on('backends', function onBackends (backends) {
+      _this._emit({ err: undefined, backends })
+    })
+    source.on('error', function onError (err, backends) {
+      _this._emit({ err, backends })
+    })
+  }
+
+  /**
+   * Creates a handle for a resolver
+   * @method handle
+   * @public
+   * @param {Function} [select] - (result) => backends of the resolver,
+   *  defaults to the result of the source
+   * @returns {SourceHandle}
+   * @memberof SharedSource
+   */
+  handle (select = (backends) => backends) {
+    const handle = new SourceHandle(this, select)
+
+    this._handles.push(handle)
+    return handle
+  }
+
+  /**
+   * Starts the source for the first running handle,
+   * replays the last result for the others
+   * @method start
+   * @public
+   * @param {SourceHandle} handle
+   * @memberof SharedSource
+   */
+  start (handle) {
+    const last = this._last
+
+    this._running += 1
+
+    if (this._running === 1) {
+      this._last = undefined
+      this._source.start()
+      return
+    }
+
+    if (last) {
+      setImmediate(function replay () {
+        if (handle.running) {
+          handle._receive(last)
+        }
+      })
+    }
+  }
+
+  /**
+   * Stops the source with the last running handle
+   * @method stop
+   * @public
+   * @memberof SharedSource
+   */
+  stop () {
+    this._running -= 1
+
+    if (!this._running) {
+      this._source.stop()
+    }
+  }
+
+  /**
+   * Emits the result to the running handles
+   * @method _emit
+   * @private
+   * @param {Object} result - { err, backends }
+   * @memberof SharedSource
+   */
+  _emit (result) {
+    this._last = result
+    this._handles.forEach(function emitHandle (handle) {
+      if (handle.running) {
+        handle._receive(result)
+      }
+    })
+  }
+}
+
+/**
+ * Resolver of the registry, start() and stop() are reference counted
+ * so the pools using it share one lifecycle
+ * @class SharedResolver
+ * @extends {Resolver}
+ */
+class SharedResolver extends Resolver {
+  /**
+   * Creates an instance of SharedResolver.
+   * @param {Object} opts - options of Resolver
+   * @memberof SharedResolver
+   */
+  constructor (opts) {
+    super(opts)
+
+    this.refs = 0
+  }
+
+  /**
+   * Starts the resolver for the first reference,
+   * after the pending stop when it is stopping
+   * @method start
+   * @public
+   * @memberof SharedResolver
+   */
+  start () {
+    const _this = this
+
+    this.refs += 1
+
+    if (this.refs > 1) {
+      return
+    }
+
+    if (this.isInState('stopped')) {
+      super.start()
+      return
+    }
+
+    this.on('stateChanged', function onStopped (state) {
+      if (state !== 'stopped') {
+        return
+      }
+
+      _this.removeListener('stateChanged', onStopped)
+
+      if (_this.refs > 0 && _this.isInState('stopped')) {
+        Resolver.prototype.start.call(_this)
+      }
+    })
+  }
+
+  /**
+   * Stops the resolver with the last reference
+   * @method stop
+   * @public
+   * @memberof SharedResolver
+   */
+  stop () {
+    assert.isAbove(this.refs, 0, 'cannot call stop() more than start()')
+
+    this.refs -= 1
+
+    if (!this.refs && !this.isInState('stopped')) {
+      super.stop()
+    }
+  }
+
+  /**
+   * Stops the resolver regardless of the references
+   * @method stopAll
+   * @public
+   * @returns {Promise} - resolves when it is stopped
+   * @memberof SharedResolver
+   */
+  stopAll () {
+    if (this.refs) {
+      this.refs = 1
+      this.stop()
+    }
+
+    return this.stopped()
+  }
+}
+
+/**
+ * Registry of resolvers shared by service name
+ * A service gets one Resolver for all of its cueball pools, created from
+ * the defaults, the options of the service and the options of the first
+ * get() call. The service name is the default of the source option which
+ * names the service, like "app" of "eureka" and "name" of "dns".
+ * Resolvers with the same options of DNS, Consul, Kubernetes and file
+ * sources share one poll. Eureka sources with the same options but app
+ * share one poll of every app of the server.
+ * @class ResolverRegistry
+ */
+class ResolverRegistry {
+  /**
+   * Creates an instance of ResolverRegistry.
+   * @param {Object} [opts]
+   * @param {Object} [opts.defaults={}] - options of every Resolver
+   * @param {Object} [opts.services={}] - options of Resolvers by service name
+   * @memberof ResolverRegistry
+   */
+  constructor ({ defaults = {}, services = {} } = {}) {
+    assert.isObject(defaults, 'options.defaults')
+    assert.isObject(services, 'options.services')
+    // Every service would register the same instance
+    assert.isUndefined(
+      defaults.eureka && defaults.eureka.registration,
+      'options.defaults.eureka.registration, register in one service'
+    )
+
+    this.defaults = defaults
+    this.services = services
+    this._resolvers = new Map()
+    this._sources = new Map()
+  }
+
+  /**
+   * Shared Resolver of the service, created on the first call
+   * @method get
+   * @public
+   * @param {String} name - service name
+   * @param {Object} [opts] - options of Resolver, only used
+   *  when the Resolver is created
+   * @returns {Resolver}
+   * @memberof ResolverRegistry
+   */
+  get (name, opts = {}) {
+    assert.isString(name, 'name')
+    assert.isObject(opts, 'options')
+
+    let resolver = this._resolvers.get(name)
+
+    if (!resolver) {
+      resolver = new SharedResolver(this._options(name, opts))
+      this._resolvers.set(name, resolver)
+    }
+
+    return resolver
+  }
+
+  /**
+   * @method has
+   * @public
+   * @param {String} name - service name
+   * @returns {Boolean}
+   * @memberof ResolverRegistry
+   */
+  has (name) {
+    return this._resolvers.has(name)
+  }
+
+  /**
+   * Service names of the created resolvers
+   * @method names
+   * @public
+   * @returns {Array.<String>}
+   * @memberof ResolverRegistry
+   */
+  names () {
+    return Array.from(this._resolvers.keys())
+  }
+
+  /**
+   * Stops every resolver regardless of the references, like on shutdown
+   * @method stop
+   * @public
+   * @returns {Promise} - resolves when every resolver is stopped
+   * @memberof ResolverRegistry
+   */
+  stop () {
+    const resolvers = Array.from(this._resolvers.values())
+
+    return Promise.all(resolvers.map((resolver) => resolver.stopAll()))
+      .then(() => undefined)
+  }
+
+  /**
+   * Options of the Resolver of the service with shared source
+   * @method _options
+   * @private
+   * @param {String} name - service name
+   * @param {Object} opts
+   * @returns {Object} options
+   * @memberof ResolverRegistry
+   */
+  _options (name, opts) {
+    const _this = this
+    const options = mergeOptions(
+      this.defaults,
+      this.services[name] || {},
+      opts
+    )
+
+    Object.keys(SHARED_SOURCES).forEach(function shareSource (type) {
+      const sourceOptions = options[type]
+      const serviceOption = SERVICE_OPTIONS[type]
+
+      if (sourceOptions === undefined) {
+        return
+      }
+
+      assert.isObject(sourceOptions, `options.${type}`)
+
+      if (serviceOption && sourceOptions[serviceOption] === undefined) {
+        options[type] = Object.assign({ [serviceOption]: name }, sourceOptions)
+      }
+
+      // Eureka registration belongs to one resolver
+      if (options[type].registration !== undefined) {
+        return
+      }
+
+      assert.isUndefined(options.source, 'options.source')
+      options.source = _this._source(type, options[type])
+      delete options[type]
+    })
+
+    return options
+  }
+
+  /**
+   * Handle of the shared source with the same options,
+   * Eureka sources share the source of every app
+   * @method _source
+   * @private
+   * @param {String} type - like "eureka"
+   * @param {Object} opts - options of the source
+   * @returns {SourceHandle}
+   * @memberof ResolverRegistry
+   */
+  _source (type, opts) {
+    if (type !== 'eureka') {
+      return this._shared(type, opts).handle()
+    }
+
+    const { app } = opts
+    const appsOptions = Object.assign({}, opts)
+
+    assert.isString(app, 'options.eureka.app')
+    delete appsOptions.app
+
+    return this._shared(type, appsOptions).handle(function selectApp (apps) {
+      return EurekaAppsSource.select(apps, app)
+    })
+  }
+
+  /**
+   * Shared source with the same options
+   * @method _shared
+   * @private
+   * @param {String} type - like "eureka"
+   * @param {Object} opts - options of the source
+   * @returns {SharedSource}
+   * @memberof ResolverRegistry
+   */
+  _shared (type, opts) {
+    const key = `${type} ${stableStringify(opts)}`
+    let shared = this._sources.get(key)
+
+    if (!shared) {
+      shared = new SharedSource(new SHARED_SOURCES[type](opts))
+      this._sources.set(key, shared)
+    }
+
+    return shared
+  }
+}
+
+module.exports = ResolverRegistry
@@ -0,0 +1,139 @@
+'use strict'
+
+const { assert } = require('chai')
+const { createEurekaServer, instance } = require('../test/eureka-server')
+const Resolver = require('./resolver')
+const ResolverRegistry = require('./registry')
+
+describe('ResolverRegistry', () => {
+  let server
+  let url
+
+  beforeEach((done) => {
+    server = createEurekaServer({
+      orders: [instance('10.0.0.1', 8080)],
+      users: [instance('10.0.0.2', 8080)]
+    })
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}`
+      done()
+    })
+  })
+
+  afterEach((done) => {
+    server.close(done)
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new ResolverRegistry({
+        defaults: 'orders'
+      })
+    }, /options.defaults/)
+
+    assert.throws(() => {
+      new ResolverRegistry({
+        defaults: {
+          eureka: {
+            url: 'http://127.0.0.1:8761',
+            registration: {
+              app: 'me',
+              instance: { ipAddr: '10.1.0.1', port: 8080 }
+            }
+          }
+        }
+      })
+    }, /options.defaults.eureka.registration/)
+
+    assert.throws(() => {
+      new ResolverRegistry().get()
+    }, /name/)
+  })
+
+  it('should share one resolver per service', () => {
+    const registry = new ResolverRegistry({
+      defaults: { defaultPort: 8080 },
+      services: { users: { defaultPort: 9090 } }
+    })
+    const resolver = registry.get('orders', { defaultPort: 9000 })
+
+    assert.instanceOf(resolver, Resolver)
+    assert.equal(registry.get('orders'), resolver)
+    assert.equal(resolver.defaultPort, 9000)
+    assert.equal(registry.get('users').defaultPort, 9090)
+    assert.equal(registry.get('products').defaultPort, 8080)
+    assert.isTrue(registry.has('orders'))
+    assert.isFalse(registry.has('payments'))
+    assert.deepEqual(registry.names(), ['orders', 'users', 'products'])
+  })
+
+  it('should count references of start() and stop()', () => {
+    const registry = new ResolverRegistry()
+    const resolver = registry.get('orders', { backends: ['10.0.0.1'] })
+
+    resolver.start()
+    resolver.start()
+
+    return resolver.ready({ minBackends: 1 })
+      .then(() => {
+        resolver.stop()
+        assert.isTrue(resolver.isInState('running'))
+
+        resolver.stop()
+        assert.throws(() => {
+          resolver.stop()
+        }, /cannot call stop\(\) more than start\(\)/)
+
+        // Starts again after the pending stop
+        resolver.start()
+
+        return new Promise((resolve) => {
+          resolver.on('stateChanged', (state) => {
+            if (state === 'running') {
+              resolve()
+            }
+          })
+        })
+      })
+      .then(() => {
+        resolver.stop()
+
+        return resolver.stopped()
+      })
+  })
+
+  it('should share the poll of every Eureka app', () => {
+    const registry = new ResolverRegistry({
+      defaults: { eureka: { url, interval: 60000 } },
+      services: { 'orders-canary': { eureka: { app: 'orders' } } }
+    })
+    const orders = registry.get('orders')
+    const canary = registry.get('orders-canary')
+    const users = registry.get('users')
+
+    orders.start()
+
+    return orders.ready({ minBackends: 1 })
+      .then(() => {
+        canary.start()
+        users.start()
+
+        return Promise.all([
+          canary.ready({ minBackends: 1 }),
+          users.ready({ minBackends: 1 })
+        ])
+      })
+      .then(() => {
+        assert.deepEqual(server.requests, ['GET /eureka/apps'])
+        assert.equal(canary.list()[0].service.name, '10.0.0.1:8080')
+        assert.equal(users.list()[0].service.name, '10.0.0.2:8080')
+
+        return registry.stop()
+      })
+      .then(() => {
+        assert.isTrue(orders.isInState('stopped'))
+        assert.isTrue(canary.isInState('stopped'))
+        assert.isTrue(users.isInState('stopped'))
+      })
+  })
+})
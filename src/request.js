@@ -0,0 +1,125 @@
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const { URL } = require('url')
+
+const PROTOCOLS = ['http:', 'https:']
+
+/**
+ * Whether the URL is valid and its protocol is http or https
+ * @function isHttpUrl
+ * @param {String} url
+ * @returns {Boolean}
+ */
+function isHttpUrl (url) {
+  try {
+    return PROTOCOLS.includes(new URL(url).protocol)
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Sends an HTTP request and parses the JSON response
+ * @function request
+ * @param {Object} opts
+ * @param {String} opts.url
+ * @param {String} [opts.method='GET']
+ * @param {Object} [opts.headers={}]
+ * @param {Object} [opts.body] - serialized as JSON
+ * @param {Number} [opts.timeout=5000] - in milliseconds
+ * @param {String|Buffer} [opts.ca] - trusted CA certificates of https
+ * @param {Function} callback - (err, body, res)
+ * @returns {http.ClientRequest|undefined} - undefined when the request
+ *  cannot be created, like for an invalid URL
+ */
+function request ({
+  url,
+  method = 'GET',
+  headers = {},
+  body,
+  timeout = 5000,
+  ca
+}, callback) {
+  let payload
+  let req
+  let done = false
+
+  function finish (err, data, res) {
+    if (done) {
+      return
+    }
+    done = true
+    callback(err, data, res)
+  }
+
+  headers = Object.assign({ accept: 'application/json' }, headers)
+
+  if (body !== undefined) {
+    payload = JSON.stringify(body)
+    headers['content-type'] = 'application/json'
+    headers['content-length'] = Buffer.byteLength(payload)
+  }
+
+  function onResponse (res) {
+    const chunks = []
+
+    res.on('data', function onData (chunk) {
+      chunks.push(chunk)
+    })
+    res.on('error', finish)
+    res.on('end', function onEnd () {
+      const raw = Buffer.concat(chunks).toString('utf8')
+      const status = res.statusCode
+      let data
+
+      if (status < 200 || status >= 300) {
+        const err = new Error(`${method} ${url} responded with ${status}`)
+        err.statusCode = status
+        finish(err, undefined, res)
+        return
+      }
+
+      try {
+        data = raw.length ? JSON.parse(raw) : undefined
+      } catch (err) {
+        finish(err, undefined, res)
+        return
+      }
+
+      finish(undefined, data, res)
+    })
+  }
+
+  // Invalid URLs throw, they are passed to the callback like other errors
+  try {
+    const target = new URL(url)
+    const transport = target.protocol === 'https:' ? https : http
+
+    req = transport.request({
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: `${target.pathname}${target.search}`,
+      method,
+      headers,
+      ca
+    }, onResponse)
+  } catch (err) {
+    setImmediate(finish, err)
+    return undefined
+  }
+
+  req.setTimeout(timeout, function onTimeout () {
+    req.abort()
+    finish(new Error(`${method} ${url} timed out after ${timeout}ms`))
+  })
+  req.on('error', finish)
+  req.end(payload)
+
+  return req
+}
+
+module.exports = request
+module.exports.isHttpUrl = isHttpUrl
@@ -0,0 +1,23 @@
+'use strict'
+
+const { assert } = require('chai')
+const request = require('./request')
+
+describe('request', () => {
+  it('should check http and https URLs', () => {
+    assert.isTrue(request.isHttpUrl('http://127.0.0.1:8761'))
+    assert.isTrue(request.isHttpUrl('https://kubernetes.default'))
+    assert.isFalse(request.isHttpUrl('localhost:8761'))
+    assert.isFalse(request.isHttpUrl('ftp://127.0.0.1'))
+    assert.isFalse(request.isHttpUrl('/eureka'))
+  })
+
+  it('should call back with error of invalid URL', (done) => {
+    const req = request({ url: 'localhost:8761' }, (err) => {
+      assert.instanceOf(err, Error)
+      done()
+    })
+
+    assert.isUndefined(req)
+  })
+})
@@ -1,8 +1,30 @@
 'use strict'
 
+const os = require('os')
 const { FSM } = require('mooremachine')
 const { assert } = require('chai')
 const Backend = require('./backend')
+const ChangeIterator = require('./changes')
+const FlapDamper = require('./damping')
+const EurekaRegistrar = require('./eureka-registrar')
+const { getGroup, selectCanary } = require('./canary')
+const { selectTier } = require('./failover')
+const { checkUpdate } = require('./guard')
+const HealthChecker = require('./health-check')
+const HostnameResolver = require('./hostname')
+const Metrics = require('./metrics')
+const OutlierDetector = require('./outlier')
+const Snapshot = require('./snapshot')
+const { selectSubset } = require('./subset')
+const { UNKNOWN_ZONE, getZone, selectZone } = require('./zone')
+const {
+  EurekaSource,
+  DnsSource,
+  FileSource,
+  ConsulSource,
+  KubernetesSource,
+  CompositeSource
+} = require('./sources')
 
 const STATE = {
   stopped: 'stopped',
@@ -15,7 +37,36 @@ const EVENT = {
   startAsserted: 'startAsserted',
   stopAsserted: 'stopAsserted',
   added: 'added',
-  removed: 'removed'
+  removed: 'removed',
+  damping: 'damping',
+  warning: 'warning'
+}
+// Admin states of backends
+const BACKEND_STATE = {
+  active: 'active',
+  draining: 'draining',
+  maintenance: 'maintenance'
+}
+const { METRIC } = Metrics
+// Logger without "log" option
+const NOOP_LOG = {
+  trace () {},
+  debug () {},
+  info () {},
+  warn () {},
+  error () {},
+  child () {
+    return NOOP_LOG
+  }
+}
+// Source options of the Resolver
+const SOURCES = {
+  eureka: EurekaSource,
+  dns: DnsSource,
+  file: FileSource,
+  consul: ConsulSource,
+  kubernetes: KubernetesSource,
+  composite: CompositeSource
 }
 
 /**
@@ -40,153 +91,1198 @@ class Resolver extends FSM {
   /**
    * Creates an instance of Resolver.
    * @param {Object} [opts]
-   * @param {Array.<Backend>} [opts.backends=[]]
+   * @param {Array.<Backend|Object|String>} [opts.backends=[]] - strings
+   *  like "10.0.0.1:8080" or "[::1]:8080"
    * @param {Number} [opts.defaultPort=80]
+   * @param {Source} [opts.source] - dynamic backend source
+   * @param {Object} [opts.eureka] - options of EurekaSource
+   * @param {Object} [opts.eureka.registration] - options of EurekaRegistrar
+   *  which registers the own instance, url, app and timeout default to
+   *  the ones of the source
+   * @param {Object} [opts.dns] - options of DnsSource
+   * @param {Object} [opts.file] - options of FileSource
+   * @param {Object} [opts.consul] - options of ConsulSource
+   * @param {Object} [opts.kubernetes] - options of KubernetesSource
+   * @param {Object} [opts.composite] - options of CompositeSource,
+   *  defaultPort defaults to the one of the Resolver
+   * @param {Boolean} [opts.failover=false] - advertise only the preferred
+   *  priority tier of backends
+   * @param {Object} [opts.zone] - advertise only the backends
+   *  of the local zone
+   * @param {String} opts.zone.local - local zone
+   * @param {Number} [opts.zone.minCount=1] - spills over to every zone
+   *  below this count of healthy local backends
+   * @param {Number} [opts.zone.minPercent=0] - spills over to every zone
+   *  below this percentage of healthy local backends
+   * @param {Object} [opts.subset] - advertise a stable subset of the
+   *  backends, chosen by rendezvous hashing of the client ID or by
+   *  deterministic aperture with the index of the client
+   * @param {Number} opts.subset.size - count of advertised backends
+   * @param {String} [opts.subset.clientId=os.hostname()] - ID of the client
+   * @param {Number} [opts.subset.clientIndex] - index of the client
+   *  between 0 and clientCount - 1, spreads the clients evenly
+   * @param {Number} [opts.subset.clientCount] - count of the clients
+   * @param {Object} [opts.canary] - advertise the canary group
+   *  in a share of the backends
+   * @param {String} [opts.canary.group="canary"] - group of canary backends
+   * @param {Number} [opts.canary.share=0] - target share of the canary group
+   *  between 0 and 1, see setCanaryShare()
+   * @param {Object} [opts.healthCheck] - options of HealthChecker,
+   *  unhealthy backends are not advertised
+   * @param {Object} [opts.outlierDetection] - options of OutlierDetector,
+   *  backends are ejected by the results of reportResult()
+   * @param {Object} [opts.damping] - options of FlapDamper, holds
+   *  the removals and suppresses the flapping of backends
+   * @param {Object} [opts.guard] - holds updates which remove too many
+   *  backends until they persist for confirmTime or confirmUpdate() is called
+   * @param {Number} [opts.guard.maxRemovalPercent=50] - maximum percentage
+   *  of removed backends
+   * @param {Number} [opts.guard.minBackends=1] - minimum count of backends
+   * @param {Number} [opts.guard.confirmTime=60000] - in milliseconds
+   * @param {Object} [opts.hostnames] - options of HostnameResolver
+   *  which resolves hostname backends
+   * @param {Object} [opts.log] - bunyan compatible logger
+   * @param {Object} [opts.metrics] - metrics collector with
+   *  increment(name, labels, value) and set(name, labels, value) methods,
+   *  like Metrics
+   * @param {Object} [opts.snapshot] - options of Snapshot, backends of the
+   *  source are saved on change and loaded as stale on start
+   * @memberof Resolver
+   */
+  constructor ({
+    defaultPort = 80,
+    backends = [],
+    source,
+    eureka,
+    dns,
+    file,
+    consul,
+    kubernetes,
+    composite,
+    failover = false,
+    zone,
+    subset,
+    canary,
+    healthCheck,
+    outlierDetection,
+    damping,
+    guard,
+    hostnames = {},
+    log,
+    metrics,
+    snapshot
+  } = {}) {
+    super(STATE.stopped)
+
+    this.defaultPort = defaultPort
+    this.failover = failover
+    this._backends = new Map()
+    this._advertised = new Map()
+    this._lastError = undefined
+    this._queue = []
+    this._lastState = undefined
+    this._stateChangedAt = undefined
+    this._snapshot = undefined
+    this._snapshotContent = undefined
+    this._snapshotScheduled = false
+    this._stale = false
+    this.registrar = undefined
+    this._zone = undefined
+    this._spillover = false
+    this._subset = undefined
+    this._canary = undefined
+    this._backendStates = new Map()
+    this._guard = undefined
+    this._pendingUpdate = undefined
+    this._confirming = false
+
+    assert.isNumber(defaultPort, 'options.defaultPort')
+    assert.isArray(backends, 'options.backends')
+    assert.isBoolean(failover, 'options.failover')
+
+    if (zone !== undefined) {
+      assert.isObject(zone, 'options.zone')
+      assert.isString(zone.local, 'options.zone.local')
+      this._zone = Object.assign({ minCount: 1, minPercent: 0 }, zone)
+      assert.isNumber(this._zone.minCount, 'options.zone.minCount')
+      assert.isNumber(this._zone.minPercent, 'options.zone.minPercent')
+      assert.isAtMost(this._zone.minPercent, 100, 'options.zone.minPercent')
+    }
+
+    if (subset !== undefined) {
+      assert.isObject(subset, 'options.subset')
+      this._subset = Object.assign({ clientId: os.hostname() }, subset)
+      assert.isAtLeast(this._subset.size, 1, 'options.subset.size')
+      assert.isString(this._subset.clientId, 'options.subset.clientId')
+
+      const { clientIndex, clientCount } = this._subset
+
+      if (clientIndex !== undefined || clientCount !== undefined) {
+        assert.isAtLeast(clientCount, 1, 'options.subset.clientCount')
+        assert.isAtLeast(clientIndex, 0, 'options.subset.clientIndex')
+        assert.isBelow(clientIndex, clientCount, 'options.subset.clientIndex')
+      }
+    }
+
+    if (canary !== undefined) {
+      assert.isObject(canary, 'options.canary')
+      this._canary = Object.assign({ group: 'canary', share: 0 }, canary)
+      assert.isString(this._canary.group, 'options.canary.group')
+      assert.isNumber(this._canary.share, 'options.canary.share')
+      assert.isAtLeast(this._canary.share, 0, 'options.canary.share')
+      assert.isAtMost(this._canary.share, 1, 'options.canary.share')
+    }
+
+    if (guard !== undefined) {
+      assert.isObject(guard, 'options.guard')
+      this._guard = Object.assign({
+        maxRemovalPercent: 50,
+        minBackends: 1,
+        confirmTime: 60000
+      }, guard)
+      assert.isNumber(
+        this._guard.maxRemovalPercent,
+        'options.guard.maxRemovalPercent'
+      )
+      assert.isNumber(this._guard.minBackends, 'options.guard.minBackends')
+      assert.isNumber(this._guard.confirmTime, 'options.guard.confirmTime')
+    }
+
+    if (eureka !== undefined && eureka.registration !== undefined) {
+      const { registration } = eureka
+
+      assert.isObject(registration, 'options.eureka.registration')
+      // Own app is never the discovered one, so it is not defaulted
+      assert.isString(registration.app, 'options.eureka.registration.app')
+      eureka = Object.assign({}, eureka)
+      delete eureka.registration
+
+      this.registrar = new EurekaRegistrar(Object.assign({
+        url: eureka.url,
+        timeout: eureka.timeout
+      }, registration))
+      this.registrar.on('error', (err) => this.emit('error', err))
+    }
+
+    const sourceOptions = {
+      eureka,
+      dns,
+      file,
+      consul,
+      kubernetes,
+      composite: composite && Object.assign({ defaultPort }, composite)
+    }
+
+    Object.keys(SOURCES).forEach(function createSource (name) {
+      if (sourceOptions[name] !== undefined) {
+        assert.isUndefined(source, 'options.source')
+        source = new SOURCES[name](sourceOptions[name])
+      }
+    })
+
+    if (source !== undefined) {
+      assert.isObject(source, 'options.source')
+      assert.isFunction(source.start, 'options.source.start')
+      assert.isFunction(source.stop, 'options.source.stop')
+
+      // Every refresh of the source replaces the backends
+      assert.isTrue(
+        !Array.isArray(backends) || !backends.length,
+        'options.backends cannot be combined with a source'
+      )
+    }
+
+    // Priorities of the children are only preferred by failover
+    if (source instanceof CompositeSource &&
+      source.strategy === CompositeSource.STRATEGY.priorityOverride) {
+      assert.isTrue(
+        failover,
+        'options.composite.strategy "priorityOverride" requires failover'
+      )
+    }
+
+    this._source = source
+    this._healthChecker = undefined
+    this._outlierDetector = undefined
+    this._damper = undefined
+    this._coalesceTimer = undefined
+
+    if (log !== undefined) {
+      assert.isObject(log, 'options.log')
+      assert.isFunction(log.child, 'options.log.child')
+    }
+    if (metrics !== undefined) {
+      assert.isObject(metrics, 'options.metrics')
+      assert.isFunction(metrics.increment, 'options.metrics.increment')
+      assert.isFunction(metrics.set, 'options.metrics.set')
+    }
+
+    this._log = (log || NOOP_LOG).child({ component: 'CueBallResolver' })
+    this.metrics = metrics
+
+    if (snapshot !== undefined) {
+      assert.isObject(snapshot, 'options.snapshot')
+      assert.isOk(source, 'options.snapshot requires a source')
+      this._snapshot = new Snapshot(snapshot)
+    }
+
+    assert.isObject(hostnames, 'options.hostnames')
+    this._hostnames = new HostnameResolver(hostnames)
+    this._hostnames.on('change', this._reconcile.bind(this))
+    this._hostnames.on('error', (err) => this.emit('error', err))
+
+    if (healthCheck !== undefined) {
+      assert.isObject(healthCheck, 'options.healthCheck')
+      this._healthChecker = new HealthChecker(healthCheck)
+      this._healthChecker.on('change', this._reconcile.bind(this))
+    }
+
+    if (outlierDetection !== undefined) {
+      assert.isObject(outlierDetection, 'options.outlierDetection')
+      this._outlierDetector = new OutlierDetector(outlierDetection)
+      this._outlierDetector.on('change', this._onEjection.bind(this))
+    }
+
+    if (damping !== undefined) {
+      assert.isObject(damping, 'options.damping')
+      this._damper = new FlapDamper(damping)
+      this._damper.on('decision', this._onDamping.bind(this))
+    }
+
+    this._loadBackends(backends)
+
+    this.on('error', function onError (err) {
+      this._lastError = err
+      this._log.warn({ err }, 'resolver error')
+      this._record('increment', METRIC.errors)
+    })
+    this.on('stateChanged', this._onStateChanged)
+  }
+
+  /**
+   * Adds a new backend
+   * @method addBackend
+   * @public
+   * @param {Backend|Object|String} backend - like "10.0.0.1:8080"
+   *  or "[::1]:8080" as string
+   * @param {String} backend.address
+   * @param {Number} [backend.port]
+   * @param {Number} [backend.weight]
+   * @param {Number} [backend.priority]
+   * @param {Object} [backend.metadata]
+   * @param {String} [backend.zone]
+   * @param {String} [backend.group]
+   * @returns {Backend}
+   * @memberof Resolver
+   */
+  addBackend (backend) {
+    backend = this._createBackend(backend)
+
+    if (this._isActive()) {
+      this._backends.set(backend.key, backend)
+      this._reconcile()
+    } else {
+      this._queue.push({
+        key: backend.key,
+        operation: 'add',
+        backend
+      })
+      this._updateGauges()
+    }
+
+    return backend
+  }
+
+  /**
+   * Removes a backend
+   * @method removeBackend
+   * @public
+   * @param {Backend|Object|String} backend
+   * @param {String} backend.address
+   * @param {Number} [backend.port]
+   * @returns {Backend}
+   * @memberof Resolver
+   */
+  removeBackend (backend) {
+    backend = this._createBackend(backend)
+
+    if (this._isActive()) {
+      this._backends.delete(backend.key)
+      this._reconcile()
+    } else {
+      this._queue.push({
+        key: backend.key,
+        operation: 'remove',
+        backend
+      })
+      this._updateGauges()
+    }
+
+    return backend
+  }
+
+  /**
+   * Clears backends and loads with new one,
+   * updates which remove too many backends are held by the guard
+   * @method resetBackends
+   * @public
+   * @param {Array.<Backend>} [opts.backends=[]]
+   * @memberof Resolver
+   */
+  resetBackends (backends = []) {
+    const _this = this
+    const next = new Map()
+
+    backends.forEach(function createBackend (backend, i) {
+      if (!(backend instanceof Backend)) {
+        Backend.validate(backend, `backends[${i}]`)
+      }
+
+      backend = _this._createBackend(backend)
+      next.set(backend.key, backend)
+    })
+
+    if (this._guardUpdate(next, () => this.resetBackends(backends))) {
+      return
+    }
+
+    _this._queue = []
+    _this._updateGauges()
+
+    setImmediate(function setImmediate () {
+      // Clear backends
+      _this._backends.forEach(function removeBackend (backend) {
+        return _this.removeBackend(backend)
+      })
+
+      _this._loadBackends(backends)
+    })
+  }
+
+  /**
+   * Sets the admin state of a backend. Draining and maintenance backends
+   * are removed from cueball but kept in the resolver. The state is kept
+   * by Backend.key, so it survives the refreshes of the source,
+   * replaces and the removal of the backend.
+   * @method setBackendState
+   * @public
+   * @param {Backend|Object} backend
+   * @param {String} backend.address
+   * @param {Number} [backend.port]
+   * @param {String} state - "active", "draining" or "maintenance"
+   * @param {Object} [opts]
+   * @param {Number} [opts.ttl] - reverts to "active" after it
+   *  in milliseconds
+   * @returns {Backend}
+   * @memberof Resolver
+   */
+  setBackendState (backend, state, { ttl } = {}) {
+    const _this = this
+
+    assert.include(Object.values(BACKEND_STATE), state, 'state')
+    if (ttl !== undefined) {
+      assert.isNumber(ttl, 'options.ttl')
+      assert.isAbove(ttl, 0, 'options.ttl')
+    }
+
+    backend = this._createBackend(backend)
+
+    const { key } = backend
+    const current = this._backendStates.get(key)
+
+    if (current) {
+      clearTimeout(current.timer)
+      this._backendStates.delete(key)
+    }
+
+    if (state !== BACKEND_STATE.active) {
+      const item = {
+        state,
+        expiresAt: undefined,
+        timer: undefined
+      }
+
+      if (ttl !== undefined) {
+        item.expiresAt = Date.now() + ttl
+        item.timer = setTimeout(function expireState () {
+          _this._log.info({ key, state }, 'backend state expired')
+          _this._backendStates.delete(key)
+          _this._reconcile()
+        }, ttl)
+        // Does not keep the process running
+        item.timer.unref()
+      }
+
+      this._backendStates.set(key, item)
+    }
+
+    this._log.info({ key, state, ttl }, 'backend state changed')
+    this._reconcile()
+
+    return backend
+  }
+
+  /**
+   * Admin state of a backend
+   * @method getBackendState
+   * @public
+   * @param {Backend|Object} backend
+   * @param {String} backend.address
+   * @param {Number} [backend.port]
+   * @returns {Object} - { state, expiresAt } where expiresAt is
+   *  the timestamp of the TTL
+   * @memberof Resolver
+   */
+  getBackendState (backend) {
+    const item = this._backendStates.get(this._createBackend(backend).key)
+
+    return item ? {
+      state: item.state,
+      expiresAt: item.expiresAt
+    } : {
+      state: BACKEND_STATE.active,
+      expiresAt: undefined
+    }
+  }
+
+  /**
+   * Drains a backend, shorthand of setBackendState(backend, "draining")
+   * @method drainBackend
+   * @public
+   * @param {Backend|Object} backend
+   * @param {String} backend.address
+   * @param {Number} [backend.port]
+   * @param {Object} [opts]
+   * @param {Number} [opts.ttl] - reverts to "active" after it
+   *  in milliseconds
+   * @returns {Backend}
+   * @memberof Resolver
+   */
+  drainBackend (backend, opts) {
+    return this.setBackendState(backend, BACKEND_STATE.draining, opts)
+  }
+
+  /**
+   * Advertises a drained backend again,
+   * shorthand of setBackendState(backend, "active")
+   * @method undrainBackend
+   * @public
+   * @param {Backend|Object} backend
+   * @param {String} backend.address
+   * @param {Number} [backend.port]
+   * @returns {Backend}
+   * @memberof Resolver
+   */
+  undrainBackend (backend) {
+    return this.setBackendState(backend, BACKEND_STATE.active)
+  }
+
+  /**
+   * Replaces backends with the given ones, only the differences are emitted:
+   * "removed" for backends that left and "added" for new ones by Backend.key.
+   * Before "running" state the queued operations are replaced.
+   * Updates which remove too many backends are held by the guard.
+   * @method setBackends
+   * @public
+   * @param {Array.<Backend|Object|String>} [backends=[]]
+   * @returns {Object} summary - { added, removed, unchanged }
+   *  arrays of Backend and pending, true when the update is held
+   *  by the guard
+   * @memberof Resolver
+   */
+  setBackends (backends = []) {
+    const _this = this
+    const next = new Map()
+    const summary = {
+      added: [],
+      removed: [],
+      unchanged: [],
+      pending: false
+    }
+
+    assert.isArray(backends, 'backends')
+
+    backends.forEach(function createBackend (backend, i) {
+      if (!(backend instanceof Backend)) {
+        Backend.validate(backend, `backends[${i}]`)
+      }
+
+      backend = _this._createBackend(backend)
+      next.set(backend.key, backend)
+    })
+
+    // Apply pending operations first to diff against the current set
+    this._flushQueue()
+
+    const current = this._queue.length
+      ? this._applyQueue(this._backends)
+      : this._backends
+
+    summary.pending = this._guardUpdate(next, () => this.setBackends(backends))
+
+    current.forEach(function diffCurrent (backend, key) {
+      if (next.has(key)) {
+        summary.unchanged.push(backend)
+      } else {
+        summary.removed.push(backend)
+      }
+    })
+    next.forEach(function diffNext (backend, key) {
+      if (!current.has(key)) {
+        summary.added.push(backend)
+      }
+    })
+
+    if (summary.pending) {
+      return summary
+    }
+
+    if (this._isActive()) {
+      summary.removed.forEach(function removeBackend (backend) {
+        _this._backends.delete(backend.key)
+      })
+      // Updates attributes of unchanged backends too
+      next.forEach(function addBackend (backend, key) {
+        _this._backends.set(key, backend)
+      })
+      this._reconcile()
+
+      return summary
+    }
+
+    // Queue the differences to the applied set
+    this._queue = []
+    this._updateGauges()
+    this._backends.forEach(function queueRemove (backend, key) {
+      if (!next.has(key)) {
+        _this.removeBackend(backend)
+      }
+    })
+    next.forEach(function queueAdd (backend) {
+      _this.addBackend(backend)
+    })
+
+    return summary
+  }
+
+  /**
+   * Applies the update held by the guard, like an operator override
+   * @method confirmUpdate
+   * @public
+   * @returns {Boolean} confirmed - false without held update
+   * @memberof Resolver
+   */
+  confirmUpdate () {
+    const pending = this._pendingUpdate
+
+    if (!pending) {
+      return false
+    }
+
+    clearTimeout(pending.timer)
+    this._pendingUpdate = undefined
+    this._log.warn({ since: pending.since }, 'held update applied')
+
+    this._confirming = true
+    try {
+      pending.apply()
+    } finally {
+      this._confirming = false
+    }
+
+    return true
+  }
+
+  /**
+   * List backends
+   * @method list
+   * @public
+   * @param {Object} [opts]
+   * @param {Boolean} [opts.advertised=false] - only the backends
+   *  advertised to cueball
+   * @param {Boolean} [opts.healthy=false] - only the healthy backends
+   * @returns {Array.<Backend>}
+   * @memberof Resolver
+   */
+  list ({ advertised = false, healthy = false } = {}) {
+    let backends = advertised ? this._advertised : this._backends
+
+    backends = Array.from(backends.values())
+
+    if (healthy) {
+      backends = backends.filter(this._isHealthy, this)
+    }
+
+    return backends
+  }
+
+  /**
+   * Zone mix of the backends
+   * @method zones
+   * @public
+   * @returns {Object} zones - { local, spillover, zones } where zones has
+   *  the count of backends and advertised backends by zone,
+   *  backends without zone are in the "unknown" zone
+   * @memberof Resolver
+   */
+  zones () {
+    const zones = {}
+
+    function count (backends, property) {
+      backends.forEach(function countBackend (backend) {
+        const zone = getZone(backend) || UNKNOWN_ZONE
+
+        zones[zone] = zones[zone] || { backends: 0, advertised: 0 }
+        zones[zone][property] += 1
+      })
+    }
+
+    count(this._backends, 'backends')
+    count(this._advertised, 'advertised')
+
+    return {
+      local: this._zone && this._zone.local,
+      spillover: this._spillover,
+      zones
+    }
+  }
+
+  /**
+   * Sets the target share of the canary group in the advertised backends
+   * @method setCanaryShare
+   * @public
+   * @param {Number} share - between 0 and 1
+   * @memberof Resolver
+   */
+  setCanaryShare (share) {
+    assert.isNumber(share, 'share')
+    assert.isAtLeast(share, 0, 'share')
+    assert.isAtMost(share, 1, 'share')
+
+    this._canary = Object.assign({ group: 'canary' }, this._canary, { share })
+    this._log.info({ group: this._canary.group, share }, 'canary share set')
+    this._reconcile()
+  }
+
+  /**
+   * Removes the canary group from the advertised backends immediately,
+   * without waiting for the coalesce window of damping
+   * @method rollbackCanary
+   * @public
+   * @memberof Resolver
+   */
+  rollbackCanary () {
+    this._canary = Object.assign({ group: 'canary' }, this._canary, {
+      share: 0
+    })
+    this._log.warn({ group: this._canary.group }, 'canary rolled back')
+
+    clearTimeout(this._coalesceTimer)
+    this._coalesceTimer = undefined
+    this._advertise()
+  }
+
+  /**
+   * Group mix of the backends
+   * @method canary
+   * @public
+   * @returns {Object} canary - { group, share, groups } where groups has
+   *  the count of backends and advertised backends by group,
+   *  backends without group are in the "stable" group
+   * @memberof Resolver
+   */
+  canary () {
+    const groups = {}
+
+    function count (backends, property) {
+      backends.forEach(function countBackend (backend) {
+        const group = getGroup(backend)
+
+        groups[group] = groups[group] || { backends: 0, advertised: 0 }
+        groups[group][property] += 1
+      })
+    }
+
+    count(this._backends, 'backends')
+    count(this._advertised, 'advertised')
+
+    return {
+      group: this._canary && this._canary.group,
+      share: this._canary ? this._canary.share : 0,
+      groups
+    }
+  }
+
+  /**
+   * Load backends
+   * @method _loadBackends
+   * @private
+   * @param {Array.<Backend>} [opts.backends=[]]
+   * @memberof Resolver
+   */
+  _loadBackends (backends = []) {
+    const _this = this
+
+    backends.forEach(function loadBackend (backend, i) {
+      // Validation
+      if (!(backend instanceof Backend)) {
+        Backend.validate(backend, `options.backends[${i}]`)
+      }
+
+      _this.addBackend(backend)
+    })
+  }
+
+  /**
+   * Selects the backends to advertise
+   * @method _select
+   * @private
+   * @returns {Array.<Backend>} backends
+   * @memberof Resolver
+   */
+  _select () {
+    const _this = this
+    const hostnames = []
+    let backends = []
+
+    // Hostname backends are advertised by their IP addresses
+    this._backends.forEach(function expandBackend (backend) {
+      // Hostnames keep resolving in every admin state
+      if (backend.hostname) {
+        hostnames.push(backend)
+      }
+
+      if (_this._backendStates.has(backend.key)) {
+        return
+      }
+
+      if (backend.hostname) {
+        backends.push(..._this._hostnames.resolved(backend.key))
+      } else {
+        backends.push(backend)
+      }
+    })
+    this._hostnames.update(hostnames)
+
+    if (this._healthChecker) {
+      const checker = this._healthChecker
+
+      checker.update(backends)
+      backends = backends.filter((backend) => checker.isHealthy(backend.key))
+    }
+
+    // Ejected backends stay tracked for their re-admission
+    if (this._outlierDetector) {
+      const detector = this._outlierDetector
+
+      detector.update(backends)
+      backends = backends.filter((backend) => !detector.isEjected(backend.key))
+    }
+
+    if (this.failover) {
+      backends = selectTier(backends)
+    }
+
+    if (this._zone) {
+      backends = this._selectZone(backends)
+    }
+
+    // Unhealthy backends are replaced by the next ones of the client
+    if (this._canary) {
+      backends = selectCanary(backends, Object.assign({
+        clientId: os.hostname(),
+        size: Infinity
+      }, this._subset, this._canary))
+    } else if (this._subset) {
+      backends = selectSubset(backends, this._subset)
+    }
+
+    return backends
+  }
+
+  /**
+   * Selects the backends of the local zone and logs the changes of spillover
+   * @method _selectZone
+   * @private
+   * @param {Array.<Backend>} backends
+   * @returns {Array.<Backend>} backends
+   * @memberof Resolver
+   */
+  _selectZone (backends) {
+    const { backends: selected, spillover } = selectZone(backends, this._zone)
+
+    if (spillover !== this._spillover) {
+      this._spillover = spillover
+      this._log.info(
+        { zone: this._zone.local, spillover },
+        spillover ? 'zone spillover started' : 'zone spillover ended'
+      )
+    }
+
+    return selected
+  }
+
+  /**
+   * Backends are healthy without health checks,
+   * ejected backends are unhealthy
+   * @method _isHealthy
+   * @private
+   * @param {Backend} backend
+   * @returns {Boolean}
+   * @memberof Resolver
+   */
+  _isHealthy (backend) {
+    const { key } = backend
+
+    return (!this._healthChecker || this._healthChecker.isHealthy(key)) &&
+      (!this._outlierDetector || !this._outlierDetector.isEjected(key))
+  }
+
+  /**
+   * Records the result of a request or connection to an advertised backend
+   * for outlier detection, like the connection failures of the cueball pool
+   * @method reportResult
+   * @public
+   * @param {String} key - Backend.key
+   * @param {Boolean} ok
+   * @returns {Boolean} recorded - false without outlier detection
+   *  and for unknown or ejected backends
+   * @memberof Resolver
+   */
+  reportResult (key, ok) {
+    assert.isString(key, 'key')
+    assert.isBoolean(ok, 'ok')
+
+    if (!this._outlierDetector) {
+      return false
+    }
+
+    return this._outlierDetector.report(key, ok)
+  }
+
+  /**
+   * Logs and records ejections and re-admissions of backends
+   * @method _onEjection
+   * @private
+   * @param {String} key - Backend.key
+   * @param {Boolean} ejected
+   * @param {Number} [duration] - ejection time in milliseconds
+   * @memberof Resolver
+   */
+  _onEjection (key, ejected, duration) {
+    if (ejected) {
+      this._log.warn({ key, duration }, 'backend ejected')
+      this._record('increment', METRIC.ejections)
+    } else {
+      this._log.info({ key }, 'backend re-admitted')
+    }
+
+    this._reconcile()
+  }
+
+  /**
+   * Logs and emits the decisions of flap damping,
+   * released removals and suppressions are reconciled
+   * @method _onDamping
+   * @private
+   * @param {String} decision - FlapDamper.DECISION
+   * @param {String} key - Backend.key
+   * @param {Backend} backend
+   * @memberof Resolver
+   */
+  _onDamping (decision, key, backend) {
+    const { DECISION } = FlapDamper
+
+    this._log.debug({ key, service: backend.service, decision }, 'damping')
+    this.emit(EVENT.damping, decision, key, backend.service)
+
+    if (decision === DECISION.released || decision === DECISION.unsuppressed) {
+      this._reconcile()
+    }
+  }
+
+  /**
+   * Emits the differences between the advertised and the selected backends,
+   * debounced by the coalesce window of flap damping
+   * @method _reconcile
+   * @private
+   * @memberof Resolver
+   */
+  _reconcile () {
+    const _this = this
+
+    if (!this._isActive() || this._coalesceTimer) {
+      return
+    }
+
+    if (this._damper && this._damper.coalesceWindow) {
+      this._coalesceTimer = setTimeout(function coalesce () {
+        _this._coalesceTimer = undefined
+        _this._advertise()
+      }, this._damper.coalesceWindow)
+      return
+    }
+
+    this._advertise()
+  }
+
+  /**
+   * Keys of the backend set, including the backends of every admin state
+   * and the resolved addresses of hostname backends
+   * @method _present
+   * @private
+   * @returns {Set.<String>} keys
+   * @memberof Resolver
+   */
+  _present () {
+    const _this = this
+    const keys = new Set()
+
+    this._backends.forEach(function addKey (backend) {
+      if (backend.hostname) {
+        _this._hostnames.resolved(backend.key)
+          .forEach((resolved) => keys.add(resolved.key))
+      } else {
+        keys.add(backend.key)
+      }
+    })
+
+    return keys
+  }
+
+  /**
+   * Emits the differences between the advertised and the selected backends
+   * @method _advertise
+   * @private
    * @memberof Resolver
    */
-  constructor ({
-    defaultPort = 80,
-    backends = []
-  } = {}) {
-    super(STATE.stopped)
+  _advertise () {
+    const _this = this
+    let selected = new Map()
 
-    this.defaultPort = defaultPort
-    this._backends = new Map()
-    this._lastError = undefined
-    this._queue = []
+    if (!this._isActive()) {
+      return
+    }
 
-    assert.isNumber(defaultPort, 'options.defaultPort')
-    assert.isArray(backends, 'options.backends')
+    this._select().forEach(function selectBackend (backend) {
+      selected.set(backend.key, backend)
+    })
 
-    this._loadBackends(backends)
+    if (this._damper) {
+      selected = this._damper.apply(selected, this._advertised, this._present())
+    }
 
-    this.on('error', function onError (err) {
-      this._lastError = err
+    this._advertised.forEach(function removeBackend (backend, key) {
+      if (!selected.has(key)) {
+        _this._advertised.delete(key)
+        _this._log.debug({ key, service: backend.service }, 'backend removed')
+        _this._record('increment', METRIC.removed)
+        _this.emit(EVENT.removed, key, backend.service)
+      }
+    })
+
+    selected.forEach(function addBackend (backend, key) {
+      if (!_this._advertised.has(key)) {
+        _this._advertised.set(key, backend)
+        _this._log.debug({ key, service: backend.service }, 'backend added')
+        _this._record('increment', METRIC.added)
+        _this.emit(EVENT.added, key, backend.service)
+      }
     })
+    this._updateGauges()
+    this._saveSnapshot()
   }
 
   /**
-   * Adds a new backend
-   * @method addBackend
-   * @public
-   * @param {Backend|Object} backend
-   * @param {String} backend.address
-   * @param {Number} [backend.port]
-   * @returns {Backend}
+   * Saves the backends to the snapshot when they changed,
+   * changes of the same tick are saved once
+   * @method _saveSnapshot
+   * @private
    * @memberof Resolver
    */
-  addBackend (backend) {
-    backend = this._createBackend(backend)
+  _saveSnapshot () {
+    const _this = this
 
-    if (this.isInState(STATE.running)) {
-      this._backends.set(backend.key, backend)
-      this.emit(EVENT.added, backend.key, backend.service)
-    } else {
-      this._queue.push({
-        key: backend.key,
-        operation: 'add',
-        backend
-      })
+    if (!this._snapshot || this._stale || this._snapshotScheduled) {
+      return
     }
 
-    return backend
+    this._snapshotScheduled = true
+
+    setImmediate(function saveSnapshot () {
+      const backends = _this.list()
+      const content = JSON.stringify(backends.map((backend) => backend.service))
+
+      _this._snapshotScheduled = false
+
+      if (_this._stale || content === _this._snapshotContent) {
+        return
+      }
+
+      _this._snapshotContent = content
+      _this._snapshot.save(backends, function onSave (err) {
+        if (err) {
+          _this._snapshotContent = undefined
+          _this.emit('error', err)
+        }
+      })
+    })
   }
 
   /**
-   * Removes a backend
-   * @method removeBackend
-   * @public
-   * @param {Backend|Object} backend
-   * @param {String} backend.address
-   * @param {Number} [backend.port]
-   * @returns {Backend}
+   * Records a metric when metrics are enabled
+   * @method _record
+   * @private
+   * @param {String} method - "increment" or "set"
+   * @param {String} name - one of Metrics.METRIC
+   * @param {Object} [labels={}]
+   * @param {Number} [value]
    * @memberof Resolver
    */
-  removeBackend (backend) {
-    backend = this._createBackend(backend)
-
-    if (this.isInState(STATE.running)) {
-      this._backends.delete(backend.key)
-      this.emit(EVENT.removed, backend.key, backend.service)
-    } else {
-      this._queue.push({
-        key: backend.key,
-        operation: 'remove',
-        backend
-      })
+  _record (method, name, labels = {}, value) {
+    if (this.metrics) {
+      this.metrics[method](name, labels, value)
     }
+  }
 
-    return backend
+  /**
+   * Records the number of advertised backends and queued operations
+   * @method _updateGauges
+   * @private
+   * @memberof Resolver
+   */
+  _updateGauges () {
+    this._record('set', METRIC.backends, {}, this._advertised.size)
+    this._record('set', METRIC.queueDepth, {}, this._queue.length)
   }
 
   /**
-   * Clears backends and loads with new one
-   * @method resetBackends
-   * @public
-   * @param {Array.<Backend>} [opts.backends=[]]
+   * Logs and records state transitions and the time spent in "failed"
+   * @method _onStateChanged
+   * @private
+   * @param {String} state
    * @memberof Resolver
    */
-  resetBackends (backends = []) {
-    const _this = this
-    _this._queue = []
+  _onStateChanged (state) {
+    const from = this._lastState
+    const now = Date.now()
 
-    setImmediate(function setImmediate () {
-      // Clear backends
-      _this._backends.forEach(function removeBackend (backend) {
-        return _this.removeBackend(backend)
-      })
+    if (from === STATE.failed) {
+      this._record(
+        'increment',
+        METRIC.failedSeconds,
+        {},
+        (now - this._stateChangedAt) / 1000
+      )
+    }
 
-      _this._loadBackends(backends)
-    })
+    if (from !== undefined) {
+      this._log.info({ from, to: state }, 'state changed')
+      this._record('increment', METRIC.transitions, { from, to: state })
+    }
+
+    this._lastState = state
+    this._stateChangedAt = now
   }
 
   /**
-   * Removes a backend
-   * @method list
-   * @public
-   * @returns {Array.<Backend>}
+   * Applies backends of the source, invalid backends are emitted as error
+   * @method _setSourceBackends
+   * @private
+   * @param {Array.<Object>} backends
    * @memberof Resolver
    */
-  list () {
-    return Array.from(this._backends.values())
+  _setSourceBackends (backends) {
+    try {
+      this.setBackends(backends)
+    } catch (err) {
+      this.emit('error', err)
+    }
   }
 
   /**
-   * Load backends
-   * @method _loadBackends
+   * Holds the update when it removes too many backends, the held update is
+   * replaced by the next unsafe one and dropped by the next safe one.
+   * It is applied when unsafe updates persist for confirmTime.
+   * @method _guardUpdate
    * @private
-   * @param {Array.<Backend>} [opts.backends=[]]
+   * @param {Map.<String, Backend>} next - backends of the update by key
+   * @param {Function} apply - applies the update
+   * @returns {Boolean} held
    * @memberof Resolver
    */
-  _loadBackends (backends = []) {
+  _guardUpdate (next, apply) {
     const _this = this
 
-    backends.forEach(function loadBackend (backend, i) {
-      // Validation
-      if (!(backend instanceof Backend)) {
-        assert.isObject(backend, `options.backends[${i}]`)
-        assert.isString(backend.address, `options.backends[${i}].address`)
+    if (!this._guard || this._confirming) {
+      return false
+    }
 
-        if (backend.port !== undefined && backend.port !== null) {
-          assert.isNumber(backend.port, `options.backends[${i}].port`)
-        }
+    const current = this._queue.length
+      ? this._applyQueue(this._backends)
+      : this._backends
+    const reason = checkUpdate(current, next, this._guard)
+    const pending = this._pendingUpdate
+
+    if (!reason) {
+      if (pending) {
+        clearTimeout(pending.timer)
+        this._pendingUpdate = undefined
+        this._log.info({ since: pending.since }, 'held update dropped')
       }
+      return false
+    }
 
-      _this.addBackend(backend)
-    })
+    if (pending) {
+      pending.apply = apply
+      return true
+    }
+
+    const err = new Error(`update is held by the guard, it ${reason}`)
+
+    this._pendingUpdate = {
+      apply,
+      since: Date.now(),
+      timer: setTimeout(function confirm () {
+        _this.confirmUpdate()
+      }, this._guard.confirmTime)
+    }
+    this._pendingUpdate.timer.unref()
+    this._lastError = err
+    this._log.warn({ err }, 'update held')
+    this.emit(EVENT.warning, err)
+
+    return true
+  }
+
+  /**
+   * Applies a successful refresh of the source which replaces the snapshot
+   * @method _onSourceBackends
+   * @private
+   * @param {Array.<Object>} backends
+   * @memberof Resolver
+   */
+  _onSourceBackends (backends) {
+    this._stale = false
+    this._setSourceBackends(backends)
   }
 
   /**
    * Create backend with default port
    * @method _createBackend
    * @private
-   * @param {Backend|Object} backend
+   * @param {Backend|Object|String} backend - strings are parsed
+   *  by Backend.parse
    * @param {String} backend.address
    * @param {Number} [backend.port]
    * @returns {Backend} backend
    * @memberof Resolver
    */
   _createBackend (backend) {
+    if (typeof backend === 'string') {
+      backend = Backend.parse(backend)
+    }
+
     if (!(backend instanceof Backend)) {
       if (backend.port === undefined || backend.port === null) {
         backend.port = this.defaultPort
@@ -197,6 +1293,59 @@ class Resolver extends FSM {
     return backend
   }
 
+  /**
+   * Backends are emitted in "running" and "failed" states,
+   * otherwise operations are queued
+   * @method _isActive
+   * @private
+   * @returns {Boolean}
+   * @memberof Resolver
+   */
+  _isActive () {
+    return this.isInState(STATE.running) || this.isInState(STATE.failed)
+  }
+
+  /**
+   * Backends with the queued operations applied
+   * @method _applyQueue
+   * @private
+   * @param {Map} backends
+   * @returns {Map} backends
+   * @memberof Resolver
+   */
+  _applyQueue (backends) {
+    const result = new Map(backends)
+
+    this._queue.forEach(function applyOperation (item) {
+      if (item.operation === 'add') {
+        result.set(item.key, item.backend)
+      } else if (item.operation === 'remove') {
+        result.delete(item.key)
+      }
+    })
+
+    return result
+  }
+
+  /**
+   * Emits queued operations when the resolver is active
+   * @method _flushQueue
+   * @private
+   * @memberof Resolver
+   */
+  _flushQueue () {
+    while (this._isActive() && this._queue.length) {
+      const item = this._queue.shift()
+
+      if (item.operation === 'add') {
+        this.addBackend(item.backend)
+      } else if (item.operation === 'remove') {
+        this.removeBackend(item.backend)
+      }
+    }
+    this._updateGauges()
+  }
+
   /**
    * @method _processQueue
    * @memberof Resolver
@@ -206,15 +1355,7 @@ class Resolver extends FSM {
 
     // Process queue
     setImmediate(function setImmediate () {
-      while (_this._queue.length) {
-        const item = _this._queue.shift()
-
-        if (item.operation === 'add') {
-          _this.addBackend(item.backend)
-        } else if (item.operation === 'remove') {
-          _this.removeBackend(item.backend)
-        }
-      }
+      _this._flushQueue()
     })
   }
 
@@ -261,17 +1402,150 @@ class Resolver extends FSM {
     return this._lastError
   }
 
+  /**
+   * Waits until the resolver is "running" with at least minBackends
+   * advertised backends. It does not start the resolver.
+   * @method ready
+   * @public
+   * @param {Object} [opts]
+   * @param {Number} [opts.minBackends=0]
+   * @param {Number} [opts.timeout] - in milliseconds, waits forever without
+   * @returns {Promise} - resolves with the resolver, rejects with the last
+   *  error when the resolver fails, when it stops or on timeout
+   * @memberof Resolver
+   */
+  ready ({ minBackends = 0, timeout } = {}) {
+    const _this = this
+
+    assert.isNumber(minBackends, 'options.minBackends')
+    if (timeout !== undefined) {
+      assert.isNumber(timeout, 'options.timeout')
+    }
+
+    return new Promise(function waitReady (resolve, reject) {
+      let timer
+
+      function finish (err) {
+        clearTimeout(timer)
+        _this.removeListener(EVENT.added, check)
+        _this.removeListener('stateChanged', onStateChanged)
+
+        if (err) {
+          reject(err)
+        } else {
+          resolve(_this)
+        }
+      }
+
+      function check () {
+        if (_this.isInState(STATE.running) && _this.count() >= minBackends) {
+          finish()
+        }
+      }
+
+      function onStateChanged (state) {
+        if (state === STATE.failed && _this.isInState(STATE.failed)) {
+          finish(_this.getLastError() || new Error('resolver failed'))
+        } else if (state === STATE.stopping) {
+          finish(new Error('resolver stopped'))
+        } else {
+          check()
+        }
+      }
+
+      if (_this.isInState(STATE.failed)) {
+        finish(_this.getLastError() || new Error('resolver failed'))
+        return
+      }
+
+      if (timeout !== undefined) {
+        timer = setTimeout(function onTimeout () {
+          finish(new Error(`resolver is not ready after ${timeout}ms`))
+        }, timeout)
+      }
+
+      _this.on(EVENT.added, check)
+      _this.on('stateChanged', onStateChanged)
+      check()
+    })
+  }
+
+  /**
+   * Waits until the resolver is "stopped"
+   * @method stopped
+   * @public
+   * @returns {Promise}
+   * @memberof Resolver
+   */
+  stopped () {
+    const _this = this
+
+    return new Promise(function waitStopped (resolve) {
+      function onStateChanged () {
+        if (_this.isInState(STATE.stopped)) {
+          _this.removeListener('stateChanged', onStateChanged)
+          resolve()
+        }
+      }
+
+      if (_this.isInState(STATE.stopped)) {
+        resolve()
+        return
+      }
+
+      _this.on('stateChanged', onStateChanged)
+    })
+  }
+
+  /**
+   * Async iterator of the changes: { type, key, service } records
+   * of "added" and "removed" events
+   * @method changes
+   * @public
+   * @param {Object} [opts] - options of ChangeIterator
+   * @param {Boolean} [opts.replay=true] - starts with the advertised
+   *  backends as "added" records
+   * @returns {ChangeIterator}
+   * @memberof Resolver
+   */
+  changes (opts) {
+    return new ChangeIterator(this, opts)
+  }
+
+  /**
+   * Changes for "for await (const change of resolver)"
+   * @method Symbol.asyncIterator
+   * @public
+   * @returns {ChangeIterator}
+   * @memberof Resolver
+   */
+  [Symbol.asyncIterator] () {
+    return this.changes()
+  }
+
   /* *************** FSM required *************** */
 
   /**
-   * Number of backends
+   * Number of backends advertised to cueball
    * @method count
    * @public
    * @returns {Number} backendsCount
    * @memberof Resolver
    */
   count () {
-    return this._backends.size
+    return this._advertised.size
+  }
+
+  /**
+   * Backends are stale until the first refresh of the source
+   * when they were loaded from snapshot
+   * @method isStale
+   * @public
+   * @returns {Boolean}
+   * @memberof Resolver
+   */
+  isStale () {
+    return this._stale
   }
 
   /* *************** STATES *************** */
@@ -291,21 +1565,71 @@ class Resolver extends FSM {
   }
 
   /**
-   * From "starting" state it goes to "running" immediately
+   * From "starting" state it goes to "running" immediately without source,
+   * with source on the first successful refresh or to "failed" on error
    * @method state_starting
    * @private
    * @param {FSMStateHandle} stateHandle
    * @memberof Resolver
    */
-  // eslint-disable-next-line camelcase,class-methods-use-this
+  // eslint-disable-next-line camelcase
   state_starting (stateHandle) {
-    stateHandle.immediate(function immediate () {
+    const _this = this
+    const source = this._source
+
+    stateHandle.on(this, EVENT.stopAsserted, function onStopAsserted () {
+      stateHandle.gotoState(STATE.stopping)
+    })
+
+    if (this.registrar) {
+      this.registrar.start()
+    }
+
+    if (!source) {
+      stateHandle.immediate(function immediate () {
+        stateHandle.gotoState(STATE.running)
+      })
+      return
+    }
+
+    stateHandle.on(source, 'backends', function onBackends (backends) {
       stateHandle.gotoState(STATE.running)
+      _this._onSourceBackends(backends)
     })
+    stateHandle.on(source, 'error', function onError (err) {
+      _this.emit('error', err)
+      stateHandle.gotoState(STATE.failed)
+    })
+
+    if (!this._snapshot) {
+      source.start()
+      return
+    }
+
+    // Source starts after the snapshot is applied, so backends it emits
+    // while starting are handled by "running" and replace the snapshot
+    this._snapshot.load(stateHandle.callback(function onSnapshot (
+      err,
+      backends
+    ) {
+      if (err) {
+        _this.emit('error', err)
+      }
+
+      if (backends && backends.length) {
+        _this._log.info({ count: backends.length }, 'snapshot loaded')
+        _this._stale = true
+        stateHandle.gotoState(STATE.running)
+        _this._setSourceBackends(backends)
+      }
+
+      source.start()
+    }))
   }
 
   /**
    * From "running" state it goes to "stopping" via stop() call
+   * or to "failed" when the source fails to refresh
    * @method state_running
    * @private
    * @param {FSMStateHandle} stateHandle
@@ -313,8 +1637,25 @@ class Resolver extends FSM {
    */
   // eslint-disable-next-line camelcase
   state_running (stateHandle) {
+    const _this = this
+    const source = this._source
+
+    this._reconcile()
     this._processQueue()
 
+    if (source) {
+      stateHandle.on(source, 'backends', function onBackends (backends) {
+        _this._onSourceBackends(backends)
+      })
+      stateHandle.on(source, 'error', function onError (err, backends) {
+        if (backends) {
+          _this._setSourceBackends(backends)
+        }
+        _this.emit('error', err)
+        stateHandle.gotoState(STATE.failed)
+      })
+    }
+
     stateHandle.on(this, EVENT.stopAsserted, function onStopAsserted () {
       stateHandle.gotoState(STATE.stopping)
     })
@@ -327,8 +1668,37 @@ class Resolver extends FSM {
    * @param {FSMStateHandle} stateHandle
    * @memberof Resolver
    */
-  // eslint-disable-next-line camelcase,class-methods-use-this
+  // eslint-disable-next-line camelcase
   state_stopping (stateHandle) {
+    const _this = this
+
+    if (this._source) {
+      this._source.stop()
+    }
+    if (this._healthChecker) {
+      this._healthChecker.stop()
+    }
+    if (this._outlierDetector) {
+      this._outlierDetector.stop()
+    }
+    if (this._damper) {
+      this._damper.stop()
+    }
+    clearTimeout(this._coalesceTimer)
+    this._coalesceTimer = undefined
+    if (this._pendingUpdate) {
+      clearTimeout(this._pendingUpdate.timer)
+      this._pendingUpdate = undefined
+    }
+    this._hostnames.stop()
+    if (this.registrar) {
+      this.registrar.stop(function onStop (err) {
+        if (err) {
+          _this.emit('error', err)
+        }
+      })
+    }
+
     stateHandle.immediate(function immediate () {
       stateHandle.gotoState(STATE.stopped)
     })
@@ -336,7 +1706,9 @@ class Resolver extends FSM {
 
   /**
    * From "failed" state it goes to "running" via "added" event
-   * or to "stopping" via stop() call
+   * or on the first successful refresh of the source
+   * or to "stopping" via stop() call.
+   * The source keeps retrying with backoff meanwhile.
    * @method state_failed
    * @private
    * @param {FSMStateHandle} stateHandle
@@ -344,6 +1716,22 @@ class Resolver extends FSM {
    */
   // eslint-disable-next-line camelcase
   state_failed (stateHandle) {
+    const _this = this
+    const source = this._source
+
+    if (source) {
+      stateHandle.on(source, 'backends', function onBackends (backends) {
+        stateHandle.gotoState(STATE.running)
+        _this._onSourceBackends(backends)
+      })
+      stateHandle.on(source, 'error', function onError (err, backends) {
+        if (backends) {
+          _this._setSourceBackends(backends)
+        }
+        _this.emit('error', err)
+      })
+    }
+
     stateHandle.on(this, EVENT.added, function onAdded () {
       stateHandle.gotoState(STATE.running)
     })
@@ -353,6 +1741,7 @@ class Resolver extends FSM {
   }
 }
 
+Resolver.BACKEND_STATE = BACKEND_STATE
 Resolver.EVENT = EVENT
 Resolver.STATE = STATE
 
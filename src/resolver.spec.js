@@ -1,8 +1,25 @@
 
 'use strict'
 
+const EventEmitter = require('events')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const { assert } = require('chai')
+const bunyan = require('bunyan')
+const { createConsulServer, entry } = require('../test/consul-server')
+const { createDnsServer } = require('../test/dns-server')
+const { createEurekaServer, instance } = require('../test/eureka-server')
+const {
+  createKubernetesServer,
+  endpointSlice
+} = require('../test/kubernetes-server')
+const { ListSource } = require('../test/list-source')
+const Backend = require('./backend')
+const Metrics = require('./metrics')
 const Resolver = require('./resolver')
+const Snapshot = require('./snapshot')
+const CompositeSource = require('./sources/composite')
 
 describe('Resolver', () => {
   it('should throw error for bad arguments', () => {
@@ -59,6 +76,25 @@ describe('Resolver', () => {
         ]
       })
     }, /options.backends\[1\].port/)
+
+    assert.throws(() => {
+      new Resolver({
+        backends: [{ address: '10.0.0.1' }],
+        dns: { name: 'api.test' }
+      })
+    }, /options.backends cannot be combined with a source/)
+
+    assert.throws(() => {
+      new Resolver({
+        eureka: {
+          url: 'http://127.0.0.1:8761',
+          app: 'orders',
+          registration: {
+            instance: { ipAddr: '10.1.0.1', port: 8080 }
+          }
+        }
+      })
+    }, /options.eureka.registration.app/)
   })
 
   describe('#lifecycle', () => {
@@ -213,6 +249,30 @@ describe('Resolver', () => {
         }
       })
     })
+
+    it('should accept host:port strings', () => {
+      const resolver = new Resolver({
+        defaultPort: 8080,
+        backends: ['10.0.0.1:80', '[::1]:8081', '::1']
+      })
+
+      resolver.addBackend('[::ffff:10.0.0.1]:80')
+      resolver.addBackend('[fe80::1%eth0]')
+
+      assert.deepEqual(resolver._queue.map(({ backend }) =>
+        backend.service.name), [
+        '10.0.0.1:80',
+        '[::1]:8081',
+        '[::1]:8080',
+        '10.0.0.1:80',
+        '[fe80::1%eth0]:8080'
+      ])
+      assert.equal(resolver._queue[0].key, resolver._queue[3].key)
+
+      assert.throws(() => {
+        resolver.addBackend('[::1]:http')
+      }, /address must be an IP address or hostname/)
+    })
   })
 
   describe('#removeBackend', () => {
@@ -323,15 +383,1746 @@ describe('Resolver', () => {
     })
   })
 
-  describe('#getLastError', () => {
-    it('should get last error', () => {
+  describe('#setBackends', () => {
+    const names = (backends) => backends.map((backend) => backend.service.name)
+
+    it('should validate backends', () => {
       const resolver = new Resolver()
-      const err1 = new Error('My Error 1')
-      const err2 = new Error('My Error 2')
 
-      resolver.emit('error', err1)
-      resolver.emit('error', err2)
-      assert.deepEqual(err2, resolver.getLastError())
+      assert.throws(() => {
+        resolver.setBackends([{ address: '127.0.0.1' }, { port: 80 }])
+      }, /backends\[1\].address/)
+    })
+
+    it('should emit only the differences in "running" state', (done) => {
+      const resolver = new Resolver({
+        backends: [
+          { address: '127.0.0.1' },
+          { address: '127.0.0.2' }
+        ]
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('stateChanged', (state) => {
+        if (state !== 'running') {
+          return
+        }
+
+        const summary = resolver.setBackends([
+          { address: '127.0.0.2' },
+          { address: '127.0.0.3' }
+        ])
+
+        assert.deepEqual(names(summary.added), ['127.0.0.3:80'])
+        assert.deepEqual(names(summary.removed), ['127.0.0.1:80'])
+        assert.deepEqual(names(summary.unchanged), ['127.0.0.2:80'])
+        assert.deepEqual(events, [
+          'added 127.0.0.1:80',
+          'added 127.0.0.2:80',
+          'removed 127.0.0.1:80',
+          'added 127.0.0.3:80'
+        ])
+        assert.deepEqual(names(resolver.list()), [
+          '127.0.0.2:80',
+          '127.0.0.3:80'
+        ])
+        resolver.stop()
+        done()
+      })
+      resolver.start()
+    })
+
+    it('should not emit queued backends twice', (done) => {
+      const resolver = new Resolver({
+        source: new ListSource([{
+          backends: [
+            { address: '127.0.0.1' },
+            { address: '127.0.0.2' }
+          ]
+        }])
+      })
+      const added = []
+
+      resolver.addBackend({ address: '127.0.0.1' })
+
+      resolver.on('added', (key, service) => {
+        added.push(service.name)
+      })
+      resolver.on('stateChanged', (state) => {
+        if (state === 'running') {
+          setImmediate(() => {
+            assert.deepEqual(added, ['127.0.0.1:80', '127.0.0.2:80'])
+            resolver.stop()
+            done()
+          })
+        }
+      })
+      resolver.start()
+    })
+
+    it('should replace queued operations before "running" state', (done) => {
+      const resolver = new Resolver({
+        backends: [{ address: '127.0.0.1' }]
+      })
+      const events = []
+
+      resolver.addBackend({ address: '127.0.0.2' })
+
+      const summary = resolver.setBackends([
+        { address: '127.0.0.2' },
+        { address: '127.0.0.3' }
+      ])
+
+      assert.deepEqual(names(summary.added), ['127.0.0.3:80'])
+      assert.deepEqual(names(summary.removed), ['127.0.0.1:80'])
+      assert.deepEqual(names(summary.unchanged), ['127.0.0.2:80'])
+      assert.deepEqual(
+        resolver._queue.map((item) => item.operation),
+        ['add', 'add']
+      )
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('stateChanged', (state) => {
+        if (state === 'running') {
+          setImmediate(() => {
+            assert.deepEqual(events, [
+              'added 127.0.0.2:80',
+              'added 127.0.0.3:80'
+            ])
+            resolver.stop()
+            done()
+          })
+        }
+      })
+      resolver.start()
+    })
+
+    it('should diff against emitted backends after stop', (done) => {
+      const resolver = new Resolver({
+        backends: [
+          { address: '127.0.0.1' },
+          { address: '127.0.0.2' }
+        ]
+      })
+      const events = []
+      let restarted = false
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('stateChanged', (state) => {
+        if (state === 'running' && !restarted) {
+          setImmediate(() => resolver.stop())
+        } else if (state === 'stopped' && events.length && !restarted) {
+          restarted = true
+          resolver.setBackends([
+            { address: '127.0.0.2' },
+            { address: '127.0.0.3' }
+          ])
+          resolver.start()
+        } else if (state === 'running') {
+          setImmediate(() => {
+            assert.deepEqual(events, [
+              'added 127.0.0.1:80',
+              'added 127.0.0.2:80',
+              'removed 127.0.0.1:80',
+              'added 127.0.0.3:80'
+            ])
+            resolver.stop()
+            done()
+          })
+        }
+      })
+      resolver.start()
+    })
+  })
+
+  describe('#setBackendState', () => {
+    const names = (backends) => backends.map((backend) => backend.service.name)
+
+    function running (resolver, callback) {
+      resolver.on('stateChanged', (state) => {
+        if (state === 'running') {
+          setImmediate(callback)
+        }
+      })
+      resolver.start()
+    }
+
+    it('should throw error for bad arguments', () => {
+      const resolver = new Resolver()
+
+      assert.throws(() => {
+        resolver.setBackendState({ address: '10.0.0.1' }, 'sleeping')
+      }, /state/)
+
+      assert.throws(() => {
+        resolver.setBackendState({ address: '10.0.0.1' }, 'draining', {
+          ttl: 0
+        })
+      }, /options.ttl/)
+    })
+
+    it('should withhold draining backends across replaces', (done) => {
+      const resolver = new Resolver({
+        backends: [
+          { address: '10.0.0.1' },
+          { address: '10.0.0.2' }
+        ]
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+
+      running(resolver, () => {
+        resolver.drainBackend({ address: '10.0.0.1' })
+        assert.equal(
+          resolver.getBackendState({ address: '10.0.0.1' }).state,
+          'draining'
+        )
+        assert.equal(resolver.count(), 1)
+        assert.equal(resolver.list().length, 2)
+
+        // Rediscovery does not advertise it again
+        resolver.setBackends([
+          { address: '10.0.0.1', weight: 2 },
+          { address: '10.0.0.2' }
+        ])
+        assert.equal(resolver.count(), 1)
+
+        resolver.undrainBackend({ address: '10.0.0.1' })
+
+        assert.deepEqual(events, [
+          'added 10.0.0.1:80',
+          'added 10.0.0.2:80',
+          'removed 10.0.0.1:80',
+          'added 10.0.0.1:80'
+        ])
+        assert.deepEqual(resolver.getBackendState({ address: '10.0.0.1' }), {
+          state: 'active',
+          expiresAt: undefined
+        })
+        resolver.stop()
+        done()
+      })
+    })
+
+    it('should keep maintenance across removal and reset', (done) => {
+      const resolver = new Resolver({
+        backends: [
+          { address: '10.0.0.1' },
+          { address: '10.0.0.2' }
+        ]
+      })
+
+      running(resolver, () => {
+        resolver.setBackendState({ address: '10.0.0.2' }, 'maintenance')
+        resolver.removeBackend({ address: '10.0.0.2' })
+        resolver.addBackend({ address: '10.0.0.2' })
+
+        assert.deepEqual(names(resolver.list({ advertised: true })), [
+          '10.0.0.1:80'
+        ])
+
+        resolver.resetBackends([
+          { address: '10.0.0.1' },
+          { address: '10.0.0.2' }
+        ])
+
+        setImmediate(() => {
+          assert.deepEqual(names(resolver.list({ advertised: true })), [
+            '10.0.0.1:80'
+          ])
+          assert.equal(resolver.list().length, 2)
+          resolver.stop()
+          done()
+        })
+      })
+    })
+
+    it('should revert to "active" after TTL', (done) => {
+      const resolver = new Resolver({
+        backends: [{ address: '10.0.0.1' }]
+      })
+
+      running(resolver, () => {
+        resolver.setBackendState({ address: '10.0.0.1' }, 'maintenance', {
+          ttl: 10
+        })
+        assert.equal(resolver.count(), 0)
+        assert.isAbove(
+          resolver.getBackendState({ address: '10.0.0.1' }).expiresAt,
+          Date.now()
+        )
+
+        resolver.once('added', (key, service) => {
+          assert.equal(service.name, '10.0.0.1:80')
+          assert.equal(
+            resolver.getBackendState({ address: '10.0.0.1' }).state,
+            'active'
+          )
+          resolver.stop()
+          done()
+        })
+      })
+    })
+  })
+
+  describe('#failover', () => {
+    const names = (backends) => backends.map((backend) => backend.service.name)
+
+    it('should advertise only the preferred tier', (done) => {
+      const resolver = new Resolver({
+        failover: true,
+        backends: [
+          { address: '10.0.0.1', priority: 1, weight: 10 },
+          { address: '10.0.0.2', priority: 1, weight: 20 },
+          { address: '10.1.0.1', priority: 2, metadata: { dc: 'dr' } }
+        ]
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('stateChanged', (state) => {
+        if (state !== 'running') {
+          return
+        }
+
+        setImmediate(() => {
+          assert.deepEqual(events, ['added 10.0.0.1:80', 'added 10.0.0.2:80'])
+          assert.equal(resolver.count(), 2)
+          assert.deepEqual(names(resolver.list()), [
+            '10.0.0.1:80',
+            '10.0.0.2:80',
+            '10.1.0.1:80'
+          ])
+          assert.deepEqual(resolver.list({ advertised: true })[1].service, {
+            name: '10.0.0.2:80',
+            address: '10.0.0.2',
+            port: 80,
+            priority: 1,
+            weight: 20
+          })
+
+          // Primary tier empties
+          resolver.removeBackend({ address: '10.0.0.1' })
+          resolver.removeBackend({ address: '10.0.0.2' })
+
+          assert.deepEqual(events.slice(2), [
+            'removed 10.0.0.1:80',
+            'removed 10.0.0.2:80',
+            'added 10.1.0.1:80'
+          ])
+
+          // Primary tier recovers
+          resolver.addBackend({ address: '10.0.0.1', priority: 1 })
+
+          assert.deepEqual(events.slice(5), [
+            'removed 10.1.0.1:80',
+            'added 10.0.0.1:80'
+          ])
+          assert.deepEqual(names(resolver.list({ advertised: true })), [
+            '10.0.0.1:80'
+          ])
+          resolver.stop()
+          done()
+        })
+      })
+      resolver.start()
+    })
+
+    it('should advertise every tier without failover', (done) => {
+      const resolver = new Resolver({
+        backends: [
+          { address: '10.0.0.1', priority: 1 },
+          { address: '10.1.0.1', priority: 2 }
+        ]
+      })
+
+      resolver.on('stateChanged', (state) => {
+        if (state === 'running') {
+          setImmediate(() => {
+            assert.equal(resolver.count(), 2)
+            resolver.stop()
+            done()
+          })
+        }
+      })
+      resolver.start()
+    })
+  })
+
+  describe('#zone', () => {
+    it('should throw error for bad arguments', () => {
+      assert.throws(() => {
+        new Resolver({
+          zone: {}
+        })
+      }, /options.zone.local/)
+
+      assert.throws(() => {
+        new Resolver({
+          zone: { local: 'a', minPercent: 200 }
+        })
+      }, /options.zone.minPercent/)
+    })
+
+    it('should advertise the local zone and spill over', (done) => {
+      const resolver = new Resolver({
+        zone: { local: 'a', minCount: 2 },
+        backends: [
+          { address: '10.0.0.1', zone: 'a' },
+          { address: '10.0.0.2', zone: 'a' },
+          { address: '10.1.0.1', zone: 'b' },
+          { address: '10.2.0.1' }
+        ]
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('stateChanged', (state) => {
+        if (state !== 'running') {
+          return
+        }
+
+        setImmediate(() => {
+          assert.deepEqual(events, ['added 10.0.0.1:80', 'added 10.0.0.2:80'])
+          assert.deepEqual(resolver.zones(), {
+            local: 'a',
+            spillover: false,
+            zones: {
+              a: { backends: 2, advertised: 2 },
+              b: { backends: 1, advertised: 0 },
+              unknown: { backends: 1, advertised: 0 }
+            }
+          })
+
+          // Below the minimum count of the local zone
+          resolver.removeBackend({ address: '10.0.0.2' })
+
+          assert.deepEqual(events.slice(2), [
+            'removed 10.0.0.2:80',
+            'added 10.1.0.1:80',
+            'added 10.2.0.1:80'
+          ])
+          assert.isTrue(resolver.zones().spillover)
+
+          // Local zone recovers
+          resolver.addBackend({ address: '10.0.0.3', zone: 'a' })
+
+          assert.deepEqual(events.slice(5), [
+            'removed 10.1.0.1:80',
+            'removed 10.2.0.1:80',
+            'added 10.0.0.3:80'
+          ])
+          assert.isFalse(resolver.zones().spillover)
+          resolver.stop()
+          done()
+        })
+      })
+      resolver.start()
+    })
+  })
+
+  describe('#subset', () => {
+    it('should throw error for bad arguments', () => {
+      assert.throws(() => {
+        new Resolver({
+          subset: { size: 0 }
+        })
+      }, /options.subset.size/)
+
+      assert.throws(() => {
+        new Resolver({
+          subset: { size: 2, clientIndex: 3, clientCount: 3 }
+        })
+      }, /options.subset.clientIndex/)
+
+      assert.throws(() => {
+        new Resolver({
+          subset: { size: 2, clientIndex: 0 }
+        })
+      }, /options.subset.clientCount/)
+    })
+
+    it('should advertise a stable subset of the backends', () => {
+      const backends = [1, 2, 3, 4, 5].map((i) => `10.0.0.${i}`)
+      const resolver = new Resolver({
+        subset: { size: 2, clientId: 'client-1' },
+        backends
+      })
+      const advertised = () => resolver.list({ advertised: true })
+        .map((backend) => backend.service.name)
+        .sort()
+
+      resolver.start()
+
+      return resolver.ready({ minBackends: 2 })
+        .then(() => {
+          const subset = advertised()
+
+          assert.lengthOf(subset, 2)
+          assert.equal(resolver.list().length, 5)
+
+          // Draining a backend of the subset replaces only that one
+          resolver.drainBackend(subset[0])
+          assert.lengthOf(advertised(), 2)
+          assert.include(advertised(), subset[1])
+          assert.notInclude(advertised(), subset[0])
+
+          resolver.undrainBackend(subset[0])
+          assert.deepEqual(advertised(), subset)
+          resolver.stop()
+        })
+    })
+  })
+
+  describe('#canary', () => {
+    it('should throw error for bad arguments', () => {
+      assert.throws(() => {
+        new Resolver({
+          canary: { share: 2 }
+        })
+      }, /options.canary.share/)
+    })
+
+    it('should advertise the share of canary group', () => {
+      const backends = [1, 2, 3, 4, 5, 6, 7, 8, 9].map((i) => ({
+        address: `10.0.0.${i}`
+      }))
+      const resolver = new Resolver({
+        canary: { share: 0.1 },
+        backends: backends.concat({ address: '10.0.1.1', group: 'canary' })
+      })
+      const groups = () => resolver.canary().groups
+
+      resolver.start()
+
+      return resolver.ready({ minBackends: 10 })
+        .then(() => {
+          assert.deepEqual(resolver.canary(), {
+            group: 'canary',
+            share: 0.1,
+            groups: {
+              stable: { backends: 9, advertised: 9 },
+              canary: { backends: 1, advertised: 1 }
+            }
+          })
+
+          resolver.setCanaryShare(0.5)
+          assert.deepEqual(groups().stable, { backends: 9, advertised: 1 })
+          assert.deepEqual(groups().canary, { backends: 1, advertised: 1 })
+
+          resolver.rollbackCanary()
+          assert.equal(resolver.canary().share, 0)
+          assert.deepEqual(groups().stable, { backends: 9, advertised: 9 })
+          assert.deepEqual(groups().canary, { backends: 1, advertised: 0 })
+
+          resolver.stop()
+        })
+    })
+  })
+
+  describe('#healthCheck', () => {
+    it('should withhold unhealthy backends', (done) => {
+      const healthy = new Set(['10.0.0.1', '10.0.0.2'])
+      const resolver = new Resolver({
+        backends: [
+          { address: '10.0.0.1' },
+          { address: '10.0.0.2' }
+        ],
+        healthCheck: {
+          type: (service, callback) => callback(healthy.has(service.address)
+            ? undefined
+            : new Error('down')),
+          interval: 5,
+          rise: 1,
+          fall: 1
+        }
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+
+        if (events.length === 4) {
+          assert.deepEqual(events, [
+            'added 10.0.0.1:80',
+            'added 10.0.0.2:80',
+            'removed 10.0.0.2:80',
+            'added 10.0.0.2:80'
+          ])
+          resolver.stop()
+          done()
+        }
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+
+        assert.equal(resolver.count(), 1)
+        assert.equal(resolver.list().length, 2)
+        assert.deepEqual(
+          resolver.list({ healthy: true }).map((backend) => backend.service),
+          [{ name: '10.0.0.1:80', address: '10.0.0.1', port: 80 }]
+        )
+
+        // Recovers
+        healthy.add('10.0.0.2')
+      })
+      resolver.on('stateChanged', (state) => {
+        if (state === 'running') {
+          healthy.delete('10.0.0.2')
+        }
+      })
+      resolver.start()
+    })
+  })
+
+  describe('#reportResult', () => {
+    it('should eject outliers and re-admit them', (done) => {
+      const metrics = new Metrics()
+      const resolver = new Resolver({
+        metrics,
+        outlierDetection: {
+          consecutiveFailures: 2,
+          baseEjectionTime: 20
+        },
+        backends: [
+          { address: '10.0.0.1' },
+          { address: '10.0.0.2' }
+        ]
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+
+        setTimeout(() => {
+          assert.deepEqual(events, [
+            'added 10.0.0.1:80',
+            'added 10.0.0.2:80',
+            'removed 10.0.0.1:80',
+            'added 10.0.0.1:80'
+          ])
+          assert.equal(metrics.get(Metrics.METRIC.ejections), 1)
+          resolver.stop()
+          done()
+        }, 50)
+      })
+      resolver.on('stateChanged', (state) => {
+        if (state !== 'running') {
+          return
+        }
+
+        setImmediate(() => {
+          const { key } = resolver.list()[0]
+
+          assert.isTrue(resolver.reportResult(key, false))
+          resolver.reportResult(key, false)
+          assert.deepEqual(resolver.list({ healthy: true }).length, 1)
+        })
+      })
+      resolver.start()
+    })
+
+    it('should not record results without outlier detection', () => {
+      const resolver = new Resolver()
+
+      assert.isFalse(resolver.reportResult('key', false))
+      assert.throws(() => {
+        resolver.reportResult('key')
+      }, /ok/)
+    })
+  })
+
+  describe('#damping', () => {
+    function record (resolver) {
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('damping', (decision, key, service) => {
+        events.push(`${decision} ${service.name}`)
+      })
+
+      return events
+    }
+
+    it('should hold removals and cancel them on return', () => {
+      const resolver = new Resolver({
+        damping: { removalGrace: 20 },
+        backends: ['10.0.0.1', '10.0.0.2']
+      })
+      const events = record(resolver)
+
+      resolver.start()
+
+      return resolver.ready({ minBackends: 2 })
+        .then(() => {
+          resolver.setBackends(['10.0.0.1'])
+          assert.equal(resolver.count(), 2)
+          resolver.setBackends(['10.0.0.1', '10.0.0.2'])
+          resolver.setBackends(['10.0.0.1'])
+          // Admin states are not damped
+          resolver.drainBackend('10.0.0.1')
+
+          return new Promise((resolve) => setTimeout(resolve, 40))
+        })
+        .then(() => {
+          resolver.stop()
+
+          assert.equal(resolver.count(), 0)
+          assert.deepEqual(events, [
+            'added 10.0.0.1:80',
+            'added 10.0.0.2:80',
+            'held 10.0.0.2:80',
+            'canceled 10.0.0.2:80',
+            'held 10.0.0.2:80',
+            'removed 10.0.0.1:80',
+            'released 10.0.0.2:80',
+            'removed 10.0.0.2:80'
+          ])
+        })
+    })
+
+    it('should coalesce changes in the window', () => {
+      const resolver = new Resolver({
+        damping: { coalesceWindow: 20 },
+        backends: ['10.0.0.1']
+      })
+      const events = record(resolver)
+
+      resolver.start()
+
+      return resolver.ready({ minBackends: 1 })
+        .then(() => {
+          resolver.removeBackend('10.0.0.1')
+          resolver.addBackend('10.0.0.2')
+          resolver.addBackend('10.0.0.1')
+
+          return resolver.ready({ minBackends: 2 })
+        })
+        .then(() => {
+          resolver.stop()
+
+          assert.deepEqual(events, [
+            'added 10.0.0.1:80',
+            'added 10.0.0.2:80'
+          ])
+        })
+    })
+  })
+
+  describe('#guard', () => {
+    const names = (backends) => backends.map((backend) => backend.service.name)
+
+    it('should hold updates removing too many backends', () => {
+      const resolver = new Resolver({
+        guard: { confirmTime: 20 },
+        backends: ['10.0.0.1', '10.0.0.2', '10.0.0.3']
+      })
+      const warnings = []
+
+      resolver.on('warning', (err) => warnings.push(err.message))
+      resolver.start()
+
+      return resolver.ready({ minBackends: 3 })
+        .then(() => {
+          const summary = resolver.setBackends(['10.0.0.1'])
+
+          assert.isTrue(summary.pending)
+          assert.deepEqual(names(summary.removed), [
+            '10.0.0.2:80',
+            '10.0.0.3:80'
+          ])
+          assert.equal(resolver.count(), 3)
+          assert.match(resolver.getLastError().message, /removes 2 of 3/)
+
+          // Safe update drops the held one
+          assert.isFalse(resolver.setBackends(['10.0.0.1', '10.0.0.2']).pending)
+          assert.isFalse(resolver.confirmUpdate())
+
+          resolver.resetBackends()
+          assert.equal(resolver.count(), 2)
+
+          return new Promise((resolve) => setTimeout(resolve, 40))
+        })
+        .then(() => {
+          resolver.stop()
+
+          assert.equal(resolver.count(), 0)
+          assert.deepEqual(warnings, [
+            'update is held by the guard, it removes 2 of 3 backends',
+            'update is held by the guard, it removes 2 of 2 backends'
+          ])
+        })
+    })
+
+    it('should apply the held update on confirmUpdate()', () => {
+      const resolver = new Resolver({
+        guard: { maxRemovalPercent: 100, minBackends: 2 },
+        backends: ['10.0.0.1', '10.0.0.2']
+      })
+
+      resolver.start()
+
+      return resolver.ready({ minBackends: 2 })
+        .then(() => {
+          resolver.setBackends(['10.0.0.3'])
+          // Unsafe updates replace the held one
+          resolver.setBackends(['10.0.0.1'])
+          assert.deepEqual(names(resolver.list()), [
+            '10.0.0.1:80',
+            '10.0.0.2:80'
+          ])
+
+          assert.isTrue(resolver.confirmUpdate())
+          resolver.stop()
+
+          assert.deepEqual(names(resolver.list()), ['10.0.0.1:80'])
+        })
+    })
+  })
+
+  describe('#hostnames', () => {
+    it('should advertise the addresses of hostname backends', (done) => {
+      const addresses = {
+        'api.example.com': ['10.0.0.1', '10.0.0.2']
+      }
+      const resolver = new Resolver({
+        hostnames: {
+          interval: 5,
+          lookup: (hostname, opts, callback) => setImmediate(() => callback(
+            undefined,
+            addresses[hostname].map((address) => ({ address, family: 4 }))
+          ))
+        }
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name} ${service.address}`)
+
+        if (events.length === 2) {
+          addresses['api.example.com'] = ['10.0.0.2', '10.0.0.3']
+        }
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name} ${service.address}`)
+      })
+      resolver.on('stateChanged', (state) => {
+        if (state === 'running') {
+          resolver.addBackend({ address: 'api.example.com', port: 443 })
+        }
+      })
+      resolver.start()
+
+      setTimeout(() => {
+        resolver.stop()
+
+        assert.deepEqual(events, [
+          'added api.example.com 10.0.0.1',
+          'added api.example.com 10.0.0.2',
+          'removed api.example.com 10.0.0.1',
+          'added api.example.com 10.0.0.3'
+        ])
+        assert.deepEqual(
+          resolver.list().map((backend) => backend.service),
+          [{ name: 'api.example.com', address: 'api.example.com', port: 443 }]
+        )
+        assert.equal(resolver.count(), 2)
+        done()
+      }, 100)
+    })
+  })
+
+  describe('#metrics', () => {
+    it('should record backends, queue and state transitions', (done) => {
+      const metrics = new Metrics()
+      const source = new ListSource([
+        { err: new Error('unreachable') },
+        {
+          backends: [
+            { address: '10.0.0.1' },
+            { address: '10.0.0.2' }
+          ]
+        },
+        { backends: [{ address: '10.0.0.2' }] }
+      ], {
+        interval: 5,
+        backoff: {
+          min: 5,
+          jitter: 0
+        }
+      })
+      const resolver = new Resolver({
+        source,
+        metrics
+      })
+
+      let removed = false
+
+      resolver.addBackend({ address: '10.0.0.3' })
+      assert.equal(metrics.get(Metrics.METRIC.queueDepth), 1)
+      resolver.setBackends([])
+      assert.equal(metrics.get(Metrics.METRIC.queueDepth), 0)
+
+      resolver.on('removed', () => {
+        removed = true
+        resolver.stop()
+      })
+      resolver.on('stateChanged', (state) => {
+        if (state !== 'stopped' || !removed) {
+          return
+        }
+
+        assert.equal(metrics.get(Metrics.METRIC.added), 2)
+        assert.equal(metrics.get(Metrics.METRIC.removed), 1)
+        assert.equal(metrics.get(Metrics.METRIC.backends), 1)
+        assert.equal(metrics.get(Metrics.METRIC.queueDepth), 0)
+        assert.equal(metrics.get(Metrics.METRIC.errors), 1)
+        assert.equal(metrics.get(Metrics.METRIC.transitions, {
+          from: 'starting',
+          to: 'failed'
+        }), 1)
+        assert.equal(metrics.get(Metrics.METRIC.transitions, {
+          from: 'failed',
+          to: 'running'
+        }), 1)
+        assert.isAbove(metrics.get(Metrics.METRIC.failedSeconds), 0)
+        done()
+      })
+      resolver.on('error', () => {})
+      resolver.start()
+    })
+  })
+
+  describe('#log', () => {
+    it('should log state transitions and backends', (done) => {
+      const ringbuffer = new bunyan.RingBuffer()
+      const resolver = new Resolver({
+        backends: [{ address: '10.0.0.1' }],
+        log: bunyan.createLogger({
+          name: 'resolver-test',
+          streams: [{
+            level: 'debug',
+            type: 'raw',
+            stream: ringbuffer
+          }]
+        })
+      })
+
+      resolver.on('stateChanged', (state) => {
+        if (state !== 'running') {
+          return
+        }
+
+        const records = ringbuffer.records
+          .map((record) => `${record.component} ${record.msg}`)
+
+        assert.deepEqual(records, [
+          'CueBallResolver state changed',
+          'CueBallResolver backend added',
+          'CueBallResolver state changed'
+        ])
+        assert.deepEqual(ringbuffer.records[0].from, 'stopped')
+        assert.deepEqual(ringbuffer.records[1].service, {
+          name: '10.0.0.1:80',
+          address: '10.0.0.1',
+          port: 80
+        })
+        resolver.stop()
+        done()
+      })
+      resolver.start()
+    })
+  })
+
+  describe('#snapshot', () => {
+    let dir
+    let file
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cueball-resolver-'))
+      file = path.join(dir, 'snapshot.json')
+    })
+
+    afterEach(() => {
+      fs.readdirSync(dir).forEach((name) => fs.unlinkSync(path.join(dir, name)))
+      fs.rmdirSync(dir)
+    })
+
+    it('should require source', () => {
+      assert.throws(() => {
+        new Resolver({
+          snapshot: { path: file }
+        })
+      }, /options.snapshot requires a source/)
+    })
+
+    it('should save backends of the source', (done) => {
+      const resolver = new Resolver({
+        source: new ListSource([{
+          backends: [{ address: '10.0.0.1' }]
+        }]),
+        snapshot: { path: file }
+      })
+
+      resolver.on('added', () => {
+        // Saved on the next tick
+        setTimeout(() => {
+          resolver.stop()
+
+          new Snapshot({ path: file }).load((err, backends) => {
+            assert.deepEqual(backends, [
+              { name: '10.0.0.1:80', address: '10.0.0.1', port: 80 }
+            ])
+            done(err)
+          })
+        }, 20)
+      })
+      resolver.start()
+    })
+
+    it('should boot with stale snapshot until the first refresh', (done) => {
+      const source = new ListSource([
+        { err: new Error('unreachable') },
+        { backends: [{ address: '10.0.0.2' }] }
+      ], {
+        backoff: {
+          min: 10,
+          jitter: 0
+        }
+      })
+      const resolver = new Resolver({
+        source,
+        snapshot: { path: file }
+      })
+      const states = []
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name} ${resolver.isStale()}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name} ${resolver.isStale()}`)
+      })
+      resolver.on('stateChanged', (state) => {
+        states.push(state)
+      })
+      resolver.on('error', () => {})
+
+      new Snapshot({ path: file }).save([
+        new Backend({ address: '10.0.0.1', port: 80 })
+      ], () => {
+        resolver.start()
+
+        setTimeout(() => {
+          resolver.stop()
+
+          assert.deepEqual(states, ['stopped', 'starting', 'running', 'failed',
+            'running'])
+          assert.deepEqual(events, [
+            'added 10.0.0.1:80 true',
+            'removed 10.0.0.1:80 false',
+            'added 10.0.0.2:80 false'
+          ])
+          assert.isFalse(resolver.isStale())
+          done()
+        }, 50)
+      })
+    })
+
+    it('should replace snapshot with backends emitted on start', (done) => {
+      const source = new EventEmitter()
+
+      source.start = () => {
+        source.emit('backends', [{ address: '10.0.0.2', port: 80 }])
+      }
+      source.stop = () => {}
+
+      const resolver = new Resolver({
+        source,
+        snapshot: { path: file }
+      })
+
+      new Snapshot({ path: file }).save([
+        new Backend({ address: '10.0.0.1', port: 80 })
+      ], () => {
+        resolver.start()
+
+        resolver.on('stateChanged', (state) => {
+          if (state !== 'running') {
+            return
+          }
+
+          setImmediate(() => {
+            const names = resolver.list().map(({ service }) => service.name)
+
+            assert.deepEqual(names, ['10.0.0.2:80'])
+            assert.isFalse(resolver.isStale())
+            resolver.stop()
+            done()
+          })
+        })
+      })
+    })
+  })
+
+  describe('#ready', () => {
+    it('should resolve when running with minBackends', () => {
+      const resolver = new Resolver({
+        source: new ListSource([
+          { backends: [] },
+          { backends: [{ address: '10.0.0.1' }] }
+        ], {
+          interval: 5
+        })
+      })
+
+      resolver.start()
+
+      return resolver.ready({ minBackends: 1 })
+        .then((result) => {
+          assert.equal(result, resolver)
+          assert.equal(resolver.count(), 1)
+          resolver.stop()
+
+          return resolver.stopped()
+        })
+        .then(() => {
+          assert.isTrue(resolver.isInState('stopped'))
+        })
+    })
+
+    it('should reject when the resolver fails', () => {
+      const err = new Error('My Error')
+      const resolver = new Resolver({
+        source: new ListSource([{ err }], { backoff: { min: 1000 } })
+      })
+
+      resolver.start()
+
+      return resolver.ready()
+        .then(() => {
+          assert.fail('should reject')
+        }, (rejection) => {
+          assert.equal(rejection, err)
+
+          // Rejects right away in "failed" state
+          return resolver.ready()
+        })
+        .then(() => {
+          assert.fail('should reject')
+        }, (rejection) => {
+          assert.equal(rejection, err)
+          resolver.stop()
+        })
+    })
+
+    it('should reject on timeout', () => {
+      const resolver = new Resolver()
+
+      resolver.start()
+
+      return resolver.ready({ minBackends: 1, timeout: 10 })
+        .then(() => {
+          assert.fail('should reject')
+        }, (rejection) => {
+          assert.equal(rejection.message, 'resolver is not ready after 10ms')
+          assert.equal(resolver.listenerCount('added'), 0)
+          resolver.stop()
+        })
+    })
+  })
+
+  describe('#getLastError', () => {
+    it('should get last error', () => {
+      const resolver = new Resolver()
+      const err1 = new Error('My Error 1')
+      const err2 = new Error('My Error 2')
+
+      resolver.emit('error', err1)
+      resolver.emit('error', err2)
+      assert.deepEqual(err2, resolver.getLastError())
+    })
+  })
+
+  describe('#failed', () => {
+    it('should go to "failed" when source fails', (done) => {
+      const err = new Error('My Error')
+      const resolver = new Resolver({
+        source: new ListSource([{ err }], { backoff: { min: 1000 } })
+      })
+      const states = []
+
+      resolver.on('stateChanged', (state) => {
+        states.push(state)
+
+        if (state === 'failed') {
+          assert.deepEqual(states, ['stopped', 'starting', 'failed'])
+          assert.equal(resolver.getLastError(), err)
+          resolver.stop()
+          done()
+        }
+      })
+      resolver.start()
+    })
+
+    it('should go back to "running" on successful refresh', (done) => {
+      const err = new Error('My Error')
+      const resolver = new Resolver({
+        source: new ListSource([
+          { err },
+          { err },
+          { backends: [] }
+        ], {
+          backoff: { min: 5 }
+        })
+      })
+      const states = []
+
+      resolver.on('stateChanged', (state) => {
+        states.push(state)
+
+        if (state === 'running') {
+          assert.deepEqual(states, [
+            'stopped', 'starting', 'failed', 'running'
+          ])
+          assert.equal(resolver.getLastError(), err)
+          assert.equal(resolver.count(), 0)
+          resolver.stop()
+          done()
+        }
+      })
+      resolver.start()
+    })
+
+    it('should keep backends when source fails in "running"', (done) => {
+      const err = new Error('My Error')
+      const resolver = new Resolver({
+        source: new ListSource([
+          { backends: [{ address: '127.0.0.1' }] },
+          { err }
+        ], {
+          interval: 5,
+          backoff: { min: 1000 }
+        })
+      })
+      const removed = []
+
+      resolver.on('removed', (key) => {
+        removed.push(key)
+      })
+      resolver.on('stateChanged', (state) => {
+        if (state === 'failed') {
+          assert.equal(resolver.getLastError(), err)
+          assert.equal(resolver.count(), 1)
+          assert.deepEqual(removed, [])
+          resolver.stop()
+          done()
+        }
+      })
+      resolver.start()
+    })
+
+    it('should stop source on stop()', (done) => {
+      const source = new ListSource([{ backends: [] }], { interval: 5 })
+      const resolver = new Resolver({ source })
+      let stopping = false
+
+      resolver.start()
+      resolver.on('stateChanged', (state) => {
+        if (state === 'running') {
+          stopping = true
+          resolver.stop()
+        } else if (state === 'stopped' && stopping) {
+          const { calls } = source
+
+          setTimeout(() => {
+            assert.equal(source.calls, calls)
+            done()
+          }, 20)
+        }
+      })
+    })
+  })
+
+  describe('#eureka', () => {
+    let server
+    let url
+
+    beforeEach((done) => {
+      server = createEurekaServer({
+        orders: [
+          instance('10.0.0.1', 8080),
+          instance('10.0.0.2', 8080)
+        ]
+      })
+      server.listen(0, '127.0.0.1', () => {
+        url = `http://127.0.0.1:${server.address().port}`
+        done()
+      })
+    })
+
+    afterEach((done) => {
+      server.close(done)
+    })
+
+    it('should not accept both source and eureka', () => {
+      assert.throws(() => {
+        new Resolver({
+          source: {},
+          eureka: { url, app: 'orders' }
+        })
+      }, /options.source/)
+    })
+
+    it('should apply the differences of Eureka instances', (done) => {
+      const resolver = new Resolver({
+        eureka: { url, app: 'orders', interval: 10 }
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+
+        if (events.length === 2) {
+          server.apps.orders = [
+            instance('10.0.0.2', 8080),
+            instance('10.0.0.3', 8080)
+          ]
+        }
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('error', done)
+
+      resolver.start()
+
+      setTimeout(() => {
+        resolver.stop()
+
+        assert.deepEqual(events, [
+          'added 10.0.0.1:8080',
+          'added 10.0.0.2:8080',
+          'removed 10.0.0.1:8080',
+          'added 10.0.0.3:8080'
+        ])
+        assert.deepEqual(
+          resolver.list().map((backend) => backend.service.name),
+          ['10.0.0.2:8080', '10.0.0.3:8080']
+        )
+        done()
+      }, 100)
+    })
+
+    it('should register own instance with the shared config', (done) => {
+      const resolver = new Resolver({
+        eureka: {
+          url,
+          app: 'orders',
+          registration: {
+            app: 'payments',
+            instance: { ipAddr: '10.1.0.1', port: 8080 }
+          }
+        }
+      })
+
+      function stopWhenReady () {
+        if (resolver.count() === 2 && resolver.registrar.isRegistered()) {
+          assert.equal(server.apps.payments[0].status, 'UP')
+          resolver.stop()
+        }
+      }
+
+      resolver.on('error', done)
+      resolver.on('added', stopWhenReady)
+      resolver.registrar.on('registered', stopWhenReady)
+      resolver.on('stateChanged', (state) => {
+        if (state === 'stopped' && server.apps.payments) {
+          // Status update is sent on stop
+          setTimeout(() => {
+            assert.include(
+              server.requests,
+              'PUT /eureka/apps/payments/10.1.0.1%3A8080/status?value=DOWN'
+            )
+            assert.equal(server.apps.payments[0].status, 'DOWN')
+            done()
+          }, 20)
+        }
+      })
+      resolver.start()
+    })
+  })
+
+  describe('#consul', () => {
+    let server
+    let url
+
+    beforeEach((done) => {
+      server = createConsulServer({
+        orders: [
+          entry('10.0.0.1', 8080),
+          entry('10.0.0.2', 8080)
+        ]
+      })
+      server.listen(0, '127.0.0.1', () => {
+        url = `http://127.0.0.1:${server.address().port}`
+        done()
+      })
+    })
+
+    afterEach((done) => {
+      server.close(done)
+    })
+
+    it('should apply the differences of Consul entries', (done) => {
+      const resolver = new Resolver({
+        consul: {
+          url,
+          service: 'orders',
+          minInterval: 0
+        }
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+
+        if (events.length === 2) {
+          setTimeout(() => server.update('orders', [
+            entry('10.0.0.2', 8080),
+            entry('10.0.0.3', 8080)
+          ]), 20)
+        }
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('error', done)
+
+      resolver.start()
+
+      setTimeout(() => {
+        resolver.stop()
+
+        assert.deepEqual(events, [
+          'added 10.0.0.1:8080',
+          'added 10.0.0.2:8080',
+          'removed 10.0.0.1:8080',
+          'added 10.0.0.3:8080'
+        ])
+        done()
+      }, 100)
+    })
+  })
+
+  describe('#kubernetes', () => {
+    let server
+    let url
+
+    beforeEach((done) => {
+      server = createKubernetesServer({
+        metadata: { resourceVersion: '100' },
+        items: [
+          endpointSlice('orders-a', '90', [
+            { address: '10.0.0.1' },
+            { address: '10.0.0.2' }
+          ])
+        ]
+      }, [
+        [
+          {
+            type: 'MODIFIED',
+            object: endpointSlice('orders-a', '101', [
+              { address: '10.0.0.2' },
+              { address: '10.0.0.3' },
+              { address: '10.0.0.4', ready: false }
+            ])
+          }
+        ]
+      ])
+      server.listen(0, '127.0.0.1', () => {
+        url = `http://127.0.0.1:${server.address().port}`
+        done()
+      })
+    })
+
+    afterEach((done) => {
+      server.close(done)
+    })
+
+    it('should apply the differences of ready endpoints', (done) => {
+      const resolver = new Resolver({
+        kubernetes: {
+          url,
+          service: 'orders',
+          port: 'metrics'
+        }
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('error', done)
+
+      resolver.start()
+
+      setTimeout(() => {
+        resolver.stop()
+
+        assert.deepEqual(events, [
+          'added 10.0.0.1:9090',
+          'added 10.0.0.2:9090',
+          'removed 10.0.0.1:9090',
+          'added 10.0.0.3:9090'
+        ])
+        done()
+      }, 100)
+    })
+  })
+
+  describe('#composite', () => {
+    it('should require failover for priorityOverride', () => {
+      assert.throws(() => {
+        new Resolver({
+          composite: {
+            strategy: 'priorityOverride',
+            children: [[{ address: '10.0.0.1' }]]
+          }
+        })
+      }, /"priorityOverride" requires failover/)
+
+      assert.throws(() => {
+        new Resolver({
+          source: new CompositeSource({
+            strategy: 'priorityOverride',
+            children: [[{ address: '10.0.0.1' }]]
+          })
+        })
+      }, /"priorityOverride" requires failover/)
+    })
+
+    it('should advertise the preferred child with failover', (done) => {
+      const resolver = new Resolver({
+        defaultPort: 8080,
+        failover: true,
+        composite: {
+          strategy: 'priorityOverride',
+          children: [
+            new ListSource([
+              { backends: [{ address: '10.0.0.1' }] },
+              { err: new Error('My Error'), backends: [] }
+            ], {
+              interval: 5,
+              backoff: { min: 1000 }
+            }),
+            [{ address: '10.0.0.2' }]
+          ]
+        }
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name} ${service.priority}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('error', done)
+
+      resolver.start()
+
+      setTimeout(() => {
+        // The failed child is not a failure of the composite
+        assert.isTrue(resolver.isInState('running'))
+        resolver.stop()
+
+        assert.deepEqual(events, [
+          'added 10.0.0.1:8080 0',
+          'removed 10.0.0.1:8080',
+          // Tiers are ranked among the backends of the children
+          'added 10.0.0.2:8080 0'
+        ])
+        done()
+      }, 50)
+    })
+  })
+
+  describe('#dns', () => {
+    let server
+    let servers
+
+    beforeEach((done) => {
+      server = createDnsServer({
+        'api.test': {
+          A: [
+            { address: '10.0.0.1', ttl: 0 },
+            { address: '10.0.0.2', ttl: 0 }
+          ]
+        }
+      })
+      server.bind(0, '127.0.0.1', () => {
+        servers = [`127.0.0.1:${server.address().port}`]
+        done()
+      })
+    })
+
+    afterEach(() => {
+      server.close()
+    })
+
+    it('should apply the differences of DNS records', (done) => {
+      const resolver = new Resolver({
+        defaultPort: 8080,
+        dns: {
+          name: 'api.test',
+          family: 4,
+          minInterval: 10,
+          servers
+        }
+      })
+      const events = []
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+
+        if (events.length === 2) {
+          server.records['api.test'].A = [
+            { address: '10.0.0.2', ttl: 0 },
+            { address: '10.0.0.3', ttl: 0 }
+          ]
+        }
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('error', done)
+
+      resolver.start()
+
+      setTimeout(() => {
+        resolver.stop()
+
+        assert.deepEqual(events, [
+          'added 10.0.0.1:8080',
+          'added 10.0.0.2:8080',
+          'removed 10.0.0.1:8080',
+          'added 10.0.0.3:8080'
+        ])
+        done()
+      }, 100)
+    })
+  })
+
+  describe('#file', () => {
+    let dir
+    let file
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cueball-resolver-'))
+      file = path.join(dir, 'backends.json')
+    })
+
+    afterEach(() => {
+      fs.unlinkSync(file)
+      fs.rmdirSync(dir)
+    })
+
+    it('should apply changes and keep last good set', (done) => {
+      const resolver = new Resolver({
+        file: { path: file, watchInterval: 10 }
+      })
+      const states = []
+      const events = []
+
+      fs.writeFileSync(file, JSON.stringify([
+        { address: '10.0.0.1' },
+        { address: '10.0.0.2' }
+      ]))
+
+      resolver.on('added', (key, service) => {
+        events.push(`added ${service.name}`)
+      })
+      resolver.on('removed', (key, service) => {
+        events.push(`removed ${service.name}`)
+      })
+      resolver.on('stateChanged', (state) => {
+        states.push(state)
+
+        if (state === 'running' && states.includes('failed')) {
+          resolver.stop()
+
+          assert.deepEqual(states, [
+            'stopped', 'starting', 'running', 'failed', 'running'
+          ])
+          assert.deepEqual(events, [
+            'added 10.0.0.1:80',
+            'added 10.0.0.2:80',
+            'removed 10.0.0.1:80',
+            'added 10.0.0.3:80'
+          ])
+          done()
+        }
+      })
+
+      resolver.start()
+
+      setTimeout(() => {
+        fs.writeFileSync(file, '[{ "address": ')
+
+        setTimeout(() => {
+          assert.equal(resolver.count(), 2)
+          assert.match(resolver.getLastError().message, /backends.json/)
+
+          fs.writeFileSync(file, JSON.stringify([
+            { address: '10.0.0.2' },
+            { address: '10.0.0.3' }
+          ]))
+        }, 50)
+      }, 50)
     })
   })
 
@@ -0,0 +1,188 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const { assert } = require('chai')
+const Backend = require('./backend')
+
+const VERSION = 1
+
+/**
+ * Checksum of the snapshot content
+ * @function checksum
+ * @param {Number} savedAt
+ * @param {Array.<Object>} backends
+ * @returns {String} sha256 in hex
+ */
+function checksum (savedAt, backends) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ savedAt, backends }))
+    .digest('hex')
+}
+
+/**
+ * Snapshot file of backends
+ * The file is replaced atomically via rename and holds a sha256 checksum
+ * of its content. Snapshots older than maxAge are ignored.
+ * @class Snapshot
+ */
+class Snapshot {
+  /**
+   * Creates an instance of Snapshot.
+   * @param {Object} opts
+   * @param {String} opts.path - path of the snapshot file
+   * @param {Number} [opts.maxAge=86400000] - maximum age of a loaded snapshot
+   *  in milliseconds
+   * @memberof Snapshot
+   */
+  constructor ({
+    path,
+    maxAge = 86400000
+  } = {}) {
+    assert.isString(path, 'options.path')
+    assert.isNumber(maxAge, 'options.maxAge')
+
+    this.path = path
+    this.maxAge = maxAge
+    this._saving = false
+    this._next = undefined
+  }
+
+  /**
+   * Loads the backends of the snapshot,
+   * missing and expired snapshots have no backends
+   * @method load
+   * @public
+   * @param {Function} callback - (err, backends)
+   * @memberof Snapshot
+   */
+  load (callback) {
+    const _this = this
+
+    fs.readFile(this.path, 'utf8', function onRead (err, content) {
+      if (err && err.code === 'ENOENT') {
+        callback()
+        return
+      }
+
+      if (err) {
+        callback(err)
+        return
+      }
+
+      let backends
+
+      try {
+        backends = _this._parse(content)
+      } catch (err) {
+        err.message = `${_this.path}: ${err.message}`
+        callback(err)
+        return
+      }
+
+      callback(undefined, backends)
+    })
+  }
+
+  /**
+   * Saves backends, consecutive saves are serialized
+   * and only the latest pending one is written
+   * @method save
+   * @public
+   * @param {Array.<Backend>} backends
+   * @param {Function} [callback] - (err)
+   * @memberof Snapshot
+   */
+  save (backends, callback = () => {}) {
+    const _this = this
+
+    if (this._saving) {
+      // Supersedes the pending save
+      if (this._next) {
+        this._next.callback()
+      }
+      this._next = {
+        backends,
+        callback
+      }
+      return
+    }
+
+    this._saving = true
+    this._write(backends, function onWrite (err) {
+      const next = _this._next
+
+      _this._saving = false
+      _this._next = undefined
+      callback(err)
+
+      if (next) {
+        _this.save(next.backends, next.callback)
+      }
+    })
+  }
+
+  /**
+   * Writes a temporary file and renames it to the snapshot
+   * @method _write
+   * @private
+   * @param {Array.<Backend>} backends
+   * @param {Function} callback - (err)
+   * @memberof Snapshot
+   */
+  _write (backends, callback) {
+    const _this = this
+    const tmpPath = `${this.path}.${process.pid}.tmp`
+    const savedAt = Date.now()
+    const services = backends.map((backend) => backend.service)
+    const content = JSON.stringify({
+      version: VERSION,
+      savedAt,
+      checksum: checksum(savedAt, services),
+      backends: services
+    })
+
+    fs.writeFile(tmpPath, content, function onWrite (err) {
+      if (err) {
+        callback(err)
+        return
+      }
+
+      fs.rename(tmpPath, _this.path, callback)
+    })
+  }
+
+  /**
+   * Parse and verify snapshot
+   * @method _parse
+   * @private
+   * @param {String} content
+   * @returns {Array.<Object>|undefined} backends - undefined when expired
+   * @memberof Snapshot
+   */
+  _parse (content) {
+    const data = JSON.parse(content)
+
+    assert.isObject(data, 'snapshot')
+    assert.equal(data.version, VERSION, 'snapshot.version')
+    assert.isNumber(data.savedAt, 'snapshot.savedAt')
+    assert.isArray(data.backends, 'snapshot.backends')
+    assert.equal(
+      data.checksum,
+      checksum(data.savedAt, data.backends),
+      'snapshot.checksum mismatch'
+    )
+
+    if (Date.now() - data.savedAt > this.maxAge) {
+      return undefined
+    }
+
+    data.backends.forEach(function validate (backend, i) {
+      Backend.validate(backend, `snapshot.backends[${i}]`)
+    })
+
+    return data.backends
+  }
+}
+
+module.exports = Snapshot
@@ -0,0 +1,122 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { assert } = require('chai')
+const Backend = require('./backend')
+const Snapshot = require('./snapshot')
+
+describe('Snapshot', () => {
+  let dir
+  let file
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cueball-resolver-'))
+    file = path.join(dir, 'snapshot.json')
+  })
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach((name) => fs.unlinkSync(path.join(dir, name)))
+    fs.rmdirSync(dir)
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new Snapshot()
+    }, /options.path/)
+
+    assert.throws(() => {
+      new Snapshot({
+        path: file,
+        maxAge: '1d'
+      })
+    }, /options.maxAge/)
+  })
+
+  it('should save and load backends', (done) => {
+    const snapshot = new Snapshot({ path: file })
+
+    snapshot.save([
+      new Backend({ address: '10.0.0.1', port: 80 }),
+      new Backend({ address: 'api.example.com', port: 443, priority: 1 })
+    ], (err) => {
+      assert.isNotOk(err)
+      assert.deepEqual(fs.readdirSync(dir), ['snapshot.json'])
+
+      snapshot.load((err, backends) => {
+        assert.isNotOk(err)
+        assert.deepEqual(backends, [
+          { name: '10.0.0.1:80', address: '10.0.0.1', port: 80 },
+          {
+            name: 'api.example.com',
+            address: 'api.example.com',
+            port: 443,
+            priority: 1
+          }
+        ])
+        done()
+      })
+    })
+  })
+
+  it('should write only the latest pending save', (done) => {
+    const snapshot = new Snapshot({ path: file })
+    const calls = []
+
+    snapshot.save([new Backend({ address: '10.0.0.1', port: 80 })], () => {
+      calls.push(1)
+    })
+    snapshot.save([new Backend({ address: '10.0.0.2', port: 80 })], () => {
+      calls.push(2)
+    })
+    snapshot.save([new Backend({ address: '10.0.0.3', port: 80 })], () => {
+      assert.deepEqual(calls, [2, 1])
+
+      snapshot.load((err, backends) => {
+        assert.deepEqual(backends.map((backend) => backend.address), [
+          '10.0.0.3'
+        ])
+        done(err)
+      })
+    })
+  })
+
+  it('should not load missing or expired snapshot', (done) => {
+    const snapshot = new Snapshot({
+      path: file,
+      maxAge: 10
+    })
+
+    snapshot.load((err, backends) => {
+      assert.isNotOk(err)
+      assert.isUndefined(backends)
+
+      snapshot.save([new Backend({ address: '10.0.0.1', port: 80 })], () => {
+        setTimeout(() => {
+          snapshot.load((err, backends) => {
+            assert.isNotOk(err)
+            assert.isUndefined(backends)
+            done()
+          })
+        }, 20)
+      })
+    })
+  })
+
+  it('should fail on checksum mismatch', (done) => {
+    const snapshot = new Snapshot({ path: file })
+
+    snapshot.save([new Backend({ address: '10.0.0.1', port: 80 })], () => {
+      const content = fs.readFileSync(file, 'utf8')
+
+      fs.writeFileSync(file, content.replace('10.0.0.1', '10.0.0.9'))
+
+      snapshot.load((err) => {
+        assert.match(err.message, /snapshot.checksum mismatch/)
+        assert.include(err.message, file)
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,314 @@
+'use strict'
+
+const EventEmitter = require('events')
+const { assert } = require('chai')
+const Backend = require('../backend')
+const { getPriority } = require('../failover')
+
+const STRATEGY = {
+  union: 'union',
+  firstNonEmpty: 'firstNonEmpty',
+  priorityOverride: 'priorityOverride'
+}
+
+/**
+ * Whether the child is a Resolver, it is duck typed
+ * as the Resolver depends on the sources
+ * @function isResolver
+ * @param {Object} child
+ * @returns {Boolean}
+ */
+function isResolver (child) {
+  return typeof child.list === 'function' &&
+    typeof child.getLastError === 'function'
+}
+
+/**
+ * Overrides the priority of the backends with the rank of their tier
+ * among the entries: tiers are ordered by the index of the child,
+ * then by own priority
+ * @function rankTiers
+ * @param {Array.<Object>} entries - { backend, index } of child
+ * @returns {Array.<Backend>} backends
+ */
+function rankTiers (entries) {
+  const tiers = entries
+    .map(({ backend, index }) => [index, getPriority(backend)])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+  const ranks = new Map()
+
+  tiers.forEach(function rankTier ([index, priority]) {
+    const tier = `${index} ${priority}`
+
+    if (!ranks.has(tier)) {
+      ranks.set(tier, ranks.size)
+    }
+  })
+
+  return entries.map(({ backend, index }) => new Backend(Object.assign(
+    {},
+    backend.service,
+    { priority: ranks.get(`${index} ${getPriority(backend)}`) }
+  )))
+}
+
+/**
+ * Composite backend source
+ * Merges the backends of child sources, resolvers and static backend lists
+ * by Backend.key with a strategy:
+ * - "union": every backend, the earlier child wins for the same key
+ * - "firstNonEmpty": backends of the first child which has backends,
+ *   failed children are skipped while another child has backends
+ * - "priorityOverride": every backend with the rank of the index of its
+ *   child and then its own priority as priority, so with failover the
+ *   earlier children are preferred and the tiers of a child are kept
+ * Failed children keep their last backends. The composite emits the merged
+ * backends after every child reported and fails only when every child failed.
+ * @class CompositeSource
+ * @extends {EventEmitter}
+ */
+class CompositeSource extends EventEmitter {
+  /**
+   * Creates an instance of CompositeSource.
+   * @param {Object} opts
+   * @param {Array.<Source|Resolver|Array>} opts.children - sources,
+   *  resolvers or static backend lists in precedence order
+   * @param {String} [opts.strategy='union'] - "union", "firstNonEmpty"
+   *  or "priorityOverride"
+   * @param {Number} [opts.defaultPort=80] - port of backends without port
+   * @memberof CompositeSource
+   */
+  constructor ({
+    children,
+    strategy = STRATEGY.union,
+    defaultPort = 80
+  } = {}) {
+    super()
+
+    assert.isArray(children, 'options.children')
+    assert.isNotEmpty(children, 'options.children')
+    assert.include(Object.values(STRATEGY), strategy, 'options.strategy')
+    assert.isNumber(defaultPort, 'options.defaultPort')
+
+    children.forEach(function validateChild (child, i) {
+      if (!Array.isArray(child)) {
+        assert.isObject(child, `options.children[${i}]`)
+        assert.isFunction(child.start, `options.children[${i}].start`)
+        assert.isFunction(child.stop, `options.children[${i}].stop`)
+      }
+    })
+
+    this.strategy = strategy
+    this.defaultPort = defaultPort
+    this._children = children.map((child, index) => ({
+      target: child,
+      index,
+      backends: [],
+      failed: false,
+      reported: false,
+      err: undefined,
+      listeners: []
+    }))
+    this._running = false
+  }
+
+  /**
+   * Starts the children
+   * @method start
+   * @public
+   * @memberof CompositeSource
+   */
+  start () {
+    const _this = this
+
+    assert.isNotOk(this._running, 'Source is already started')
+
+    this._running = true
+    this._children.forEach(function startChild (child) {
+      child.reported = false
+      _this._startChild(child)
+    })
+  }
+
+  /**
+   * Stops the children
+   * @method stop
+   * @public
+   * @memberof CompositeSource
+   */
+  stop () {
+    this._running = false
+    this._children.forEach(function stopChild (child) {
+      const { target } = child
+
+      child.listeners.forEach(({ emitter, event, listener }) => {
+        emitter.removeListener(event, listener)
+      })
+      child.listeners = []
+
+      if (Array.isArray(target)) {
+        return
+      }
+
+      if (!isResolver(target) || !target.isInState('stopped')) {
+        target.stop()
+      }
+    })
+  }
+
+  /**
+   * Listens to a child and starts it
+   * @method _startChild
+   * @private
+   * @param {Object} child
+   * @memberof CompositeSource
+   */
+  _startChild (child) {
+    const _this = this
+    const { target } = child
+
+    function listen (event, listener) {
+      target.on(event, listener)
+      child.listeners.push({ emitter: target, event, listener })
+    }
+
+    // Static backends
+    if (Array.isArray(target)) {
+      setImmediate(function reportStatic () {
+        if (_this._running) {
+          _this._update(child, undefined, target)
+        }
+      })
+      return
+    }
+
+    if (isResolver(target)) {
+      const onChange = function onChange () {
+        if (child.reported) {
+          _this._update(child, child.err, target.list({ advertised: true }))
+        }
+      }
+
+      listen('added', onChange)
+      listen('removed', onChange)
+      listen('stateChanged', function onStateChanged (state) {
+        if (state === 'running') {
+          _this._update(child, undefined, target.list({ advertised: true }))
+        } else if (state === 'failed') {
+          _this._update(
+            child,
+            target.getLastError() || new Error('resolver failed'),
+            target.list({ advertised: true })
+          )
+        }
+      })
+      // Errors are reported via the "failed" state
+      listen('error', function onError () {})
+      target.start()
+      return
+    }
+
+    listen('backends', function onBackends (backends) {
+      _this._update(child, undefined, backends)
+    })
+    listen('error', function onError (err, backends) {
+      _this._update(child, err, backends)
+    })
+    target.start()
+  }
+
+  /**
+   * Updates the state of a child and emits the merged backends
+   * @method _update
+   * @private
+   * @param {Object} child
+   * @param {Error} [err]
+   * @param {Array.<Backend|Object>} [backends] - the last ones are kept
+   *  when a failed child does not tell its backends
+   * @memberof CompositeSource
+   */
+  _update (child, err, backends) {
+    const _this = this
+
+    child.reported = true
+    child.failed = Boolean(err)
+    child.err = err
+
+    if (backends) {
+      try {
+        child.backends = backends.map(function createBackend (backend, i) {
+          if (backend instanceof Backend) {
+            return backend
+          }
+
+          Backend.validate(backend, `children[${child.index}].backends[${i}]`)
+
+          const parsed = typeof backend === 'string'
+            ? Backend.parse(backend)
+            : backend
+
+          return new Backend(Object.assign({}, parsed, {
+            port: parsed.port === undefined || parsed.port === null
+              ? _this.defaultPort
+              : parsed.port
+          }))
+        })
+      } catch (validationErr) {
+        child.failed = true
+        child.err = validationErr
+      }
+    }
+
+    if (!this._children.every((item) => item.reported)) {
+      return
+    }
+
+    const merged = this._merge()
+
+    if (this._children.every((item) => item.failed)) {
+      this.emit('error', child.err, merged)
+      return
+    }
+
+    this.emit('backends', merged)
+  }
+
+  /**
+   * Merges the backends of the children by the strategy
+   * @method _merge
+   * @private
+   * @returns {Array.<Backend>} backends
+   * @memberof CompositeSource
+   */
+  _merge () {
+    const merged = new Map()
+    let children = this._children
+
+    if (this.strategy === STRATEGY.firstNonEmpty) {
+      const nonEmpty = children.filter((child) => child.backends.length)
+      const first = nonEmpty.find((child) => !child.failed) || nonEmpty[0]
+
+      children = first ? [first] : []
+    }
+
+    children.forEach(function mergeChild (child) {
+      child.backends.forEach(function mergeBackend (backend) {
+        if (!merged.has(backend.key)) {
+          merged.set(backend.key, { backend, index: child.index })
+        }
+      })
+    })
+
+    const entries = Array.from(merged.values())
+
+    if (this.strategy !== STRATEGY.priorityOverride) {
+      return entries.map(({ backend }) => backend)
+    }
+
+    return rankTiers(entries)
+  }
+}
+
+CompositeSource.STRATEGY = STRATEGY
+
+module.exports = CompositeSource
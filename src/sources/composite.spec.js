@@ -0,0 +1,282 @@
+'use strict'
+
+const EventEmitter = require('events')
+const { assert } = require('chai')
+const Resolver = require('../resolver')
+const CompositeSource = require('./composite')
+
+/**
+ * Source which emits on demand
+ * @class ManualSource
+ * @extends {EventEmitter}
+ */
+class ManualSource extends EventEmitter {
+  constructor () {
+    super()
+    this.started = false
+  }
+
+  start () {
+    this.started = true
+  }
+
+  stop () {
+    this.started = false
+  }
+}
+
+function addresses (backends) {
+  return backends.map((backend) => backend.service.address)
+}
+
+describe('CompositeSource', () => {
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new CompositeSource()
+    }, /options.children/)
+
+    assert.throws(() => {
+      new CompositeSource({
+        children: []
+      })
+    }, /options.children/)
+
+    assert.throws(() => {
+      new CompositeSource({
+        children: [{}]
+      })
+    }, /options.children\[0\].start/)
+
+    assert.throws(() => {
+      new CompositeSource({
+        children: [[]],
+        strategy: 'random'
+      })
+    }, /options.strategy/)
+  })
+
+  it('should merge union by key after every child reported', () => {
+    const first = new ManualSource()
+    const second = new ManualSource()
+    const source = new CompositeSource({
+      children: [first, second],
+      defaultPort: 8080
+    })
+    const results = []
+
+    source.on('backends', (backends) => {
+      results.push(backends.map((backend) => backend.service))
+    })
+    source.start()
+
+    first.emit('backends', [{ address: '10.0.0.1', weight: 1 }])
+    assert.deepEqual(results, [])
+
+    second.emit('backends', [
+      { address: '10.0.0.1', port: 8080, weight: 2 },
+      { address: '10.0.0.2', port: 8080 },
+      '10.0.0.3',
+      '[::1]:9090'
+    ])
+    source.stop()
+
+    assert.deepEqual(results, [[
+      {
+        name: '10.0.0.1:8080',
+        address: '10.0.0.1',
+        port: 8080,
+        weight: 1
+      },
+      { name: '10.0.0.2:8080', address: '10.0.0.2', port: 8080 },
+      { name: '10.0.0.3:8080', address: '10.0.0.3', port: 8080 },
+      { name: '[::1]:9090', address: '::1', port: 9090 }
+    ]])
+  })
+
+  it('should select the first non-empty child', () => {
+    const first = new ManualSource()
+    const second = new ManualSource()
+    const source = new CompositeSource({
+      children: [first, second],
+      strategy: 'firstNonEmpty'
+    })
+    const results = []
+
+    source.on('backends', (backends) => {
+      results.push(addresses(backends))
+    })
+    source.start()
+
+    first.emit('backends', [])
+    second.emit('backends', [{ address: '10.0.0.2' }])
+    first.emit('backends', [{ address: '10.0.0.1' }])
+    // Failed child is skipped while another one has backends
+    first.emit('error', new Error('My Error'))
+    second.emit('backends', [])
+    source.stop()
+
+    assert.deepEqual(results, [
+      ['10.0.0.2'],
+      ['10.0.0.1'],
+      ['10.0.0.2'],
+      ['10.0.0.1']
+    ])
+  })
+
+  it('should override priority with the index of the child', () => {
+    const source = new CompositeSource({
+      children: [
+        [{ address: '10.0.0.1', port: 80, priority: 5 }],
+        [
+          { address: '10.0.0.1', port: 80 },
+          { address: '10.0.0.2', port: 80 }
+        ]
+      ],
+      strategy: 'priorityOverride'
+    })
+
+    return new Promise((resolve) => {
+      source.on('backends', (backends) => {
+        source.stop()
+
+        assert.deepEqual(backends.map((backend) => backend.service), [
+          {
+            name: '10.0.0.1:80',
+            address: '10.0.0.1',
+            port: 80,
+            priority: 0
+          },
+          {
+            name: '10.0.0.2:80',
+            address: '10.0.0.2',
+            port: 80,
+            priority: 1
+          }
+        ])
+        resolve()
+      })
+      source.start()
+    })
+  })
+
+  it('should keep the tiers of a child with priorityOverride', () => {
+    const source = new CompositeSource({
+      children: [
+        [
+          { address: '10.0.0.2', port: 80, priority: 10 },
+          { address: '10.0.0.1', port: 80, priority: 0 }
+        ],
+        [{ address: '10.0.0.3', port: 80, priority: 0 }]
+      ],
+      strategy: 'priorityOverride'
+    })
+
+    return new Promise((resolve) => {
+      source.on('backends', (backends) => {
+        source.stop()
+
+        assert.deepEqual(backends.map((backend) => [
+          backend.service.name,
+          backend.service.priority
+        ]), [
+          ['10.0.0.2:80', 1],
+          ['10.0.0.1:80', 0],
+          ['10.0.0.3:80', 2]
+        ])
+        resolve()
+      })
+      source.start()
+    })
+  })
+
+  it('should fail only when every child failed', () => {
+    const first = new ManualSource()
+    const second = new ManualSource()
+    const source = new CompositeSource({
+      children: [first, second]
+    })
+    const events = []
+
+    source.on('backends', (backends) => {
+      events.push(`backends ${addresses(backends)}`)
+    })
+    source.on('error', (err, backends) => {
+      events.push(`error ${err.message} ${addresses(backends)}`)
+    })
+    source.start()
+
+    first.emit('backends', [{ address: '10.0.0.1' }])
+    second.emit('error', new Error('second'))
+    first.emit('error', new Error('first'))
+    second.emit('backends', [{ address: '10.0.0.2' }])
+    source.stop()
+
+    assert.deepEqual(events, [
+      'backends 10.0.0.1',
+      'error first 10.0.0.1',
+      'backends 10.0.0.1,10.0.0.2'
+    ])
+  })
+
+  it('should treat invalid backends as failure of the child', () => {
+    const first = new ManualSource()
+    const source = new CompositeSource({
+      children: [first]
+    })
+    const errors = []
+
+    source.on('error', (err) => {
+      errors.push(err.message)
+    })
+    source.start()
+
+    first.emit('backends', [{ address: 1234 }])
+    source.stop()
+
+    assert.equal(errors.length, 1)
+    assert.match(errors[0], /children\[0\].backends\[0\].address/)
+  })
+
+  it('should merge advertised backends of resolvers', (done) => {
+    const resolver = new Resolver({
+      backends: [{ address: '10.0.0.1', port: 80 }]
+    })
+    const source = new CompositeSource({
+      children: [resolver, [{ address: '10.0.0.2', port: 80 }]]
+    })
+
+    source.on('error', done)
+    source.on('backends', (backends) => {
+      if (backends.length < 2) {
+        return
+      }
+
+      source.stop()
+
+      assert.deepEqual(addresses(backends), ['10.0.0.1', '10.0.0.2'])
+      assert.equal(resolver.listenerCount('added'), 0)
+      setImmediate(() => {
+        assert.isTrue(resolver.isInState('stopped'))
+        done()
+      })
+    })
+    source.start()
+  })
+
+  it('should stop the children', () => {
+    const first = new ManualSource()
+    const source = new CompositeSource({
+      children: [first]
+    })
+
+    source.start()
+    assert.isTrue(first.started)
+    assert.throws(() => {
+      source.start()
+    }, /Source is already started/)
+
+    source.stop()
+    assert.isFalse(first.started)
+    assert.equal(first.listenerCount('backends'), 0)
+  })
+})
@@ -0,0 +1,243 @@
+'use strict'
+
+const { URL } = require('url')
+const { assert } = require('chai')
+const request = require('../request')
+const Source = require('./source')
+
+/**
+ * Consul backend source
+ * Watches /v1/health/service/{service}?passing with blocking queries
+ * and emits the instances which pass their health checks.
+ * The index of blocking queries is handled as the Consul documentation
+ * describes: it is reset when it goes backwards, kept at least 1
+ * and queries are rate limited by minInterval.
+ * See: https://www.consul.io/api/features/blocking.html
+ * @class ConsulSource
+ * @extends {Source}
+ */
+class ConsulSource extends Source {
+  /**
+   * Creates an instance of ConsulSource.
+   * @param {Object} opts
+   * @param {String} opts.url - Consul agent URL, like http://127.0.0.1:8500
+   * @param {String} opts.service - service name
+   * @param {Array.<String>} [opts.tags=[]] - only instances with every tag
+   * @param {String} [opts.dc] - datacenter, defaults to the one of the agent
+   * @param {String} [opts.token] - ACL token
+   * @param {Number} [opts.wait=300000] - maximum duration of blocking queries
+   *  in milliseconds
+   * @param {Number} [opts.minInterval=1000] - minimum interval of queries
+   *  in milliseconds
+   * @param {Number} [opts.timeout=5000] - request timeout above wait
+   *  in milliseconds
+   * @param {Object} [opts.backoff] - retry options, see Backoff
+   * @memberof ConsulSource
+   */
+  constructor ({
+    url,
+    service,
+    tags = [],
+    dc,
+    token,
+    wait = 300000,
+    minInterval = 1000,
+    timeout = 5000,
+    backoff
+  } = {}) {
+    super({ backoff })
+
+    assert.isString(url, 'options.url')
+    assert.isTrue(
+      request.isHttpUrl(url),
+      'options.url must be an http or https URL'
+    )
+    assert.isString(service, 'options.service')
+    assert.isArray(tags, 'options.tags')
+    if (dc !== undefined) {
+      assert.isString(dc, 'options.dc')
+    }
+    if (token !== undefined) {
+      assert.isString(token, 'options.token')
+    }
+    assert.isNumber(wait, 'options.wait')
+    assert.isNumber(minInterval, 'options.minInterval')
+    assert.isNumber(timeout, 'options.timeout')
+
+    this.url = url.replace(/\/+$/, '')
+    this.service = service
+    this.tags = tags
+    this.dc = dc
+    this.token = token
+    this.wait = wait
+    this.minInterval = minInterval
+    this.timeout = timeout
+
+    this._index = 0
+    this._req = undefined
+  }
+
+  /**
+   * Stops watching and aborts the pending blocking query
+   * @method stop
+   * @public
+   * @memberof ConsulSource
+   */
+  stop () {
+    super.stop()
+
+    if (this._req) {
+      this._req.abort()
+      this._req = undefined
+    }
+  }
+
+  /**
+   * Query healthy instances, blocks until a change when the index is known
+   * @method _refresh
+   * @private
+   * @param {Function} callback - (err, backends, delay)
+   * @memberof ConsulSource
+   */
+  _refresh (callback) {
+    const _this = this
+    const startedAt = Date.now()
+    const headers = {}
+
+    if (this.token) {
+      headers['x-consul-token'] = this.token
+    }
+
+    const req = request({
+      url: this._queryUrl(),
+      headers,
+      // Consul adds a jitter of up to wait / 16
+      timeout: this.wait + (this.wait / 16) + this.timeout
+    }, function onResponse (err, body, res) {
+      if (_this._req === req) {
+        _this._req = undefined
+      }
+
+      if (err) {
+        callback(err)
+        return
+      }
+
+      let backends
+
+      try {
+        backends = _this._parse(body)
+      } catch (err) {
+        callback(err)
+        return
+      }
+
+      _this._updateIndex(Number(res.headers['x-consul-index']))
+
+      callback(
+        undefined,
+        backends,
+        Math.max(0, _this.minInterval - (Date.now() - startedAt))
+      )
+    })
+
+    this._req = req
+  }
+
+  /**
+   * URL of the next query
+   * @method _queryUrl
+   * @private
+   * @returns {String}
+   * @memberof ConsulSource
+   */
+  _queryUrl () {
+    const service = encodeURIComponent(this.service)
+    const url = new URL(`${this.url}/v1/health/service/${service}`)
+
+    url.searchParams.append('passing', 'true')
+    this.tags.forEach((tag) => url.searchParams.append('tag', tag))
+
+    if (this.dc) {
+      url.searchParams.append('dc', this.dc)
+    }
+
+    if (this._index > 0) {
+      url.searchParams.append('index', String(this._index))
+      url.searchParams.append('wait', `${Math.ceil(this.wait / 1000)}s`)
+    }
+
+    return url.toString()
+  }
+
+  /**
+   * Index of the next blocking query
+   * @method _updateIndex
+   * @private
+   * @param {Number} index - X-Consul-Index of the response
+   * @memberof ConsulSource
+   */
+  _updateIndex (index) {
+    // Missing index or index went backwards, like after a Consul restore
+    if (!Number.isFinite(index) || index < this._index) {
+      this._index = 0
+      return
+    }
+
+    // Index of 0 would not block
+    this._index = Math.max(1, index)
+  }
+
+  /**
+   * Parse service entries to backends
+   * @method _parse
+   * @private
+   * @param {Array.<Object>} entries - response of /v1/health/service
+   * @returns {Array.<Object>} backends
+   * @memberof ConsulSource
+   */
+  _parse (entries) {
+    const { tags } = this
+
+    assert.isArray(entries, 'body')
+
+    return entries
+      .map((entry) => ({
+        backend: ConsulSource.parseEntry(entry),
+        tags: entry.Service.Tags || []
+      }))
+      .filter((item) => tags.every((tag) => item.tags.includes(tag)))
+      .map((item) => item.backend)
+  }
+
+  /**
+   * Parse service entry to backend, the address of the service
+   * defaults to the address of the node
+   * @static
+   * @param {Object} entry - entry of /v1/health/service
+   * @returns {Object} backend
+   * @memberof ConsulSource
+   */
+  static parseEntry (entry) {
+    assert.isObject(entry, 'entry')
+    assert.isObject(entry.Service, 'entry.Service')
+
+    const { Node: node = {}, Service: service } = entry
+    const backend = {
+      address: service.Address || node.Address,
+      port: service.Port
+    }
+
+    if (service.Weights && service.Weights.Passing !== undefined) {
+      backend.weight = service.Weights.Passing
+    }
+
+    if (service.Meta && typeof service.Meta === 'object') {
+      backend.metadata = service.Meta
+    }
+
+    return backend
+  }
+}
+
+module.exports = ConsulSource
@@ -0,0 +1,238 @@
+'use strict'
+
+const { assert } = require('chai')
+const { createConsulServer, entry } = require('../../test/consul-server')
+const ConsulSource = require('./consul')
+
+describe('ConsulSource', () => {
+  let server
+  let url
+  let source
+
+  beforeEach((done) => {
+    server = createConsulServer({
+      api: [
+        entry('10.0.0.1', 8080, { tags: ['v1'] }),
+        entry('10.0.0.2', 8080, { tags: ['v2'] })
+      ]
+    })
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}`
+      done()
+    })
+  })
+
+  afterEach((done) => {
+    if (source) {
+      source.stop()
+      source = undefined
+    }
+    server.close(done)
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new ConsulSource({
+        service: 'api'
+      })
+    }, /options.url/)
+
+    assert.throws(() => {
+      new ConsulSource({
+        url: '127.0.0.1:8500',
+        service: 'api'
+      })
+    }, /options.url must be an http or https URL/)
+
+    assert.throws(() => {
+      new ConsulSource({
+        url: 'http://127.0.0.1:8500'
+      })
+    }, /options.service/)
+
+    assert.throws(() => {
+      new ConsulSource({
+        url: 'http://127.0.0.1:8500',
+        service: 'api',
+        tags: 'v1'
+      })
+    }, /options.tags/)
+  })
+
+  it('should parse service entries', () => {
+    assert.deepEqual(ConsulSource.parseEntry(entry('10.0.0.1', 8080)), {
+      address: '10.0.0.1',
+      port: 8080
+    })
+
+    assert.deepEqual(ConsulSource.parseEntry(entry('10.0.0.1', 8080, {
+      serviceAddress: '10.1.0.1',
+      meta: { version: '1.2.0' }
+    })), {
+      address: '10.1.0.1',
+      port: 8080,
+      metadata: { version: '1.2.0' }
+    })
+  })
+
+  it('should emit passing instances with tag and datacenter', (done) => {
+    source = new ConsulSource({
+      url,
+      service: 'api',
+      tags: ['v1'],
+      dc: 'dc2',
+      token: 'secret'
+    })
+
+    source.on('backends', (backends) => {
+      assert.deepEqual(server.requests, [
+        'GET /v1/health/service/api?passing=true&tag=v1&dc=dc2'
+      ])
+      assert.deepEqual(backends, [
+        { address: '10.0.0.1', port: 8080 }
+      ])
+      done()
+    })
+    source.start()
+  })
+
+  it('should watch with blocking queries', (done) => {
+    const results = []
+
+    source = new ConsulSource({
+      url,
+      service: 'api',
+      wait: 1000,
+      minInterval: 0
+    })
+
+    source.on('backends', (backends) => {
+      results.push(backends.map((backend) => backend.address))
+
+      if (results.length === 1) {
+        // Let the blocking query arrive
+        setTimeout(() => {
+          server.update('api', [entry('10.0.0.3', 8080)])
+        }, 20)
+        return
+      }
+
+      assert.deepEqual(results, [
+        ['10.0.0.1', '10.0.0.2'],
+        ['10.0.0.3']
+      ])
+      assert.deepEqual(server.requests, [
+        'GET /v1/health/service/api?passing=true',
+        'GET /v1/health/service/api?passing=true&index=1&wait=1s'
+      ])
+      done()
+    })
+    source.start()
+  })
+
+  it('should reset index when it goes backwards', (done) => {
+    let calls = 0
+
+    server.index = 10
+    source = new ConsulSource({
+      url,
+      service: 'api',
+      wait: 1000,
+      minInterval: 0
+    })
+
+    source.on('backends', () => {
+      calls += 1
+
+      if (calls === 1) {
+        // Consul restored from snapshot
+        setTimeout(() => server.update('api', [], 5), 20)
+        return
+      }
+
+      if (calls === 3) {
+        setTimeout(() => {
+          assert.deepEqual(server.requests, [
+            'GET /v1/health/service/api?passing=true',
+            'GET /v1/health/service/api?passing=true&index=10&wait=1s',
+            'GET /v1/health/service/api?passing=true',
+            'GET /v1/health/service/api?passing=true&index=5&wait=1s'
+          ])
+          done()
+        }, 20)
+      }
+    })
+    source.start()
+  })
+
+  it('should keep index at least 1', (done) => {
+    let calls = 0
+
+    server.index = 0
+    source = new ConsulSource({
+      url,
+      service: 'api',
+      wait: 1000,
+      minInterval: 0
+    })
+
+    source.on('backends', () => {
+      calls += 1
+
+      if (calls === 1) {
+        setTimeout(() => server.update('api', [], 2), 20)
+        return
+      }
+
+      assert.deepEqual(server.requests, [
+        'GET /v1/health/service/api?passing=true',
+        'GET /v1/health/service/api?passing=true&index=1&wait=1s'
+      ])
+      done()
+    })
+    source.start()
+  })
+
+  it('should retry with backoff after error', (done) => {
+    server.statusCode = 500
+    source = new ConsulSource({
+      url,
+      service: 'api',
+      minInterval: 0,
+      backoff: {
+        min: 5,
+        jitter: 0
+      }
+    })
+
+    source.once('error', (err) => {
+      assert.equal(err.statusCode, 500)
+      server.statusCode = undefined
+    })
+    source.once('backends', (backends) => {
+      assert.lengthOf(backends, 2)
+      assert.lengthOf(server.requests, 2)
+      done()
+    })
+    source.start()
+  })
+
+  it('should abort blocking query on stop', (done) => {
+    source = new ConsulSource({
+      url,
+      service: 'api',
+      minInterval: 0
+    })
+
+    source.once('backends', () => {
+      setTimeout(() => {
+        assert.lengthOf(server.requests, 2)
+        source.stop()
+        // server.close() waits for the aborted query
+        done()
+      }, 20)
+    })
+    source.on('error', done)
+    source.start()
+  })
+})
@@ -0,0 +1,245 @@
+'use strict'
+
+const dns = require('dns')
+const { assert } = require('chai')
+const Source = require('./source')
+
+// Responses which mean that the name has no records
+const NO_RECORDS = [dns.NODATA, dns.NOTFOUND]
+
+/**
+ * DNS backend source
+ * Resolves a name via A/AAAA records or via SRV records with ports,
+ * priorities and weights and refreshes it when the TTL of the records expires.
+ * When DNS is unreachable the last records are kept for maxStale
+ * milliseconds after their expiration.
+ * @class DnsSource
+ * @extends {Source}
+ */
+class DnsSource extends Source {
+  /**
+   * Creates an instance of DnsSource.
+   * @param {Object} opts
+   * @param {String} opts.name - domain name
+   * @param {Boolean} [opts.srv=false] - resolve SRV records of the name
+   * @param {Number} [opts.port] - port of A/AAAA backends,
+   *  defaults to the defaultPort of the resolver
+   * @param {Number} [opts.family=0] - IP family of addresses: 4, 6 or 0 (both)
+   * @param {Array.<String>} [opts.servers] - DNS servers, like '127.0.0.1:53'
+   * @param {Number} [opts.interval=30000] - refresh interval in milliseconds
+   *  when the TTL is unknown
+   * @param {Number} [opts.minInterval=1000] - minimum refresh interval
+   *  in milliseconds
+   * @param {Number} [opts.maxStale=300000] - keep records after their
+   *  expiration in milliseconds when DNS is unreachable
+   * @param {Object} [opts.backoff] - retry options, see Backoff
+   * @memberof DnsSource
+   */
+  constructor ({
+    name,
+    srv = false,
+    port,
+    family = 0,
+    servers,
+    interval = 30000,
+    minInterval = 1000,
+    maxStale = 300000,
+    backoff
+  } = {}) {
+    super({ interval, backoff })
+
+    assert.isString(name, 'options.name')
+    assert.isBoolean(srv, 'options.srv')
+    if (port !== undefined) {
+      assert.isNumber(port, 'options.port')
+    }
+    assert.include([0, 4, 6], family, 'options.family')
+    assert.isNumber(minInterval, 'options.minInterval')
+    assert.isNumber(maxStale, 'options.maxStale')
+
+    this.name = name
+    this.srv = srv
+    this.port = port
+    this.family = family
+    this.minInterval = minInterval
+    this.maxStale = maxStale
+
+    this._dns = new dns.Resolver()
+    this._expiresAt = undefined
+
+    if (servers !== undefined) {
+      assert.isArray(servers, 'options.servers')
+      this._dns.setServers(servers)
+    }
+  }
+
+  /**
+   * Resolve backends
+   * @method _refresh
+   * @private
+   * @param {Function} callback - (err, backends, delay)
+   * @memberof DnsSource
+   */
+  _refresh (callback) {
+    const _this = this
+
+    function onResolve (err, records) {
+      const now = Date.now()
+
+      if (err) {
+        // Records expired and stale period is over
+        if (_this._expiresAt !== undefined &&
+          now > _this._expiresAt + _this.maxStale) {
+          _this._expiresAt = undefined
+          callback(err, [])
+          return
+        }
+
+        callback(err)
+        return
+      }
+
+      const ttls = records
+        .map((record) => record.ttl)
+        .filter((ttl) => ttl !== undefined)
+      const delay = ttls.length
+        ? Math.max(_this.minInterval, Math.min(...ttls) * 1000)
+        : _this.interval
+
+      _this._expiresAt = now + delay
+
+      callback(undefined, records.map((record) => {
+        const backend = {
+          address: record.address,
+          port: record.port
+        }
+
+        if (record.priority !== undefined) {
+          backend.priority = record.priority
+          backend.weight = record.weight
+        }
+
+        return backend
+      }), delay)
+    }
+
+    if (this.srv) {
+      this._resolveSrv(this.name, onResolve)
+    } else {
+      this._resolveHost(this.name, this.port, onResolve)
+    }
+  }
+
+  /**
+   * Resolve SRV records and the addresses of their targets
+   * @method _resolveSrv
+   * @private
+   * @param {String} name
+   * @param {Function} callback - (err, records)
+   * @memberof DnsSource
+   */
+  _resolveSrv (name, callback) {
+    const _this = this
+
+    this._dns.resolveSrv(name, function onSrv (err, srvs) {
+      if (err && NO_RECORDS.includes(err.code)) {
+        callback(undefined, [])
+        return
+      }
+
+      if (err) {
+        callback(err)
+        return
+      }
+
+      let pending = srvs.length
+      let failed = false
+      const records = []
+
+      if (!pending) {
+        callback(undefined, [])
+        return
+      }
+
+      srvs.forEach(function resolveTarget (srv) {
+        _this._resolveHost(srv.name, srv.port, function onHost (err, hosts) {
+          if (failed) {
+            return
+          }
+
+          if (err) {
+            failed = true
+            callback(err)
+            return
+          }
+
+          hosts.forEach(function addRecord (host) {
+            records.push(Object.assign(host, {
+              priority: srv.priority,
+              weight: srv.weight
+            }))
+          })
+          pending -= 1
+
+          if (!pending) {
+            callback(undefined, records)
+          }
+        })
+      })
+    })
+  }
+
+  /**
+   * Resolve A/AAAA records with TTL
+   * @method _resolveHost
+   * @private
+   * @param {String} name
+   * @param {Number} [port]
+   * @param {Function} callback - (err, records)
+   * @memberof DnsSource
+   */
+  _resolveHost (name, port, callback) {
+    const _this = this
+    const methods = []
+    const records = []
+    let pending
+    let failed = false
+
+    if (this.family !== 6) {
+      methods.push('resolve4')
+    }
+    if (this.family !== 4) {
+      methods.push('resolve6')
+    }
+
+    pending = methods.length
+
+    methods.forEach(function resolve (method) {
+      _this._dns[method](name, { ttl: true }, function onAddresses (
+        err,
+        addresses
+      ) {
+        if (failed) {
+          return
+        }
+
+        if (err && !NO_RECORDS.includes(err.code)) {
+          failed = true
+          callback(err)
+          return
+        }
+
+        (addresses || []).forEach(function addRecord ({ address, ttl }) {
+          records.push({ address, port, ttl })
+        })
+        pending -= 1
+
+        if (!pending) {
+          callback(undefined, records)
+        }
+      })
+    })
+  }
+}
+
+module.exports = DnsSource
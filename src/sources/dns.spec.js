@@ -0,0 +1,207 @@
+'use strict'
+
+const { assert } = require('chai')
+const { createDnsServer, RCODE } = require('../../test/dns-server')
+const DnsSource = require('./dns')
+
+describe('DnsSource', () => {
+  let server
+  let servers
+
+  beforeEach((done) => {
+    server = createDnsServer({
+      'api.test': {
+        A: [
+          { address: '10.0.0.1', ttl: 30 },
+          { address: '10.0.0.2', ttl: 20 }
+        ],
+        AAAA: [
+          { address: '2001:db8::1', ttl: 40 }
+        ]
+      },
+      '_http._tcp.api.test': {
+        SRV: [
+          {
+            target: 'node-1.api.test',
+            port: 8080,
+            priority: 1,
+            weight: 10
+          },
+          {
+            target: 'node-2.api.test',
+            port: 8081,
+            priority: 2,
+            weight: 5
+          }
+        ]
+      },
+      'node-1.api.test': {
+        A: [{ address: '10.0.1.1', ttl: 10 }]
+      },
+      'node-2.api.test': {
+        A: [{ address: '10.0.1.2', ttl: 10 }]
+      }
+    })
+    server.bind(0, '127.0.0.1', () => {
+      servers = [`127.0.0.1:${server.address().port}`]
+      done()
+    })
+  })
+
+  afterEach(() => {
+    server.close()
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new DnsSource()
+    }, /options.name/)
+
+    assert.throws(() => {
+      new DnsSource({
+        name: 'api.test',
+        family: 5
+      })
+    }, /options.family/)
+  })
+
+  it('should resolve A and AAAA records', function (done) {
+    const source = new DnsSource({ name: 'api.test', port: 8080, servers })
+    const schedule = this.sandbox.spy(source, '_schedule')
+
+    source.on('backends', (backends) => {
+      source.stop()
+
+      assert.sameDeepMembers(backends, [
+        { address: '10.0.0.1', port: 8080 },
+        { address: '10.0.0.2', port: 8080 },
+        { address: '2001:db8::1', port: 8080 }
+      ])
+      // Refresh when the first record expires
+      assert.deepEqual(schedule.args, [[20000]])
+      done()
+    })
+    source.start()
+  })
+
+  it('should resolve only one family', (done) => {
+    const source = new DnsSource({ name: 'api.test', family: 6, servers })
+
+    source.on('backends', (backends) => {
+      source.stop()
+
+      assert.deepEqual(server.queries, ['AAAA api.test'])
+      assert.deepEqual(backends, [
+        { address: '2001:db8::1', port: undefined }
+      ])
+      done()
+    })
+    source.start()
+  })
+
+  it('should resolve SRV records', function (done) {
+    const source = new DnsSource({
+      name: '_http._tcp.api.test',
+      srv: true,
+      family: 4,
+      minInterval: 15000,
+      servers
+    })
+    const schedule = this.sandbox.spy(source, '_schedule')
+
+    source.on('backends', (backends) => {
+      source.stop()
+
+      assert.sameDeepMembers(backends, [
+        {
+          address: '10.0.1.1',
+          port: 8080,
+          priority: 1,
+          weight: 10
+        },
+        {
+          address: '10.0.1.2',
+          port: 8081,
+          priority: 2,
+          weight: 5
+        }
+      ])
+      assert.deepEqual(schedule.args, [[15000]])
+      done()
+    })
+    source.start()
+  })
+
+  it('should emit empty list for unknown name', (done) => {
+    const source = new DnsSource({ name: 'unknown.test', servers })
+
+    source.on('backends', (backends) => {
+      source.stop()
+
+      assert.deepEqual(backends, [])
+      done()
+    })
+    source.start()
+  })
+
+  it('should re-resolve when TTL expires', (done) => {
+    const source = new DnsSource({
+      name: 'api.test',
+      family: 4,
+      minInterval: 10,
+      servers
+    })
+    const found = []
+
+    server.records['api.test'].A = [{ address: '10.0.0.1', ttl: 0 }]
+
+    source.on('backends', (backends) => {
+      found.push(backends.map((backend) => backend.address))
+      server.records['api.test'].A = [{ address: '10.0.0.2', ttl: 0 }]
+
+      if (found.length === 2) {
+        source.stop()
+
+        assert.deepEqual(found, [['10.0.0.1'], ['10.0.0.2']])
+        done()
+      }
+    })
+    source.start()
+  })
+
+  it('should keep stale records until maxStale', (done) => {
+    const source = new DnsSource({
+      name: 'api.test',
+      family: 4,
+      minInterval: 10,
+      maxStale: 50,
+      backoff: { min: 10, max: 10 },
+      servers
+    })
+    const events = []
+
+    server.records['api.test'].A = [{ address: '10.0.0.1', ttl: 0 }]
+
+    source.on('backends', () => {
+      events.push('backends')
+      server.rcode = RCODE.serverFailure
+    })
+    source.on('error', (err, backends) => {
+      assert.equal(err.code, 'ESERVFAIL')
+
+      if (!backends) {
+        events.push('error')
+        return
+      }
+
+      source.stop()
+
+      assert.deepEqual(backends, [])
+      assert.equal(events[0], 'backends')
+      assert.isAtLeast(events.length, 3)
+      assert.deepEqual(events.slice(1), events.slice(1).map(() => 'error'))
+      done()
+    })
+    source.start()
+  })
+})
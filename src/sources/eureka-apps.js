@@ -0,0 +1,127 @@
+'use strict'
+
+const { assert } = require('chai')
+const request = require('../request')
+const EurekaSource = require('./eureka')
+const Source = require('./source')
+
+/**
+ * Source of every application of an Eureka server
+ * Polls /eureka/apps once for all of the applications, so resolvers
+ * of different apps can share one poll. It emits the backends
+ * by upper case application name, use EurekaAppsSource.select()
+ * to get the backends of an app.
+ * @class EurekaAppsSource
+ * @extends {Source}
+ */
+class EurekaAppsSource extends Source {
+  /**
+   * Creates an instance of EurekaAppsSource.
+   * @param {Object} opts
+   * @param {String} opts.url - Eureka server URL, like http://eureka:8761
+   * @param {Number} [opts.interval=30000] - poll interval in milliseconds
+   * @param {Number} [opts.timeout=5000] - request timeout in milliseconds
+   * @param {Boolean} [opts.secure=false] - use the secure port of instances
+   * @param {Object} [opts.backoff] - retry options, see Backoff
+   * @memberof EurekaAppsSource
+   */
+  constructor ({
+    url,
+    interval = 30000,
+    timeout = 5000,
+    secure = false,
+    backoff
+  } = {}) {
+    super({ interval, backoff })
+
+    assert.isString(url, 'options.url')
+    assert.isTrue(
+      request.isHttpUrl(url),
+      'options.url must be an http or https URL'
+    )
+    assert.isNumber(timeout, 'options.timeout')
+    assert.isBoolean(secure, 'options.secure')
+
+    this.url = url.replace(/\/+$/, '')
+    this.timeout = timeout
+    this.secure = secure
+  }
+
+  /**
+   * Fetch instances of every application
+   * @method _refresh
+   * @private
+   * @param {Function} callback - (err, apps)
+   * @memberof EurekaAppsSource
+   */
+  _refresh (callback) {
+    const _this = this
+
+    request({
+      url: `${this.url}/eureka/apps`,
+      timeout: this.timeout
+    }, function onResponse (err, body) {
+      if (err) {
+        callback(err)
+        return
+      }
+
+      let apps
+
+      try {
+        apps = EurekaAppsSource.parseApplications(body, _this.secure)
+      } catch (err) {
+        callback(err)
+        return
+      }
+
+      callback(undefined, apps)
+    })
+  }
+
+  /**
+   * Parse applications response to backends by application name
+   * @static
+   * @param {Object} body - response of /eureka/apps
+   * @param {Boolean} [secure=false] - use the secure port of instances
+   * @returns {Map.<String, Array.<Object>>} backends by upper case name
+   * @memberof EurekaAppsSource
+   */
+  static parseApplications (body, secure = false) {
+    assert.isObject(body, 'body')
+    assert.isObject(body.applications, 'body.applications')
+
+    const apps = new Map()
+    let applications = body.applications.application || []
+
+    // Eureka serializes single application as an object
+    if (!Array.isArray(applications)) {
+      applications = [applications]
+    }
+
+    applications.forEach(function parseApplication (application) {
+      assert.isString(application.name, 'application.name')
+
+      apps.set(
+        application.name.toUpperCase(),
+        EurekaSource.parseApplication({ application }, secure)
+      )
+    })
+
+    return apps
+  }
+
+  /**
+   * Backends of the application, Eureka names are case insensitive
+   * @static
+   * @param {Map.<String, Array.<Object>>} apps - backends by name
+   * @param {String} app - application name
+   * @returns {Array.<Object>} backends, empty for unknown app
+   * @memberof EurekaAppsSource
+   */
+  static select (apps, app) {
+    return apps.get(app.toUpperCase()) || []
+  }
+}
+
+module.exports = EurekaAppsSource
@@ -0,0 +1,88 @@
+'use strict'
+
+const { assert } = require('chai')
+const { createEurekaServer, instance } = require('../../test/eureka-server')
+const EurekaAppsSource = require('./eureka-apps')
+
+describe('EurekaAppsSource', () => {
+  let server
+  let url
+
+  beforeEach((done) => {
+    server = createEurekaServer()
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/`
+      done()
+    })
+  })
+
+  afterEach((done) => {
+    server.close(done)
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new EurekaAppsSource()
+    }, /options.url/)
+
+    assert.throws(() => {
+      new EurekaAppsSource({
+        url: 'localhost:8761'
+      })
+    }, /options.url must be an http or https URL/)
+  })
+
+  it('should emit instances of every app by name', (done) => {
+    const source = new EurekaAppsSource({ url })
+
+    server.apps.orders = [
+      instance('10.0.0.1', 8080),
+      instance('10.0.0.2', 8080, 'DOWN')
+    ]
+    server.apps.users = [instance('10.0.0.3', 9090)]
+
+    source.on('backends', (apps) => {
+      source.stop()
+
+      assert.deepEqual(server.requests, ['GET /eureka/apps'])
+      assert.deepEqual(EurekaAppsSource.select(apps, 'orders'), [
+        { address: '10.0.0.1', port: 8080 }
+      ])
+      assert.deepEqual(EurekaAppsSource.select(apps, 'USERS'), [
+        { address: '10.0.0.3', port: 9090 }
+      ])
+      assert.deepEqual(EurekaAppsSource.select(apps, 'unknown'), [])
+      done()
+    })
+    source.start()
+  })
+
+  it('should parse single application and instance', () => {
+    const apps = EurekaAppsSource.parseApplications({
+      applications: {
+        application: {
+          name: 'ORDERS',
+          instance: instance('10.0.0.1', 8080)
+        }
+      }
+    }, true)
+
+    assert.deepEqual(Array.from(apps), [
+      ['ORDERS', [{ address: '10.0.0.1', port: 8081 }]]
+    ])
+  })
+
+  it('should emit error when server fails', (done) => {
+    const source = new EurekaAppsSource({ url })
+
+    server.statusCode = 500
+
+    source.on('error', (err) => {
+      source.stop()
+
+      assert.equal(err.statusCode, 500)
+      done()
+    })
+    source.start()
+  })
+})
@@ -0,0 +1,153 @@
+'use strict'
+
+const { assert } = require('chai')
+const request = require('../request')
+const Source = require('./source')
+
+const STATUS_UP = 'UP'
+
+/**
+ * Availability zone of the instance, from the "zone" metadata
+ * or from the "availability-zone" of Amazon data center info
+ * @function getZone
+ * @param {Object} instance
+ * @returns {String|undefined} zone
+ */
+function getZone ({ metadata, dataCenterInfo }) {
+  if (metadata && typeof metadata.zone === 'string') {
+    return metadata.zone
+  }
+
+  const info = dataCenterInfo && dataCenterInfo.metadata
+
+  return info && typeof info['availability-zone'] === 'string'
+    ? info['availability-zone']
+    : undefined
+}
+
+/**
+ * Eureka backend source
+ * Polls /eureka/apps/{app} and keeps the instances with "UP" status
+ * See: https://github.com/Netflix/eureka/wiki/Eureka-REST-operations
+ * @class EurekaSource
+ * @extends {Source}
+ */
+class EurekaSource extends Source {
+  /**
+   * Creates an instance of EurekaSource.
+   * @param {Object} opts
+   * @param {String} opts.url - Eureka server URL, like http://eureka:8761
+   * @param {String} opts.app - application name
+   * @param {Number} [opts.interval=30000] - poll interval in milliseconds
+   * @param {Number} [opts.timeout=5000] - request timeout in milliseconds
+   * @param {Boolean} [opts.secure=false] - use the secure port of instances
+   * @param {Object} [opts.backoff] - retry options, see Backoff
+   * @memberof EurekaSource
+   */
+  constructor ({
+    url,
+    app,
+    interval = 30000,
+    timeout = 5000,
+    secure = false,
+    backoff
+  } = {}) {
+    super({ interval, backoff })
+
+    assert.isString(url, 'options.url')
+    assert.isTrue(
+      request.isHttpUrl(url),
+      'options.url must be an http or https URL'
+    )
+    assert.isString(app, 'options.app')
+    assert.isNumber(timeout, 'options.timeout')
+    assert.isBoolean(secure, 'options.secure')
+
+    this.url = url.replace(/\/+$/, '')
+    this.app = app
+    this.timeout = timeout
+    this.secure = secure
+  }
+
+  /**
+   * Fetch instances of the application
+   * @method _refresh
+   * @private
+   * @param {Function} callback - (err, backends)
+   * @memberof EurekaSource
+   */
+  _refresh (callback) {
+    const _this = this
+
+    request({
+      url: `${this.url}/eureka/apps/${encodeURIComponent(this.app)}`,
+      timeout: this.timeout
+    }, function onResponse (err, body) {
+      // Eureka responds with 404 when the app has no instances
+      if (err && err.statusCode === 404) {
+        callback(undefined, [])
+        return
+      }
+
+      if (err) {
+        callback(err)
+        return
+      }
+
+      let backends
+
+      try {
+        backends = EurekaSource.parseApplication(body, _this.secure)
+      } catch (err) {
+        callback(err)
+        return
+      }
+
+      callback(undefined, backends)
+    })
+  }
+
+  /**
+   * Parse application response to backends
+   * @static
+   * @param {Object} body - response of /eureka/apps/{app}
+   * @param {Boolean} [secure=false] - use the secure port of instances
+   * @returns {Array.<Object>} backends
+   * @memberof EurekaSource
+   */
+  static parseApplication (body, secure = false) {
+    assert.isObject(body, 'body')
+    assert.isObject(body.application, 'body.application')
+
+    let instances = body.application.instance || []
+
+    // Eureka serializes single instance as an object
+    if (!Array.isArray(instances)) {
+      instances = [instances]
+    }
+
+    return instances
+      .filter((instance) => instance.status === STATUS_UP)
+      .map((instance) => {
+        const port = secure ? instance.securePort : instance.port
+        const backend = {
+          address: instance.ipAddr,
+          port: Number(port && typeof port === 'object' ? port.$ : port)
+        }
+
+        if (instance.metadata && typeof instance.metadata === 'object') {
+          backend.metadata = instance.metadata
+        }
+
+        const zone = getZone(instance)
+
+        if (zone) {
+          backend.zone = zone
+        }
+
+        return backend
+      })
+  }
+}
+
+module.exports = EurekaSource
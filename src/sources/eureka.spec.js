@@ -0,0 +1,158 @@
+'use strict'
+
+const { assert } = require('chai')
+const { createEurekaServer, instance } = require('../../test/eureka-server')
+const EurekaSource = require('./eureka')
+
+describe('EurekaSource', () => {
+  let server
+  let url
+
+  beforeEach((done) => {
+    server = createEurekaServer()
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/`
+      done()
+    })
+  })
+
+  afterEach((done) => {
+    server.close(done)
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new EurekaSource({
+        app: 'orders'
+      })
+    }, /options.url/)
+
+    assert.throws(() => {
+      new EurekaSource({
+        url: 'localhost:8761',
+        app: 'orders'
+      })
+    }, /options.url must be an http or https URL/)
+
+    assert.throws(() => {
+      new EurekaSource({
+        url: 'http://127.0.0.1:8761'
+      })
+    }, /options.app/)
+  })
+
+  it('should emit instances with "UP" status', (done) => {
+    const source = new EurekaSource({ url, app: 'orders' })
+
+    server.apps.orders = [
+      instance('10.0.0.1', 8080),
+      instance('10.0.0.2', 8080, 'DOWN'),
+      instance('10.0.0.3', 8081),
+      instance('10.0.0.4', 8080, 'OUT_OF_SERVICE')
+    ]
+
+    source.on('backends', (backends) => {
+      source.stop()
+
+      assert.deepEqual(server.requests, ['GET /eureka/apps/orders'])
+      assert.deepEqual(backends, [
+        { address: '10.0.0.1', port: 8080 },
+        { address: '10.0.0.3', port: 8081 }
+      ])
+      done()
+    })
+    source.start()
+  })
+
+  it('should handle single instance with metadata', (done) => {
+    const source = new EurekaSource({ url, app: 'orders', secure: true })
+
+    server.apps.orders = Object.assign(instance('10.0.0.1', 8080), {
+      metadata: { version: '1.2.0' }
+    })
+
+    source.on('backends', (backends) => {
+      source.stop()
+
+      assert.deepEqual(backends, [
+        { address: '10.0.0.1', port: 8081, metadata: { version: '1.2.0' } }
+      ])
+      done()
+    })
+    source.start()
+  })
+
+  it('should parse availability zone of instances', () => {
+    const backends = EurekaSource.parseApplication({
+      application: {
+        instance: [
+          Object.assign(instance('10.0.0.1', 8080), {
+            metadata: { zone: 'zone-a' }
+          }),
+          Object.assign(instance('10.0.0.2', 8080), {
+            dataCenterInfo: {
+              name: 'Amazon',
+              metadata: { 'availability-zone': 'us-east-1b' }
+            }
+          })
+        ]
+      }
+    })
+
+    assert.deepEqual(backends, [
+      {
+        address: '10.0.0.1',
+        port: 8080,
+        metadata: { zone: 'zone-a' },
+        zone: 'zone-a'
+      },
+      { address: '10.0.0.2', port: 8080, zone: 'us-east-1b' }
+    ])
+  })
+
+  it('should emit empty list for unknown app', (done) => {
+    const source = new EurekaSource({ url, app: 'unknown' })
+
+    source.on('backends', (backends) => {
+      source.stop()
+
+      assert.deepEqual(backends, [])
+      done()
+    })
+    source.start()
+  })
+
+  it('should emit error when server fails', (done) => {
+    const source = new EurekaSource({ url, app: 'orders' })
+
+    server.statusCode = 500
+
+    source.on('error', (err) => {
+      source.stop()
+
+      assert.equal(err.statusCode, 500)
+      done()
+    })
+    source.start()
+  })
+
+  it('should poll', (done) => {
+    const source = new EurekaSource({ url, app: 'orders', interval: 10 })
+    const found = []
+
+    server.apps.orders = [instance('10.0.0.1', 8080)]
+
+    source.on('backends', (backends) => {
+      found.push(backends.length)
+      server.apps.orders.push(instance('10.0.0.2', 8080))
+
+      if (found.length === 2) {
+        source.stop()
+
+        assert.deepEqual(found, [1, 2])
+        done()
+      }
+    })
+    source.start()
+  })
+})
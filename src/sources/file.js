@@ -0,0 +1,165 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { assert } = require('chai')
+const yaml = require('js-yaml')
+const Backend = require('../backend')
+const Source = require('./source')
+
+const FORMAT = {
+  json: 'json',
+  yaml: 'yaml'
+}
+
+/**
+ * File backend source
+ * Loads backends from a JSON or YAML file and reloads it on change.
+ * The file holds the backends in { address, port } shape,
+ * as an array or in the "backends" property.
+ * @class FileSource
+ * @extends {Source}
+ */
+class FileSource extends Source {
+  /**
+   * Creates an instance of FileSource.
+   * @param {Object} opts
+   * @param {String} opts.path - path of the file
+   * @param {String} [opts.format] - "json" or "yaml",
+   *  defaults to "yaml" for .yml and .yaml files and to "json" otherwise
+   * @param {Number} [opts.watchInterval=1000] - interval of checking
+   *  the file for changes in milliseconds
+   * @param {Number} [opts.interval=60000] - reload interval in milliseconds
+   * @param {Object} [opts.backoff] - retry options, see Backoff
+   * @memberof FileSource
+   */
+  constructor ({
+    path: filePath,
+    format,
+    watchInterval = 1000,
+    interval = 60000,
+    backoff
+  } = {}) {
+    super({ interval, backoff })
+
+    assert.isString(filePath, 'options.path')
+    assert.isNumber(watchInterval, 'options.watchInterval')
+
+    if (format === undefined) {
+      format = ['.yml', '.yaml'].includes(path.extname(filePath))
+        ? FORMAT.yaml
+        : FORMAT.json
+    }
+    assert.include(Object.keys(FORMAT), format, 'options.format')
+
+    this.path = filePath
+    this.format = format
+    this.watchInterval = watchInterval
+    this._onChange = this._onChange.bind(this)
+  }
+
+  /**
+   * Loads the file and starts watching it
+   * @method start
+   * @public
+   * @memberof FileSource
+   */
+  start () {
+    super.start()
+
+    fs.watchFile(this.path, {
+      persistent: false,
+      interval: this.watchInterval
+    }, this._onChange)
+  }
+
+  /**
+   * Stops watching the file
+   * @method stop
+   * @public
+   * @memberof FileSource
+   */
+  stop () {
+    super.stop()
+
+    fs.unwatchFile(this.path, this._onChange)
+  }
+
+  /**
+   * Reload file on change
+   * @method _onChange
+   * @private
+   * @param {fs.Stats} curr
+   * @param {fs.Stats} prev
+   * @memberof FileSource
+   */
+  _onChange (curr, prev) {
+    if (curr.mtime.getTime() === prev.mtime.getTime() &&
+      curr.size === prev.size && curr.ino === prev.ino) {
+      return
+    }
+
+    this._poll()
+  }
+
+  /**
+   * Read backends from the file
+   * @method _refresh
+   * @private
+   * @param {Function} callback - (err, backends)
+   * @memberof FileSource
+   */
+  _refresh (callback) {
+    const _this = this
+
+    fs.readFile(this.path, 'utf8', function onRead (err, content) {
+      if (err) {
+        callback(err)
+        return
+      }
+
+      let backends
+
+      try {
+        backends = _this._parse(content)
+      } catch (err) {
+        err.message = `${_this.path}: ${err.message}`
+        callback(err)
+        return
+      }
+
+      callback(undefined, backends)
+    })
+  }
+
+  /**
+   * Parse and validate backends
+   * @method _parse
+   * @private
+   * @param {String} content
+   * @returns {Array.<Object>} backends
+   * @memberof FileSource
+   */
+  _parse (content) {
+    let data = this.format === FORMAT.yaml
+      ? yaml.safeLoad(content)
+      : JSON.parse(content)
+
+    if (!Array.isArray(data)) {
+      assert.isObject(data, 'file')
+      data = data.backends
+    }
+
+    assert.isArray(data, 'backends')
+
+    return data.map(function validate (backend, i) {
+      Backend.validate(backend, `backends[${i}]`)
+
+      return typeof backend === 'string'
+        ? Backend.parse(backend)
+        : Object.assign({}, backend)
+    })
+  }
+}
+
+module.exports = FileSource
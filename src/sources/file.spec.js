@@ -0,0 +1,133 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { assert } = require('chai')
+const FileSource = require('./file')
+
+describe('FileSource', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cueball-resolver-'))
+  })
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)))
+    fs.rmdirSync(dir)
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new FileSource()
+    }, /options.path/)
+
+    assert.throws(() => {
+      new FileSource({
+        path: 'backends.txt',
+        format: 'xml'
+      })
+    }, /options.format/)
+  })
+
+  it('should load JSON file', (done) => {
+    const file = path.join(dir, 'backends.json')
+    const source = new FileSource({ path: file })
+
+    fs.writeFileSync(file, JSON.stringify({
+      backends: [
+        { address: '10.0.0.1', port: 8080 },
+        { address: '10.0.0.2' },
+        '10.0.0.3:8080',
+        '[::1]:9090',
+        'api.internal'
+      ]
+    }))
+
+    source.on('backends', (backends) => {
+      source.stop()
+
+      assert.deepEqual(backends, [
+        { address: '10.0.0.1', port: 8080 },
+        { address: '10.0.0.2' },
+        { address: '10.0.0.3', port: 8080 },
+        { address: '::1', port: 9090 },
+        { address: 'api.internal', port: undefined }
+      ])
+      done()
+    })
+    source.start()
+  })
+
+  it('should load YAML file', (done) => {
+    const file = path.join(dir, 'backends.yml')
+    const source = new FileSource({ path: file })
+
+    fs.writeFileSync(file, [
+      '- address: 10.0.0.1',
+      '  port: 8080'
+    ].join('\n'))
+
+    source.on('backends', (backends) => {
+      source.stop()
+
+      assert.deepEqual(backends, [
+        { address: '10.0.0.1', port: 8080 }
+      ])
+      done()
+    })
+    source.start()
+  })
+
+  it('should emit error for malformed file', (done) => {
+    const file = path.join(dir, 'backends.json')
+    const source = new FileSource({ path: file })
+
+    fs.writeFileSync(file, JSON.stringify({
+      backends: [
+        { address: '10.0.0.1', port: 'foo' }
+      ]
+    }))
+
+    source.on('error', (err) => {
+      source.stop()
+
+      assert.match(err.message, /backends.json: backends\[0\].port/)
+      done()
+    })
+    source.start()
+  })
+
+  it('should reload file on change', (done) => {
+    const file = path.join(dir, 'backends.json')
+    const source = new FileSource({ path: file, watchInterval: 10 })
+    const found = []
+
+    fs.writeFileSync(file, JSON.stringify([{ address: '10.0.0.1' }]))
+
+    source.on('backends', (backends) => {
+      found.push(backends)
+
+      if (found.length === 1) {
+        // Config management replaces the file
+        setTimeout(() => {
+          fs.writeFileSync(`${file}.tmp`, JSON.stringify([
+            { address: '10.0.0.2' }
+          ]))
+          fs.renameSync(`${file}.tmp`, file)
+        }, 20)
+        return
+      }
+
+      source.stop()
+
+      assert.deepEqual(found, [
+        [{ address: '10.0.0.1' }],
+        [{ address: '10.0.0.2' }]
+      ])
+      done()
+    })
+    source.start()
+  })
+})
@@ -0,0 +1,19 @@
+'use strict'
+
+const Source = require('./source')
+const EurekaSource = require('./eureka')
+const DnsSource = require('./dns')
+const FileSource = require('./file')
+const ConsulSource = require('./consul')
+const KubernetesSource = require('./kubernetes')
+const CompositeSource = require('./composite')
+
+module.exports = {
+  Source,
+  EurekaSource,
+  DnsSource,
+  FileSource,
+  ConsulSource,
+  KubernetesSource,
+  CompositeSource
+}
@@ -0,0 +1,516 @@
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const { URL } = require('url')
+const { assert } = require('chai')
+const request = require('../request')
+const Source = require('./source')
+
+const RESOURCE = {
+  endpoints: 'endpoints',
+  endpointSlices: 'endpointslices'
+}
+const EVENT_TYPE = {
+  added: 'ADDED',
+  modified: 'MODIFIED',
+  deleted: 'DELETED',
+  bookmark: 'BOOKMARK',
+  error: 'ERROR'
+}
+// Resource version is too old to resume the watch
+const STATUS_GONE = 410
+
+/**
+ * Opens a watch stream and calls back with every JSON event of it
+ * @function watchRequest
+ * @param {Object} opts
+ * @param {String} opts.url
+ * @param {Object} opts.headers
+ * @param {Number} opts.timeout - in milliseconds
+ * @param {String|Buffer} [opts.ca]
+ * @param {Function} onEvent - (event)
+ * @param {Function} callback - (err), called when the stream ends
+ * @returns {http.ClientRequest|undefined} - undefined when the request
+ *  cannot be created, like for an invalid URL
+ */
+function watchRequest ({
+  url,
+  headers,
+  timeout,
+  ca
+}, onEvent, callback) {
+  let done = false
+  let req
+
+  function finish (err) {
+    if (done) {
+      return
+    }
+    done = true
+    callback(err)
+  }
+
+  function onResponse (res) {
+    let buffer = ''
+
+    if (res.statusCode !== 200) {
+      const err = new Error(`GET ${url} responded with ${res.statusCode}`)
+      err.statusCode = res.statusCode
+      res.resume()
+      finish(err)
+      return
+    }
+
+    res.setEncoding('utf8')
+    res.on('data', function onData (chunk) {
+      const lines = (buffer + chunk).split('\n')
+
+      buffer = lines.pop()
+
+      try {
+        lines
+          .filter((line) => line.trim().length)
+          .forEach((line) => onEvent(JSON.parse(line)))
+      } catch (err) {
+        req.abort()
+        finish(err)
+      }
+    })
+    res.on('error', finish)
+    res.on('end', function onEnd () {
+      finish()
+    })
+  }
+
+  // Invalid URLs throw, they are passed to the callback like other errors
+  try {
+    const target = new URL(url)
+    const transport = target.protocol === 'https:' ? https : http
+
+    req = transport.get({
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: `${target.pathname}${target.search}`,
+      headers: Object.assign({ accept: 'application/json' }, headers),
+      ca
+    }, onResponse)
+  } catch (err) {
+    setImmediate(finish, err)
+    return undefined
+  }
+
+  req.setTimeout(timeout, function onTimeout () {
+    req.abort()
+    finish(new Error(`GET ${url} timed out after ${timeout}ms`))
+  })
+  req.on('error', finish)
+
+  return req
+}
+
+/**
+ * Ports of the object which match the port option,
+ * a single port matches when the option is not set
+ * @function findPort
+ * @param {Array.<Object>} [ports=[]] - { name, port }
+ * @param {String|Number} [port] - name or number
+ * @returns {Number|undefined} port
+ */
+function findPort (ports = [], port) {
+  if (port === undefined) {
+    return ports.length === 1 ? ports[0].port : undefined
+  }
+
+  const found = ports.find((item) => (typeof port === 'string'
+    ? item.name === port
+    : item.port === port))
+
+  return found ? found.port : undefined
+}
+
+/**
+ * Kubernetes backend source
+ * Lists the ready endpoints of a Service and watches them
+ * with the API server watch stream. The watch resumes from
+ * the last resourceVersion and relists on "410 Gone".
+ * Not ready addresses are excluded.
+ * See: https://kubernetes.io/docs/reference/using-api/api-concepts/
+ * @class KubernetesSource
+ * @extends {Source}
+ */
+class KubernetesSource extends Source {
+  /**
+   * Creates an instance of KubernetesSource.
+   * @param {Object} opts
+   * @param {String} opts.url - API server URL, like https://kubernetes.default
+   * @param {String} opts.service - name of the Service
+   * @param {String} [opts.namespace='default']
+   * @param {String|Number} [opts.port] - name or number of the port,
+   *  required when the Service has more ports
+   * @param {String} [opts.resource='endpointslices'] - "endpointslices"
+   *  or "endpoints"
+   * @param {String} [opts.token] - bearer token
+   * @param {String|Buffer} [opts.ca] - CA certificates of the API server
+   * @param {Number} [opts.watchTimeout=300000] - duration of a watch request
+   *  in milliseconds, the watch resumes after it
+   * @param {Number} [opts.timeout=5000] - request timeout in milliseconds
+   * @param {Object} [opts.backoff] - retry options, see Backoff
+   * @memberof KubernetesSource
+   */
+  constructor ({
+    url,
+    service,
+    namespace = 'default',
+    port,
+    resource = RESOURCE.endpointSlices,
+    token,
+    ca,
+    watchTimeout = 300000,
+    timeout = 5000,
+    backoff
+  } = {}) {
+    super({ backoff })
+
+    assert.isString(url, 'options.url')
+    assert.isTrue(
+      request.isHttpUrl(url),
+      'options.url must be an http or https URL'
+    )
+    assert.isString(service, 'options.service')
+    assert.isString(namespace, 'options.namespace')
+    if (port !== undefined) {
+      assert.include(['string', 'number'], typeof port, 'options.port')
+    }
+    assert.include(Object.values(RESOURCE), resource, 'options.resource')
+    if (token !== undefined) {
+      assert.isString(token, 'options.token')
+    }
+    assert.isNumber(watchTimeout, 'options.watchTimeout')
+    assert.isNumber(timeout, 'options.timeout')
+
+    this.url = url.replace(/\/+$/, '')
+    this.service = service
+    this.namespace = namespace
+    this.port = port
+    this.resource = resource
+    this.token = token
+    this.ca = ca
+    this.watchTimeout = watchTimeout
+    this.timeout = timeout
+
+    this._objects = new Map()
+    this._resourceVersion = undefined
+    this._req = undefined
+  }
+
+  /**
+   * Stops watching and aborts the pending watch
+   * @method stop
+   * @public
+   * @memberof KubernetesSource
+   */
+  stop () {
+    super.stop()
+
+    if (this._req) {
+      this._req.abort()
+      this._req = undefined
+    }
+  }
+
+  /**
+   * Lists the objects and watches them from their resourceVersion
+   * @method _poll
+   * @private
+   * @memberof KubernetesSource
+   */
+  _poll () {
+    const _this = this
+    const generation = this._generation
+
+    this._refresh(function onList (err, backends) {
+      if (generation !== _this._generation) {
+        return
+      }
+
+      if (err) {
+        _this._schedule(_this._backoff.next())
+        _this.emit('error', err)
+        return
+      }
+
+      _this._backoff.reset()
+      _this._watch()
+      _this.emit('backends', backends)
+    })
+  }
+
+  /**
+   * List the objects of the Service
+   * @method _refresh
+   * @private
+   * @param {Function} callback - (err, backends)
+   * @memberof KubernetesSource
+   */
+  _refresh (callback) {
+    const _this = this
+
+    request({
+      url: this._url(),
+      headers: this._headers(),
+      timeout: this.timeout,
+      ca: this.ca
+    }, function onResponse (err, body) {
+      if (err) {
+        callback(err)
+        return
+      }
+
+      try {
+        assert.isObject(body, 'body')
+        assert.isArray(body.items, 'body.items')
+
+        _this._objects = new Map()
+        body.items.forEach(function addObject (object) {
+          _this._objects.set(object.metadata.name, object)
+        })
+        _this._resourceVersion = body.metadata.resourceVersion
+      } catch (err) {
+        callback(err)
+        return
+      }
+
+      callback(undefined, _this._backends())
+    })
+  }
+
+  /**
+   * Watches changes from the last resourceVersion,
+   * resumes when the watch ends and relists when it is gone
+   * @method _watch
+   * @private
+   * @memberof KubernetesSource
+   */
+  _watch () {
+    const _this = this
+    const generation = this._generation
+
+    const req = watchRequest({
+      url: this._url({
+        watch: '1',
+        allowWatchBookmarks: 'true',
+        resourceVersion: this._resourceVersion,
+        timeoutSeconds: String(Math.ceil(this.watchTimeout / 1000))
+      }),
+      headers: this._headers(),
+      timeout: this.watchTimeout + this.timeout,
+      ca: this.ca
+    }, function onEvent (event) {
+      if (generation !== _this._generation || _this._req !== req) {
+        return
+      }
+
+      _this._onEvent(event, req)
+    }, function onEnd (err) {
+      // Stopped or the watch is replaced in the meantime
+      if (generation !== _this._generation || _this._req !== req) {
+        return
+      }
+
+      _this._req = undefined
+
+      if (err && err.statusCode === STATUS_GONE) {
+        _this._poll()
+        return
+      }
+
+      if (err) {
+        _this._schedule(_this._backoff.next())
+        _this.emit('error', err)
+        return
+      }
+
+      _this._watch()
+    })
+
+    this._req = req
+  }
+
+  /**
+   * Applies a watch event
+   * @method _onEvent
+   * @private
+   * @param {Object} event - { type, object }
+   * @param {http.ClientRequest} req - watch request of the event
+   * @memberof KubernetesSource
+   */
+  _onEvent ({ type, object }, req) {
+    if (type === EVENT_TYPE.error) {
+      // Stops the watch, the end of the stream is ignored
+      this._req = undefined
+      req.abort()
+
+      if (object && object.code === STATUS_GONE) {
+        this._poll()
+        return
+      }
+
+      const err = new Error(`watch failed: ${object && object.message}`)
+      err.statusCode = object && object.code
+      this._schedule(this._backoff.next())
+      this.emit('error', err)
+      return
+    }
+
+    this._resourceVersion = object.metadata.resourceVersion
+
+    if (type === EVENT_TYPE.bookmark) {
+      return
+    }
+
+    if (type === EVENT_TYPE.deleted) {
+      this._objects.delete(object.metadata.name)
+    } else {
+      this._objects.set(object.metadata.name, object)
+    }
+
+    this.emit('backends', this._backends())
+  }
+
+  /**
+   * Ready backends of the objects
+   * @method _backends
+   * @private
+   * @returns {Array.<Object>} backends
+   * @memberof KubernetesSource
+   */
+  _backends () {
+    const _this = this
+    const backends = []
+
+    this._objects.forEach(function addBackends (object) {
+      const parse = _this.resource === RESOURCE.endpoints
+        ? KubernetesSource.parseEndpoints
+        : KubernetesSource.parseEndpointSlice
+
+      backends.push(...parse(object, _this.port))
+    })
+
+    return backends
+  }
+
+  /**
+   * URL of the objects of the Service
+   * @method _url
+   * @private
+   * @param {Object} [query={}]
+   * @returns {String}
+   * @memberof KubernetesSource
+   */
+  _url (query = {}) {
+    const namespace = encodeURIComponent(this.namespace)
+    const url = this.resource === RESOURCE.endpoints
+      ? new URL(`${this.url}/api/v1/namespaces/${namespace}/endpoints`)
+      : new URL(`${this.url}/apis/discovery.k8s.io/v1/namespaces/` +
+        `${namespace}/endpointslices`)
+
+    if (this.resource === RESOURCE.endpoints) {
+      url.searchParams.append('fieldSelector', `metadata.name=${this.service}`)
+    } else {
+      url.searchParams.append(
+        'labelSelector',
+        `kubernetes.io/service-name=${this.service}`
+      )
+    }
+
+    Object.keys(query).forEach(function appendQuery (key) {
+      if (query[key] !== undefined) {
+        url.searchParams.append(key, query[key])
+      }
+    })
+
+    return url.toString()
+  }
+
+  /**
+   * Headers of requests
+   * @method _headers
+   * @private
+   * @returns {Object}
+   * @memberof KubernetesSource
+   */
+  _headers () {
+    return this.token ? { authorization: `Bearer ${this.token}` } : {}
+  }
+
+  /**
+   * Parse ready addresses of core/v1 Endpoints
+   * @static
+   * @param {Object} endpoints
+   * @param {String|Number} [port] - name or number
+   * @returns {Array.<Object>} backends
+   * @memberof KubernetesSource
+   */
+  static parseEndpoints (endpoints, port) {
+    const backends = []
+    const subsets = endpoints.subsets || []
+
+    subsets.forEach(function parseSubset (subset) {
+      const subsetPort = findPort(subset.ports, port)
+      // notReadyAddresses are excluded
+      const addresses = subset.addresses || []
+
+      if (subsetPort === undefined) {
+        return
+      }
+
+      addresses.forEach(function addAddress ({ ip }) {
+        backends.push({
+          address: ip,
+          port: subsetPort
+        })
+      })
+    })
+
+    return backends
+  }
+
+  /**
+   * Parse ready endpoints of discovery.k8s.io/v1 EndpointSlice
+   * @static
+   * @param {Object} slice
+   * @param {String|Number} [port] - name or number
+   * @returns {Array.<Object>} backends
+   * @memberof KubernetesSource
+   */
+  static parseEndpointSlice (slice, port) {
+    const slicePort = findPort(slice.ports, port)
+
+    if (slicePort === undefined) {
+      return []
+    }
+
+    return (slice.endpoints || [])
+      // Unknown readiness is ready
+      .filter((endpoint) => !endpoint.conditions ||
+        endpoint.conditions.ready !== false)
+      .map(function createBackend (endpoint) {
+        const backend = {
+          address: endpoint.addresses[0],
+          port: slicePort
+        }
+
+        if (endpoint.zone) {
+          backend.zone = endpoint.zone
+        }
+
+        return backend
+      })
+  }
+}
+
+KubernetesSource.RESOURCE = RESOURCE
+
+module.exports = KubernetesSource
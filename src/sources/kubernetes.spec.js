@@ -0,0 +1,294 @@
+'use strict'
+
+const { assert } = require('chai')
+const {
+  createKubernetesServer,
+  endpointSlice
+} = require('../../test/kubernetes-server')
+const KubernetesSource = require('./kubernetes')
+
+const SLICES = '/apis/discovery.k8s.io/v1/namespaces/default/endpointslices' +
+  '?labelSelector=kubernetes.io%2Fservice-name%3Dapi'
+
+describe('KubernetesSource', () => {
+  let server
+  let url
+  let source
+
+  function listen (list, watches, done) {
+    server = createKubernetesServer(list, watches)
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}`
+      done()
+    })
+  }
+
+  afterEach((done) => {
+    if (source) {
+      source.stop()
+      source = undefined
+    }
+    if (server) {
+      server.close(done)
+      server = undefined
+      return
+    }
+    done()
+  })
+
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new KubernetesSource({
+        service: 'api'
+      })
+    }, /options.url/)
+
+    assert.throws(() => {
+      new KubernetesSource({
+        url: 'kubernetes.default',
+        service: 'api'
+      })
+    }, /options.url must be an http or https URL/)
+
+    assert.throws(() => {
+      new KubernetesSource({
+        url: 'https://kubernetes.default',
+        service: 'api',
+        resource: 'pods'
+      })
+    }, /options.resource/)
+  })
+
+  it('should parse ready addresses of Endpoints with named port', () => {
+    const endpoints = {
+      subsets: [{
+        addresses: [{ ip: '10.0.0.1' }, { ip: '10.0.0.2' }],
+        notReadyAddresses: [{ ip: '10.0.0.3' }],
+        ports: [
+          { name: 'http', port: 8080 },
+          { name: 'metrics', port: 9090 }
+        ]
+      }]
+    }
+
+    assert.deepEqual(KubernetesSource.parseEndpoints(endpoints, 'http'), [
+      { address: '10.0.0.1', port: 8080 },
+      { address: '10.0.0.2', port: 8080 }
+    ])
+    assert.deepEqual(KubernetesSource.parseEndpoints(endpoints, 9090), [
+      { address: '10.0.0.1', port: 9090 },
+      { address: '10.0.0.2', port: 9090 }
+    ])
+    // Ambiguous port
+    assert.deepEqual(KubernetesSource.parseEndpoints(endpoints), [])
+  })
+
+  it('should parse ready endpoints of EndpointSlice', () => {
+    const slice = endpointSlice('api-abc', '1', [
+      { address: '10.0.0.1' },
+      { address: '10.0.0.2', ready: false },
+      { address: '10.0.0.3', zone: 'zone-b' }
+    ], [{ name: 'http', port: 8080 }])
+
+    assert.deepEqual(KubernetesSource.parseEndpointSlice(slice), [
+      { address: '10.0.0.1', port: 8080 },
+      { address: '10.0.0.3', port: 8080, zone: 'zone-b' }
+    ])
+    assert.deepEqual(KubernetesSource.parseEndpointSlice(slice, 'grpc'), [])
+  })
+
+  it('should list and replay the watch stream', (done) => {
+    const results = []
+
+    listen({
+      kind: 'EndpointSliceList',
+      metadata: { resourceVersion: '100' },
+      items: [
+        endpointSlice('api-a', '90', [
+          { address: '10.0.0.1' },
+          { address: '10.0.0.2', ready: false }
+        ])
+      ]
+    }, [
+      [
+        {
+          type: 'MODIFIED',
+          object: endpointSlice('api-a', '101', [
+            { address: '10.0.0.1' },
+            { address: '10.0.0.2' }
+          ])
+        },
+        {
+          type: 'ADDED',
+          object: endpointSlice('api-b', '102', [{ address: '10.0.0.3' }])
+        },
+        {
+          type: 'BOOKMARK',
+          object: { metadata: { resourceVersion: '103' } }
+        }
+      ]
+    ], () => {
+      source = new KubernetesSource({
+        url,
+        service: 'api',
+        port: 'http',
+        token: 'secret'
+      })
+
+      source.on('error', done)
+      source.on('backends', (backends) => {
+        results.push(backends.map((backend) =>
+          `${backend.address}:${backend.port}`))
+
+        if (results.length < 3) {
+          return
+        }
+
+        // Watch resumes after the end of the stream
+        setTimeout(() => {
+          assert.deepEqual(results, [
+            ['10.0.0.1:8080'],
+            ['10.0.0.1:8080', '10.0.0.2:8080'],
+            ['10.0.0.1:8080', '10.0.0.2:8080', '10.0.0.3:8080']
+          ])
+          assert.deepEqual(server.requests, [
+            `GET ${SLICES}`,
+            `GET ${SLICES}&watch=1&allowWatchBookmarks=true` +
+              '&resourceVersion=100&timeoutSeconds=300',
+            `GET ${SLICES}&watch=1&allowWatchBookmarks=true` +
+              '&resourceVersion=103&timeoutSeconds=300'
+          ])
+          assert.equal(server.headers[0].authorization, 'Bearer secret')
+          done()
+        }, 20)
+      })
+      source.start()
+    })
+  })
+
+  it('should relist on "410 Gone" event', (done) => {
+    const results = []
+
+    listen({
+      metadata: { resourceVersion: '100' },
+      items: [endpointSlice('api-a', '90', [{ address: '10.0.0.1' }])]
+    }, [
+      [
+        {
+          type: 'ERROR',
+          object: {
+            kind: 'Status',
+            code: 410,
+            message: 'too old resource version: 100 (200)'
+          }
+        }
+      ]
+    ], () => {
+      source = new KubernetesSource({
+        url,
+        service: 'api',
+        port: 'http'
+      })
+
+      source.on('error', done)
+      source.on('backends', (backends) => {
+        results.push(backends.length)
+
+        if (results.length === 2) {
+          const watches = server.requests
+            .map((req) => req.includes('watch=1'))
+
+          assert.deepEqual(watches, [false, true, false])
+          done()
+        }
+      })
+      source.start()
+    })
+  })
+
+  it('should relist on "410 Gone" response', (done) => {
+    const results = []
+
+    listen({
+      metadata: { resourceVersion: '100' },
+      items: [endpointSlice('api-a', '90', [{ address: '10.0.0.1' }])]
+    }, [{ statusCode: 410 }], () => {
+      source = new KubernetesSource({
+        url,
+        service: 'api',
+        port: 'http'
+      })
+
+      source.on('error', done)
+      source.on('backends', () => {
+        results.push(server.requests.length)
+
+        if (results.length === 2) {
+          assert.deepEqual(results, [1, 3])
+          done()
+        }
+      })
+      source.start()
+    })
+  })
+
+  it('should watch Endpoints', (done) => {
+    listen({
+      kind: 'EndpointsList',
+      metadata: { resourceVersion: '100' },
+      items: [{
+        metadata: { name: 'api', resourceVersion: '90' },
+        subsets: [{
+          addresses: [{ ip: '10.0.0.1' }],
+          notReadyAddresses: [{ ip: '10.0.0.2' }],
+          ports: [{ name: 'http', port: 8080 }]
+        }]
+      }]
+    }, [], () => {
+      source = new KubernetesSource({
+        url,
+        service: 'api',
+        namespace: 'shop',
+        resource: 'endpoints'
+      })
+
+      source.on('error', done)
+      source.on('backends', (backends) => {
+        assert.deepEqual(backends, [{ address: '10.0.0.1', port: 8080 }])
+        assert.deepEqual(server.requests, [
+          'GET /api/v1/namespaces/shop/endpoints' +
+            '?fieldSelector=metadata.name%3Dapi'
+        ])
+        done()
+      })
+      source.start()
+    })
+  })
+
+  it('should retry list with backoff', (done) => {
+    listen({
+      metadata: { resourceVersion: '100' },
+      items: []
+    }, [], () => {
+      server.statusCode = 403
+      source = new KubernetesSource({
+        url,
+        service: 'api',
+        backoff: {
+          min: 5,
+          jitter: 0
+        }
+      })
+
+      source.once('error', (err) => {
+        assert.equal(err.statusCode, 403)
+        server.statusCode = undefined
+      })
+      source.on('backends', (backends) => {
+        assert.deepEqual(backends, [])
+        done()
+      })
+      source.start()
+    })
+  })
+})
@@ -0,0 +1,126 @@
+'use strict'
+
+const EventEmitter = require('events')
+const { assert } = require('chai')
+const Backoff = require('../backoff')
+
+/**
+ * Base class for dynamic backend sources
+ * A source periodically refreshes its backend list and emits it
+ * as a "backends" event, refresh failures are emitted as "error"
+ * and retried with exponential backoff.
+ * A failed refresh can still tell the backends that are valid,
+ * those are passed as the second argument of the "error" event.
+ * Subclasses implement _refresh(callback).
+ * @class Source
+ * @extends {EventEmitter}
+ */
+class Source extends EventEmitter {
+  /**
+   * Creates an instance of Source.
+   * @param {Object} [opts]
+   * @param {Number} [opts.interval=30000] - refresh interval in milliseconds
+   * @param {Object} [opts.backoff] - retry options, see Backoff
+   * @memberof Source
+   */
+  constructor ({ interval = 30000, backoff = {} } = {}) {
+    super()
+
+    assert.isNumber(interval, 'options.interval')
+    assert.isObject(backoff, 'options.backoff')
+
+    this.interval = interval
+    this._backoff = new Backoff(backoff)
+    this._running = false
+    this._timer = undefined
+    this._generation = 0
+  }
+
+  /**
+   * Starts refreshing
+   * @method start
+   * @public
+   * @memberof Source
+   */
+  start () {
+    assert.isNotOk(this._running, 'Source is already started')
+
+    this._running = true
+    this._generation += 1
+    this._backoff.reset()
+    this._poll()
+  }
+
+  /**
+   * Stops refreshing
+   * @method stop
+   * @public
+   * @memberof Source
+   */
+  stop () {
+    this._running = false
+    this._generation += 1
+    clearTimeout(this._timer)
+    this._timer = undefined
+  }
+
+  /**
+   * Refresh backends
+   * Callback can override the delay of the next refresh in milliseconds.
+   * @method _refresh
+   * @private
+   * @param {Function} callback - (err, backends, delay)
+   * @memberof Source
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _refresh (callback) {
+    callback(new Error('Source must implement _refresh()'))
+  }
+
+  /**
+   * Runs a refresh and schedules the next one
+   * @method _poll
+   * @private
+   * @memberof Source
+   */
+  _poll () {
+    const _this = this
+    const generation = this._generation
+
+    this._refresh(function onRefresh (err, backends, delay) {
+      // Stopped or restarted in the meantime
+      if (generation !== _this._generation) {
+        return
+      }
+
+      if (err) {
+        _this._schedule(_this._backoff.next())
+        _this.emit('error', err, backends)
+        return
+      }
+
+      _this._backoff.reset()
+      _this._schedule(delay === undefined ? _this.interval : delay)
+      _this.emit('backends', backends)
+    })
+  }
+
+  /**
+   * Schedule next refresh
+   * @method _schedule
+   * @private
+   * @param {Number} delay - in milliseconds
+   * @memberof Source
+   */
+  _schedule (delay) {
+    const _this = this
+
+    clearTimeout(this._timer)
+    this._timer = setTimeout(function refresh () {
+      _this._timer = undefined
+      _this._poll()
+    }, delay)
+  }
+}
+
+module.exports = Source
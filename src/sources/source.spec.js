@@ -0,0 +1,81 @@
+'use strict'
+
+const { assert } = require('chai')
+const { ListSource } = require('../../test/list-source')
+const Source = require('./source')
+
+describe('Source', () => {
+  it('should throw error for bad arguments', () => {
+    assert.throws(() => {
+      new Source({
+        interval: 'foo'
+      })
+    }, /options.interval/)
+
+    assert.throws(() => {
+      new Source({
+        backoff: { jitter: 2 }
+      })
+    }, /options.jitter/)
+  })
+
+  it('should emit error without _refresh()', (done) => {
+    const source = new Source()
+
+    source.on('error', (err) => {
+      source.stop()
+      assert.equal(err.message, 'Source must implement _refresh()')
+      done()
+    })
+    source.start()
+  })
+
+  it('should not start twice', () => {
+    const source = new ListSource([{ backends: [] }])
+
+    source.start()
+    assert.throws(() => {
+      source.start()
+    }, /Source is already started/)
+    source.stop()
+  })
+
+  it('should retry with backoff after error', function (done) {
+    const err = new Error('My Error')
+    const source = new ListSource([
+      { err },
+      { err },
+      { backends: [{ address: '127.0.0.1', port: 80 }] }
+    ], {
+      interval: 10000,
+      backoff: { min: 10, jitter: 0 }
+    })
+    const events = []
+    const schedule = this.sandbox.spy(source, '_schedule')
+
+    source.on('error', (err) => {
+      events.push(err.message)
+    })
+    source.on('backends', (backends) => {
+      source.stop()
+
+      assert.deepEqual(events, ['My Error', 'My Error'])
+      assert.deepEqual(backends, [{ address: '127.0.0.1', port: 80 }])
+      assert.deepEqual(schedule.args, [[10], [20], [10000]])
+      done()
+    })
+    source.start()
+  })
+
+  it('should not emit after stop', (done) => {
+    const source = new ListSource([{ backends: [] }])
+
+    source.on('backends', () => {
+      done(new Error('should not emit'))
+    })
+    source.start()
+    source.stop()
+
+    setTimeout(done, 10)
+  })
+})
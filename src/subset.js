@@ -0,0 +1,101 @@
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * Hash score of the value
+ * @function getScore
+ * @param {String} value - like Backend.key
+ * @returns {Number} score - 48 bits of the hash
+ */
+function getScore (value) {
+  return crypto.createHash('sha1')
+    .update(value)
+    .digest()
+    .readUIntBE(0, 6)
+}
+
+/**
+ * Selects the backends with the highest rendezvous scores
+ * of the client ID and Backend.key
+ * @function selectRendezvous
+ * @param {Array.<Backend>} backends
+ * @param {String} clientId
+ * @param {Number} size
+ * @returns {Set.<Backend>} selected
+ */
+function selectRendezvous (backends, clientId, size) {
+  return new Set(backends
+    .map((backend) => ({
+      backend,
+      score: getScore(`${clientId}\n${backend.key}`)
+    }))
+    .sort((a, b) => b.score - a.score ||
+      (a.backend.key < b.backend.key ? -1 : 1))
+    .slice(0, size)
+    .map(({ backend }) => backend))
+}
+
+/**
+ * Selects the backends of the aperture of the client: backends are placed
+ * evenly on a ring ordered by the hash of Backend.key and the client takes
+ * the next backends from its offset, clientIndex of clientCount
+ * @function selectAperture
+ * @param {Array.<Backend>} backends
+ * @param {Number} clientIndex
+ * @param {Number} clientCount
+ * @param {Number} size
+ * @returns {Set.<Backend>} selected
+ */
+function selectAperture (backends, clientIndex, clientCount, size) {
+  const ring = backends
+    .map((backend) => ({ backend, score: getScore(backend.key) }))
+    .sort((a, b) => a.score - b.score ||
+      (a.backend.key < b.backend.key ? -1 : 1))
+    .map(({ backend }) => backend)
+  const offset = Math.floor((clientIndex * ring.length) / clientCount)
+
+  return new Set(ring.slice(offset, offset + size)
+    .concat(ring.slice(0, Math.max(0, (offset + size) - ring.length))))
+}
+
+/**
+ * Selects a stable subset of the backends for the client.
+ * By default it is rendezvous hashing of the client ID and Backend.key:
+ * removing a backend replaces only that one, adding one changes at most
+ * one backend of the subset, the clients are spread evenly on average.
+ * With clientIndex of clientCount it is deterministic aperture: clients
+ * are spaced evenly on a ring of the backends, so every backend gets the
+ * same count of clients give or take one, while adding or removing
+ * a backend changes at most one other backend of the subset.
+ * @function selectSubset
+ * @param {Array.<Backend>} backends
+ * @param {Object} opts
+ * @param {String} opts.clientId
+ * @param {Number} [opts.clientIndex] - index of the client
+ *  between 0 and clientCount - 1
+ * @param {Number} [opts.clientCount] - count of the clients
+ * @param {Number} opts.size
+ * @returns {Array.<Backend>} backends of the subset in their order
+ */
+function selectSubset (backends, {
+  clientId,
+  clientIndex,
+  clientCount,
+  size
+}) {
+  if (backends.length <= size) {
+    return backends
+  }
+
+  const selected = clientIndex === undefined
+    ? selectRendezvous(backends, clientId, size)
+    : selectAperture(backends, clientIndex, clientCount, size)
+
+  return backends.filter((backend) => selected.has(backend))
+}
+
+module.exports = {
+  getScore,
+  selectSubset
+}
@@ -0,0 +1,131 @@
+'use strict'
+
+const { assert } = require('chai')
+const Backend = require('./backend')
+const { selectSubset } = require('./subset')
+
+describe('subset', () => {
+  const backends = []
+
+  for (let i = 1; i <= 100; i += 1) {
+    backends.push(new Backend({ address: `10.0.0.${i}`, port: 80 }))
+  }
+
+  const keys = (items) => items.map((backend) => backend.key)
+
+  describe('#selectSubset', () => {
+    it('should select all backends up to the size', () => {
+      const few = backends.slice(0, 3)
+
+      assert.equal(selectSubset(few, { clientId: 'a', size: 3 }), few)
+    })
+
+    it('should select a stable subset in the order of backends', () => {
+      const subset = selectSubset(backends, { clientId: 'a', size: 10 })
+      const reversed = selectSubset(backends.slice().reverse(), {
+        clientId: 'a',
+        size: 10
+      })
+
+      assert.lengthOf(subset, 10)
+      assert.deepEqual(keys(subset), keys(reversed).reverse())
+      assert.isTrue(subset.every((backend, i) =>
+        i === 0 || backends.indexOf(subset[i - 1]) < backends.indexOf(backend)))
+      assert.notDeepEqual(
+        keys(subset),
+        keys(selectSubset(backends, { clientId: 'b', size: 10 }))
+      )
+    })
+
+    it('should change one backend on removal and addition', () => {
+      const subset = selectSubset(backends, { clientId: 'a', size: 10 })
+      const removed = selectSubset(
+        backends.filter((backend) => backend !== subset[0]),
+        { clientId: 'a', size: 10 }
+      )
+      const added = selectSubset(
+        backends.concat(new Backend({ address: '10.0.1.1', port: 80 })),
+        { clientId: 'a', size: 10 }
+      )
+
+      assert.sameMembers(
+        keys(removed).filter((key) => keys(subset).includes(key)),
+        keys(subset.slice(1))
+      )
+      assert.isAtLeast(
+        keys(added).filter((key) => keys(subset).includes(key)).length,
+        9
+      )
+    })
+
+    it('should spread the subsets of clients by ID', () => {
+      const counts = new Map()
+
+      for (let i = 0; i < 100; i += 1) {
+        selectSubset(backends, { clientId: `client-${i}`, size: 10 })
+          .forEach((backend) => {
+            counts.set(backend.key, (counts.get(backend.key) || 0) + 1)
+          })
+      }
+
+      assert.equal(counts.size, backends.length)
+      assert.isAtMost(Math.max(...counts.values()), 25)
+    })
+
+    it('should spread the subsets of clients evenly by index', () => {
+      [100, 37, 250].forEach((clientCount) => {
+        const counts = new Map(backends.map((backend) => [backend.key, 0]))
+        const mean = (clientCount * 10) / backends.length
+
+        for (let i = 0; i < clientCount; i += 1) {
+          selectSubset(backends, {
+            clientId: `client-${i}`,
+            clientIndex: i,
+            clientCount,
+            size: 10
+          }).forEach((backend) => {
+            counts.set(backend.key, counts.get(backend.key) + 1)
+          })
+        }
+
+        assert.isAtLeast(Math.min(...counts.values()), mean - 1)
+        assert.isAtMost(Math.max(...counts.values()), mean + 1)
+      })
+    })
+
+    it('should change one other backend on removal and addition', () => {
+      const dropped = (before, after, except) => keys(before)
+        .filter((key) => key !== except && !keys(after).includes(key))
+        .length
+      const counts = [20, 50, 100]
+
+      counts.forEach((count) => {
+        const some = backends.slice(0, count)
+        const fewer = some.slice(1)
+        const more = some.concat(new Backend({
+          address: '10.0.1.1',
+          port: 80
+        }))
+
+        for (let i = 0; i < 100; i += 1) {
+          const byId = { clientId: `client-${i}`, size: 10 }
+          const byIndex = { clientIndex: i, clientCount: 100, size: 10 }
+          const subset = selectSubset(some, byId)
+          const aperture = selectSubset(some, byIndex)
+
+          // Rendezvous hashing only replaces the removed backend
+          assert.equal(
+            dropped(subset, selectSubset(fewer, byId), some[0].key),
+            0
+          )
+          assert.isAtMost(dropped(subset, selectSubset(more, byId)), 1)
+          assert.isAtMost(
+            dropped(aperture, selectSubset(fewer, byIndex), some[0].key),
+            1
+          )
+          assert.isAtMost(dropped(aperture, selectSubset(more, byIndex)), 1)
+        }
+      })
+    })
+  })
+})
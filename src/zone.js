@@ -0,0 +1,51 @@
+'use strict'
+
+// Zone of backends without zone in zones()
+const UNKNOWN_ZONE = 'unknown'
+
+/**
+ * Zone of the backend
+ * @function getZone
+ * @param {Backend} backend
+ * @returns {String|undefined} zone
+ */
+function getZone (backend) {
+  return backend.service.zone
+}
+
+/**
+ * Selects the backends of the local zone. It spills over to every zone
+ * when the local zone has less than minCount backends
+ * or less than minPercent of the backends.
+ * @function selectZone
+ * @param {Array.<Backend>} backends - healthy backends
+ * @param {Object} opts
+ * @param {String} opts.local - local zone
+ * @param {Number} opts.minCount - minimum count of local backends
+ * @param {Number} opts.minPercent - minimum percentage of local backends
+ * @returns {Object} result - { backends, spillover }
+ */
+function selectZone (backends, { local, minCount, minPercent }) {
+  const locals = backends.filter((backend) => getZone(backend) === local)
+  const percent = backends.length
+    ? (locals.length / backends.length) * 100
+    : 100
+
+  if (locals.length < minCount || percent < minPercent) {
+    return {
+      backends,
+      spillover: true
+    }
+  }
+
+  return {
+    backends: locals,
+    spillover: false
+  }
+}
+
+module.exports = {
+  UNKNOWN_ZONE,
+  getZone,
+  selectZone
+}
@@ -0,0 +1,66 @@
+'use strict'
+
+const { assert } = require('chai')
+const Backend = require('./backend')
+const { getZone, selectZone } = require('./zone')
+
+describe('zone', () => {
+  const localA = new Backend({ address: '10.0.0.1', port: 80, zone: 'a' })
+  const localB = new Backend({ address: '10.0.0.2', port: 80, zone: 'a' })
+  const remote = new Backend({ address: '10.1.0.1', port: 80, zone: 'b' })
+  const plain = new Backend({ address: '10.2.0.1', port: 80 })
+
+  describe('#getZone', () => {
+    it('should return the zone of the backend', () => {
+      assert.equal(getZone(localA), 'a')
+      assert.isUndefined(getZone(plain))
+    })
+  })
+
+  describe('#selectZone', () => {
+    it('should select the local zone', () => {
+      assert.deepEqual(selectZone([localA, remote, localB, plain], {
+        local: 'a',
+        minCount: 1,
+        minPercent: 0
+      }), {
+        backends: [localA, localB],
+        spillover: false
+      })
+    })
+
+    it('should spill over below the minimum count', () => {
+      assert.deepEqual(selectZone([localA, remote], {
+        local: 'a',
+        minCount: 2,
+        minPercent: 0
+      }), {
+        backends: [localA, remote],
+        spillover: true
+      })
+      assert.deepEqual(selectZone([remote], {
+        local: 'a',
+        minCount: 1,
+        minPercent: 0
+      }), {
+        backends: [remote],
+        spillover: true
+      })
+    })
+
+    it('should spill over below the minimum percentage', () => {
+      const backends = [localA, remote, plain]
+
+      assert.isTrue(selectZone(backends, {
+        local: 'a',
+        minCount: 1,
+        minPercent: 50
+      }).spillover)
+      assert.isFalse(selectZone(backends, {
+        local: 'a',
+        minCount: 1,
+        minPercent: 30
+      }).spillover)
+    })
+  })
+})
@@ -0,0 +1,129 @@
+'use strict'
+
+const http = require('http')
+const { URL } = require('url')
+
+/**
+ * Local stub of the Consul health API with blocking queries
+ * Queries with an index of at least the current one block until
+ * update() or the end of their wait.
+ * @function createConsulServer
+ * @param {Object} [services={}] - service entries by name
+ * @returns {http.Server} server with "services", "index", "requests"
+ *  and "statusCode" properties and update(name, entries, [index]) method
+ */
+function createConsulServer (services = {}) {
+  const waiting = new Set()
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://consul')
+    const match = url.pathname.match(/^\/v1\/health\/service\/([^/]+)$/)
+
+    server.requests.push(`${req.method} ${req.url}`)
+
+    if (server.statusCode) {
+      res.writeHead(server.statusCode)
+      res.end()
+      return
+    }
+
+    if (!match) {
+      res.writeHead(404)
+      res.end()
+      return
+    }
+
+    const name = decodeURIComponent(match[1])
+    const tags = url.searchParams.getAll('tag')
+    const index = Number(url.searchParams.get('index') || 0)
+    const wait = parseInt(url.searchParams.get('wait') || '300', 10) * 1000
+
+    function respond () {
+      const entries = (server.services[name] || []).filter((item) => tags
+        .every((tag) => item.Service.Tags.includes(tag)))
+
+      res.writeHead(200, {
+        'content-type': 'application/json',
+        'x-consul-index': String(server.index)
+      })
+      res.end(JSON.stringify(entries))
+    }
+
+    if (index > 0 && index >= server.index) {
+      const waiter = {
+        respond,
+        timer: setTimeout(() => {
+          waiting.delete(waiter)
+          respond()
+        }, wait)
+      }
+
+      waiting.add(waiter)
+      req.on('close', () => {
+        clearTimeout(waiter.timer)
+        waiting.delete(waiter)
+      })
+      return
+    }
+
+    respond()
+  })
+
+  server.services = services
+  server.index = 1
+  server.requests = []
+  server.statusCode = undefined
+
+  server.update = (name, entries, index = server.index + 1) => {
+    server.services[name] = entries
+    server.index = index
+
+    waiting.forEach((waiter) => {
+      clearTimeout(waiter.timer)
+      waiting.delete(waiter)
+      waiter.respond()
+    })
+  }
+
+  server.on('close', () => {
+    waiting.forEach((waiter) => clearTimeout(waiter.timer))
+    waiting.clear()
+  })
+
+  return server
+}
+
+/**
+ * Creates a service entry in the Consul health API format
+ * @function entry
+ * @param {String} address - address of the node
+ * @param {Number} port
+ * @param {Object} [opts]
+ * @param {Array.<String>} [opts.tags=[]]
+ * @param {String} [opts.serviceAddress=''] - address of the service
+ * @param {Object} [opts.meta]
+ * @returns {Object} entry
+ */
+function entry (address, port, { tags = [], serviceAddress = '', meta } = {}) {
+  return {
+    Node: {
+      Node: `node-${address}`,
+      Address: address,
+      Datacenter: 'dc1'
+    },
+    Service: {
+      ID: `api-${address}-${port}`,
+      Service: 'api',
+      Tags: tags,
+      Address: serviceAddress,
+      Port: port,
+      Meta: meta
+    },
+    Checks: []
+  }
+}
+
+module.exports = {
+  createConsulServer,
+  entry
+}
@@ -0,0 +1,137 @@
+'use strict'
+
+const dgram = require('dgram')
+const ipaddr = require('ipaddr.js')
+
+const TYPE = {
+  A: 1,
+  AAAA: 28,
+  SRV: 33
+}
+const RCODE = {
+  noError: 0,
+  serverFailure: 2,
+  nameError: 3
+}
+
+/**
+ * Encode domain name
+ * @function encodeName
+ * @param {String} name
+ * @returns {Buffer}
+ */
+function encodeName (name) {
+  const labels = name.split('.').filter((label) => label.length)
+  const parts = labels.map((label) => Buffer.concat([
+    Buffer.from([label.length]),
+    Buffer.from(label, 'ascii')
+  ]))
+
+  return Buffer.concat(parts.concat([Buffer.from([0])]))
+}
+
+/**
+ * Decode question of the query
+ * @function decodeQuestion
+ * @param {Buffer} msg
+ * @returns {Object} question - { name, type, end }
+ */
+function decodeQuestion (msg) {
+  const labels = []
+  let offset = 12
+
+  while (msg[offset] !== 0) {
+    const length = msg[offset]
+    labels.push(msg.toString('ascii', offset + 1, offset + 1 + length))
+    offset += length + 1
+  }
+
+  return {
+    name: labels.join('.').toLowerCase(),
+    type: msg.readUInt16BE(offset + 1),
+    end: offset + 5
+  }
+}
+
+/**
+ * Encode resource data
+ * @function encodeData
+ * @param {Number} type
+ * @param {Object} record
+ * @returns {Buffer}
+ */
+function encodeData (type, record) {
+  if (type === TYPE.SRV) {
+    const header = Buffer.alloc(6)
+    header.writeUInt16BE(record.priority || 0, 0)
+    header.writeUInt16BE(record.weight || 0, 2)
+    header.writeUInt16BE(record.port, 4)
+    return Buffer.concat([header, encodeName(record.target)])
+  }
+
+  return Buffer.from(ipaddr.parse(record.address).toByteArray())
+}
+
+/**
+ * Local UDP DNS stub server with A, AAAA and SRV records
+ * @function createDnsServer
+ * @param {Object} [records={}] - records by name and type, like
+ *  { 'api.test': { A: [{ address: '10.0.0.1', ttl: 60 }] } }
+ * @returns {dgram.Socket} server with "records", "queries"
+ *  and "rcode" properties
+ */
+function createDnsServer (records = {}) {
+  const server = dgram.createSocket('udp4')
+
+  server.records = records
+  server.queries = []
+  server.rcode = undefined
+
+  server.on('message', (msg, rinfo) => {
+    const question = decodeQuestion(msg)
+    const typeName = Object.keys(TYPE)
+      .find((key) => TYPE[key] === question.type)
+    const entry = server.records[question.name]
+    const answers = (entry && entry[typeName]) || []
+    let { rcode } = server
+
+    server.queries.push(`${typeName} ${question.name}`)
+
+    if (rcode === undefined) {
+      rcode = entry ? RCODE.noError : RCODE.nameError
+    }
+
+    const header = Buffer.alloc(12)
+    header.writeUInt16BE(msg.readUInt16BE(0), 0)
+    // Response with recursion flags
+    header.writeUInt16BE(0x8180 + rcode, 2)
+    header.writeUInt16BE(1, 4)
+    header.writeUInt16BE(rcode === RCODE.noError ? answers.length : 0, 6)
+
+    const parts = [header, msg.slice(12, question.end)]
+
+    if (rcode === RCODE.noError) {
+      answers.forEach((record) => {
+        const data = encodeData(question.type, record)
+        const meta = Buffer.alloc(12)
+
+        // Pointer to the name of the question
+        meta.writeUInt16BE(0xc00c, 0)
+        meta.writeUInt16BE(question.type, 2)
+        meta.writeUInt16BE(1, 4)
+        meta.writeUInt32BE(record.ttl === undefined ? 60 : record.ttl, 6)
+        meta.writeUInt16BE(data.length, 10)
+        parts.push(meta, data)
+      })
+    }
+
+    server.send(Buffer.concat(parts), rinfo.port, rinfo.address)
+  })
+
+  return server
+}
+
+module.exports = {
+  createDnsServer,
+  RCODE
+}
@@ -0,0 +1,155 @@
+'use strict'
+
+const http = require('http')
+const { URL } = require('url')
+
+/**
+ * Find registered instance
+ * @function findInstance
+ * @param {Array.<Object>|Object} [instances]
+ * @param {String} instanceId
+ * @returns {Object|undefined} instance
+ */
+function findInstance (instances = [], instanceId) {
+  return [].concat(instances).find((item) => item.instanceId === instanceId)
+}
+
+/**
+ * Local stub of the Eureka REST API
+ * Supports fetching of one or every application, registering, renewing,
+ * status update and deregistration of instances.
+ * @function createEurekaServer
+ * @param {Object} [apps={}] - instances by app name
+ * @returns {http.Server} server with "apps", "requests"
+ *  and "statusCode" properties
+ */
+function createEurekaServer (apps = {}) {
+  const server = http.createServer((req, res) => {
+    const chunks = []
+
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => {
+      const match = req.url
+        .match(/^\/eureka\/apps\/([^/?]+)(?:\/([^/?]+))?(\/status)?/)
+      const body = Buffer.concat(chunks).toString('utf8')
+
+      server.requests.push(`${req.method} ${req.url}`)
+
+      if (server.statusCode) {
+        res.writeHead(server.statusCode)
+        res.end()
+        return
+      }
+
+      // Every application
+      if (req.method === 'GET' && /^\/eureka\/apps\/?(\?|$)/.test(req.url)) {
+        res.writeHead(200, { 'content-type': 'application/json' })
+        res.end(JSON.stringify({
+          applications: {
+            application: Object.keys(server.apps).map((name) => ({
+              name: name.toUpperCase(),
+              instance: server.apps[name]
+            }))
+          }
+        }))
+        return
+      }
+
+      if (!match) {
+        res.writeHead(404)
+        res.end()
+        return
+      }
+
+      const name = decodeURIComponent(match[1])
+      const instanceId = match[2] && decodeURIComponent(match[2])
+      const instances = server.apps[name]
+      const found = instanceId && findInstance(instances, instanceId)
+
+      // Register
+      if (req.method === 'POST' && !instanceId) {
+        const { instance } = JSON.parse(body)
+
+        server.apps[name] = [].concat(instances || [])
+          .filter((item) => item.instanceId !== instance.instanceId)
+          .concat(instance)
+        res.writeHead(204)
+        res.end()
+        return
+      }
+
+      // Status update
+      if (req.method === 'PUT' && match[3]) {
+        if (found) {
+          found.status = new URL(req.url, 'http://eureka').searchParams
+            .get('value')
+        }
+        res.writeHead(found ? 200 : 404)
+        res.end()
+        return
+      }
+
+      // Renew
+      if (req.method === 'PUT') {
+        res.writeHead(found ? 200 : 404)
+        res.end()
+        return
+      }
+
+      // Deregister
+      if (req.method === 'DELETE') {
+        if (found) {
+          server.apps[name] = [].concat(instances)
+            .filter((item) => item !== found)
+        }
+        res.writeHead(found ? 200 : 404)
+        res.end()
+        return
+      }
+
+      if (instanceId || !instances) {
+        res.writeHead(404)
+        res.end()
+        return
+      }
+
+      res.writeHead(200, { 'content-type': 'application/json' })
+      res.end(JSON.stringify({
+        application: {
+          name: name.toUpperCase(),
+          instance: instances
+        }
+      }))
+    })
+  })
+
+  server.apps = apps
+  server.requests = []
+  server.statusCode = undefined
+
+  return server
+}
+
+/**
+ * Creates an instance in the Eureka JSON format
+ * @function instance
+ * @param {String} ipAddr
+ * @param {Number} port
+ * @param {String} [status='UP']
+ * @returns {Object} instance
+ */
+function instance (ipAddr, port, status = 'UP') {
+  return {
+    instanceId: `${ipAddr}:${port}`,
+    hostName: ipAddr,
+    ipAddr,
+    status,
+    port: { $: port, '@enabled': 'true' },
+    securePort: { $: port + 1, '@enabled': 'false' }
+  }
+}
+
+module.exports = {
+  createEurekaServer,
+  instance
+}
@@ -0,0 +1,103 @@
+'use strict'
+
+const http = require('http')
+const { URL } = require('url')
+
+/**
+ * Local stub of the Kubernetes API server which replays recorded
+ * watch streams. List requests respond with "list", watch requests
+ * replay the next item of "watches": an array of events,
+ * or an object with statusCode. Watches without recording stay open
+ * until the client aborts them.
+ * @function createKubernetesServer
+ * @param {Object} list - list response with items and resourceVersion
+ * @param {Array.<Array|Object>} [watches=[]] - recorded watch streams
+ * @returns {http.Server} server with "list", "watches", "requests",
+ *  "headers" and "statusCode" properties
+ */
+function createKubernetesServer (list, watches = []) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://kubernetes')
+
+    server.requests.push(`${req.method} ${req.url}`)
+    server.headers.push(req.headers)
+
+    if (server.statusCode) {
+      res.writeHead(server.statusCode)
+      res.end()
+      return
+    }
+
+    if (url.searchParams.get('watch') !== '1') {
+      res.writeHead(200, { 'content-type': 'application/json' })
+      res.end(JSON.stringify(server.list))
+      return
+    }
+
+    const watch = server.watches.shift()
+
+    if (watch && watch.statusCode) {
+      res.writeHead(watch.statusCode)
+      res.end()
+      return
+    }
+
+    res.writeHead(200, { 'content-type': 'application/json' })
+
+    // Open until the client aborts
+    if (!watch) {
+      return
+    }
+
+    // Events split between chunks like on the wire
+    const stream = watch.map((event) => `${JSON.stringify(event)}\n`).join('')
+    const middle = Math.floor(stream.length / 2)
+
+    res.write(stream.slice(0, middle))
+    setImmediate(() => res.end(stream.slice(middle)))
+  })
+
+  server.list = list
+  server.watches = watches
+  server.requests = []
+  server.headers = []
+  server.statusCode = undefined
+
+  return server
+}
+
+/**
+ * Creates a discovery.k8s.io/v1 EndpointSlice
+ * @function endpointSlice
+ * @param {String} name
+ * @param {String} resourceVersion
+ * @param {Array.<Object>} endpoints - { address, ready, zone }
+ * @param {Array.<Object>} [ports] - { name, port }
+ * @returns {Object} slice
+ */
+function endpointSlice (name, resourceVersion, endpoints, ports = [
+  { name: 'http', port: 8080 },
+  { name: 'metrics', port: 9090 }
+]) {
+  return {
+    kind: 'EndpointSlice',
+    apiVersion: 'discovery.k8s.io/v1',
+    metadata: {
+      name,
+      resourceVersion,
+      labels: { 'kubernetes.io/service-name': 'api' }
+    },
+    addressType: 'IPv4',
+    endpoints: endpoints.map(({ address, ready = true, zone }) => ({
+      addresses: [address],
+      conditions: { ready },
+      zone
+    })),
+    ports
+  }
+}
+
+module.exports = {
+  createKubernetesServer,
+  endpointSlice
+}
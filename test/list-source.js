@@ -0,0 +1,27 @@
+'use strict'
+
+const Source = require('../src/sources/source')
+
+/**
+ * Source that replies from a list of results,
+ * the last result is repeated
+ * @class ListSource
+ * @extends {Source}
+ */
+class ListSource extends Source {
+  constructor (results, opts) {
+    super(opts)
+    this.results = results
+    this.calls = 0
+  }
+
+  _refresh (callback) {
+    const result = this.results[Math.min(this.calls, this.results.length - 1)]
+    this.calls += 1
+    setImmediate(() => callback(result.err, result.backends))
+  }
+}
+
+module.exports = {
+  ListSource
+}